@@ -1,165 +1,296 @@
 'use strict';
 
-const fs = require('fs');
 const os = require('os');
-const path = require('path');
-
-const Koa = require('koa');
-const Router = require('koa-router');
-const Logger = require('koa-logger');
-const Favicon = require('koa-favicon');
-const Cors = require('@koa/cors');
-
 const cluster = require('cluster');
-const cache = require('memored');
-
-const ASSETS_PATH = './assets';
-const API_ROOT = '/api/v0/arcgis-assets';
-const CPU_COUNT = os.cpus().length;
 
+const { createApp } = require('./app');
+const {
+  buildGeneration,
+  cacheIsInitialized,
+  cacheIsShared,
+  clearCache,
+  configureCache,
+  generationIsBuilt,
+  getCurrentGeneration,
+  getFailedAssets,
+  loadCacheState,
+  pruneTileIndexes,
+  removeGeneration,
+  setCurrentGeneration,
+} = require('./cache');
+const { enableClusterMetrics } = require('./metrics');
+const { createStore, getStoreConfig } = require('./stores');
 const log = require('./logger');
 
-
-const logWithPid = (msg, isError = false) => (
-  isError
-    ? log.error(`[PID ${process.pid}] ERROR: ${msg}`)
-    : log.info(`[PID ${process.pid}] ${msg}`)
-);
-
-const PORT = process.env.PORT || 3100;
-
 /**
-   General Cache Functions
-*/
-const promiseCacheStore = (key, value) => new Promise ((resolve, reject) => {
-  cache.store(key, value, (err) => {
-    if (err) { reject(); }
-    resolve();
-  });
-});
-
-const promiseCacheRead = (key) => new Promise ((resolve, reject) => {
-  cache.read(key, (err, value) => {
-    if (err) { reject(); }
-    resolve(value);
-  });
-});
+   Cluster bootstrap
+   The master forks a worker to warm the cache, then the rest of WORKER_COUNT workers (by default
+   one per CPU) each serving the app from app.js. See app.js to build the app without the cluster.
+   Workers that exit are replaced, after a delay that doubles with each exit in quick succession.
+   On SIGTERM every worker stops accepting connections and finishes the requests it has in flight
+   (for up to SHUTDOWN_TIMEOUT seconds) before the cluster exits.
 
-const cacheIsInitialized = async () => await promiseCacheRead('initialized');
-
-/**
-   Features Cache Functions
-   features.json is generated from build.js. It expresses a structure containing all valid
-   feature keys and site codes for each feature. We use it to build our cache of assets as well
-   as to validate paths without having to check the file system.
+   The cache store is chosen by CACHE_STORE (see stores.js). With a shared store (memored or file)
+   the first worker's cache serves every worker. With a store of each worker's own (memory) every
+   worker builds the live generation itself when it starts and each new one when told to use it.
 */
-const cacheFeatures = async () => {
-  try {
-    const stats = fs.statSync('./features.json');
-    const features = JSON.parse(fs.readFileSync('./features.json'));
-    await promiseCacheStore('features', features);
-    return true;
-  } catch (err) {
-    logWithPid(err, true);
-    return false;
-  }  
-};
+const CPU_COUNT = os.cpus().length;
 
-const getFeatures = async () => await promiseCacheRead('features');
+const logWithPid = log.withPid;
 
-/**
-   Asset Cache Functions
-   features.json is generated from build.js. It expresses a structure containing all valid
-   feature keys and site codes for each feature. We use it to build our cache of assets as well
-   as to validate paths without having to check the file system.
-*/
-const getAssetKey = (feature, siteCode) => `${feature}.${siteCode}`;
-
-const cacheAllAssets = async () => {
-  const features = await getFeatures();
-  const cachePromises = [];
-  Object.keys(features).forEach((feature) => {
-    features[feature].forEach((siteCode) => {
-      const assetKey = getAssetKey(feature, siteCode);
-      const assetPath = path.join(ASSETS_PATH, feature, `${siteCode}.json`);
-      const promise = fs.promises.readFile(assetPath)
-        .then(assetData => promiseCacheStore(assetKey, assetData.toJSON()))
-        .catch(error => {
-          const annotatedError = `Asset ${assetKey} failed to load and cache; ${error}`;
-          logWithPid(annotatedError);
-          throw(annotatedError);
-        });
-      cachePromises.push(promise);
-    });
-  });
+const PORT = process.env.PORT || 3100;
 
+// Respawn delays double from the base up to the max; a worker that stays up for RESPAWN_RESET_MS
+// resets them
+const RESPAWN_BASE_DELAY_MS = 1000;
+const RESPAWN_MAX_DELAY_MS = 60000;
+const RESPAWN_RESET_MS = 60000;
 
-  return Promise.allSettled(cachePromises);
-}
+const DEFAULT_SHUTDOWN_TIMEOUT = 30;
 
-const getAssetData = (feature, siteCode) => {
-  const assetKey = getAssetKey(feature, siteCode);
-  return new Promise ((resolve, reject) => {
-    cache.read(assetKey, (err, assetData) => {
-      if (err || !assetData) { return resolve(); }
-      resolve(Buffer.from(assetData));
-    });
-  });
+// Read a positive integer from the environment, or the default if it isn't set
+const getPositiveInteger = (name, defaultValue) => {
+  if (!process.env[name]) { return defaultValue; }
+  const value = Number(process.env[name]);
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`Invalid ${name} "${process.env[name]}"; expected a positive integer`);
+  }
+  return value;
 };
 
+let storeConfig;
+let workerCount;
+let shutdownTimeoutMs;
+try {
+  storeConfig = getStoreConfig();
+  workerCount = getPositiveInteger('WORKER_COUNT', CPU_COUNT);
+  shutdownTimeoutMs = getPositiveInteger('SHUTDOWN_TIMEOUT', DEFAULT_SHUTDOWN_TIMEOUT) * 1000;
+} catch (err) {
+  logWithPid(err.message, true);
+  process.exit(1);
+}
+configureCache({ store: createStore(storeConfig) });
+
 /**
    verifyOrBuildCache
-   Main function to either trigger all build events to warm the cache or confirm it's already ready
+   Main function to either trigger all build events to warm the cache or confirm it's already ready.
+   Resolves to the live cache generation, or null if the cache could not be built.
 */
 const verifyOrBuildCache = async () => {
   const isInitialized = await cacheIsInitialized();
   if (isInitialized) {
     logWithPid('Cache already initialized by another worker');
-    return true;
+    return await getCurrentGeneration();
   } else {
-    // Handle caching of features.json
-    const featuresAreCached = await cacheFeatures();
-    if (!featuresAreCached) {
-      process.send({
-        error: 'Unable to start API: features.json missing or malformed. Run build.js to regenrate.'
-      });
-      return false;
+    // The master passes the live generation to workers forked once there is one
+    const generation = Number(process.env.CACHE_GENERATION) || 1;
+    const { error } = await buildGeneration(generation);
+    if (error) {
+      process.send({ error: `Unable to start API: ${error}` });
+      return null;
     }
-    logWithPid('Cached features.json');
-    // Build the rest of the cache
-    logWithPid('Caching assets...');
-    const assetCacheResults = await cacheAllAssets();
-    const successfulAssets = assetCacheResults.filter(res => res.status === 'fulfilled').length;
-    const failedAssets = assetCacheResults.length - successfulAssets;
-    logWithPid(`Asset cache: ${successfulAssets} of ${assetCacheResults.length} OK; ${failedAssets} failed.`);
     // Mark cache as initialized and inform the master that the cache is ready
-    await promiseCacheStore('initialized', true);
+    await setCurrentGeneration(generation);
     logWithPid('Cache is now ready');
-    process.send({ cacheIsReady: true });
-    return true;
+    process.send({ cacheIsReady: true, generation });
+    return generation;
   }
 };
 
+/**
+   reloadCache
+   Build the next generation from features.json and assets/ as they are now. The new generation
+   only goes live if features.json is valid and no more assets failed than in the live generation;
+   otherwise it is discarded and the live generation is kept. Reports the outcome to the master.
+*/
+const reloadCache = async (generation) => {
+  const liveGeneration = await getCurrentGeneration();
+  const liveFailedAssets = (await getFailedAssets(liveGeneration)) || [];
+  const { error, failedAssets } = await buildGeneration(generation);
+  const validationError = error
+    || (failedAssets.length > liveFailedAssets.length
+      ? `${failedAssets.length} assets failed to load; live generation has ${liveFailedAssets.length}`
+      : null);
+  if (validationError) {
+    await removeGeneration(generation);
+    process.send({ generationFailed: generation, reason: validationError });
+    return;
+  }
+  await setCurrentGeneration(generation);
+  process.send({ generationIsReady: generation });
+};
+
 /**
    Master thread - validate environment and spawn forks
 */
 if (cluster.isMaster) {
-  logWithPid(`Master is running; ${CPU_COUNT} available CPUs`);
+  logWithPid(`Master is running; ${workerCount} workers on ${CPU_COUNT} available CPUs; ${storeConfig.type} cache store`);
 
-  // Spawn first worker to warm the cache. Listen for messages and kill the master thread if cache
-  // building failed for any reason. Otherwise spawn the remaining workers.
-  const cacheWarmer = cluster.fork();
-  cacheWarmer.on('message', (msg) => {
-    if (msg.error) {
+  // Cache generation all workers are currently serving from
+  let liveGeneration = null;
+  let isShuttingDown = false;
+
+  // When each worker was forked, by worker ID
+  const forkTimes = new Map();
+
+  const forkWorker = () => {
+    const worker = cluster.fork(liveGeneration ? { CACHE_GENERATION: liveGeneration } : {});
+    forkTimes.set(worker.id, Date.now());
+    return worker;
+  };
+
+  // Spawn first worker to warm the cache. Kill the master thread if cache building failed for any
+  // reason before there is a live generation. Otherwise spawn the remaining workers.
+  cluster.on('message', (worker, msg) => {
+    if (!msg) { return; }
+    if (msg.error && !liveGeneration) {
       logWithPid(msg.error, true);
       log.error(msg.error);
       process.exit(1);
     }
-    if (msg.cacheIsReady && CPU_COUNT > 1) {
-      for (let i = 1; i < CPU_COUNT; i++) {
-        cluster.fork();
+    if (msg.error) {
+      logWithPid(`Worker ${worker.process.pid} failed to start: ${msg.error}`, true);
+    }
+    if (msg.cacheIsReady && !liveGeneration) {
+      liveGeneration = msg.generation;
+      for (let i = Object.keys(cluster.workers).length; i < workerCount; i++) {
+        forkWorker();
       }
     }
+    // A worker forked mid-reload may have started on the previous generation
+    if (msg.workerStarted && liveGeneration && msg.workerStarted !== liveGeneration) {
+      worker.send({ useGeneration: liveGeneration });
+    }
+  });
+
+  // A file store's directory outlives the cluster; start from an empty one
+  clearCache()
+    .then(forkWorker)
+    .catch((err) => {
+      logWithPid(`Unable to clear the cache store: ${err.message}`, true);
+      process.exit(1);
+    });
+
+  /**
+     Respawn - replace every worker that exits unless the cluster is shutting down. Workers
+     exiting within RESPAWN_RESET_MS of being forked are replaced after a growing delay, so a
+     worker that can't stay up isn't restarted in a tight loop.
+  */
+  let respawnCount = 0;
+
+  cluster.on('exit', (worker, code, signal) => {
+    const uptime = Date.now() - forkTimes.get(worker.id);
+    forkTimes.delete(worker.id);
+    if (isShuttingDown) { return; }
+    respawnCount = uptime >= RESPAWN_RESET_MS ? 0 : respawnCount + 1;
+    const delay = Math.min(RESPAWN_BASE_DELAY_MS * 2 ** Math.max(0, respawnCount - 1), RESPAWN_MAX_DELAY_MS);
+    logWithPid(`Worker ${worker.process.pid} exited (${signal || `code ${code}`}); respawning in ${delay / 1000}s`, true);
+    setTimeout(() => {
+      if (!isShuttingDown) { forkWorker(); }
+    }, delay);
+  });
+
+  /**
+     Shutdown - on SIGTERM tell every worker to drain, and exit once all of them have. Workers
+     exit by themselves after SHUTDOWN_TIMEOUT; the master gives them a little longer.
+  */
+  process.on('SIGTERM', () => {
+    if (isShuttingDown) { return; }
+    isShuttingDown = true;
+    const workers = Object.values(cluster.workers);
+    logWithPid(`SIGTERM received; draining ${workers.length} workers`);
+    if (!workers.length) { process.exit(0); }
+    workers.forEach(worker => worker.send({ drain: true }));
+    cluster.on('exit', () => {
+      if (Object.keys(cluster.workers).length) { return; }
+      logWithPid('All workers drained; exiting');
+      process.exit(0);
+    });
+    setTimeout(() => {
+      logWithPid('Workers did not drain in time; exiting', true);
+      process.exit(1);
+    }, shutdownTimeoutMs + 5000).unref();
+  });
+
+  /**
+     Hot reload - on SIGHUP have one worker build the next cache generation from features.json and
+     assets/ as they are now. Once it validates every worker is told to swap to it, and once all
+     of them have the previous generation is removed from the cache. A worker that fails to swap
+     keeps serving the previous generation until it is replaced.
+  */
+  let reload = null;
+
+  const finishReloadIfSwapped = () => {
+    if (!reload || !reload.pendingWorkers || reload.pendingWorkers.size) { return; }
+    // A shared store only needs one worker to remove it; otherwise each worker removes its own
+    const workers = Object.values(cluster.workers);
+    (cacheIsShared() ? workers.slice(0, 1) : workers)
+      .forEach(worker => worker.send({ removeGeneration: reload.previousGeneration }));
+    logWithPid(`Reload complete; all workers using cache generation ${liveGeneration}`);
+    reload = null;
+  };
+
+  process.on('SIGHUP', () => {
+    if (!liveGeneration) {
+      logWithPid('Reload requested before the cache is ready; ignoring', true);
+      return;
+    }
+    if (reload) {
+      logWithPid(`Reload to cache generation ${reload.generation} already in progress; ignoring`, true);
+      return;
+    }
+    const worker = Object.values(cluster.workers)[0];
+    if (!worker) {
+      logWithPid('Reload requested with no running workers; ignoring', true);
+      return;
+    }
+    reload = { generation: liveGeneration + 1, previousGeneration: liveGeneration, builder: worker.id };
+    logWithPid(`Reload requested; building cache generation ${reload.generation}`);
+    worker.send({ buildGeneration: reload.generation });
+  });
+
+  cluster.on('message', (worker, msg) => {
+    if (!reload || !msg) { return; }
+    if (msg.generationFailed === reload.generation) {
+      logWithPid(`Reload failed; keeping cache generation ${liveGeneration}: ${msg.reason}`, true);
+      reload = null;
+    } else if (msg.generationIsReady === reload.generation) {
+      liveGeneration = reload.generation;
+      reload.pendingWorkers = new Set(Object.keys(cluster.workers));
+      Object.values(cluster.workers).forEach(w => w.send({ useGeneration: liveGeneration }));
+    } else if (msg.usingGeneration === reload.generation && reload.pendingWorkers) {
+      reload.pendingWorkers.delete(String(worker.id));
+      finishReloadIfSwapped();
+    } else if (msg.reloadFailed === reload.generation && reload.pendingWorkers) {
+      // The worker is still serving the previous generation, so it stays pending (and the previous
+      // generation stays cached) until it has drained and been replaced by one forked on the new one
+      logWithPid(`Worker ${worker.id} failed to swap to cache generation ${reload.generation}; replacing it: ${msg.reason}`, true);
+      worker.send({ drain: true });
+    }
+  });
+
+  // A worker that exits mid-reload will never finish building or confirm the swap
+  cluster.on('exit', (worker) => {
+    if (reload && !reload.pendingWorkers && reload.builder === worker.id) {
+      logWithPid(`Reload failed; worker building cache generation ${reload.generation} exited`, true);
+      reload = null;
+    } else if (reload && reload.pendingWorkers) {
+      reload.pendingWorkers.delete(String(worker.id));
+      finishReloadIfSwapped();
+    }
+  });
+
+  /**
+     Metrics - whichever worker serves /metrics asks the master for the metrics of all workers,
+     which the master collects from every worker and aggregates (see metrics.js)
+  */
+  const clusterRegistry = enableClusterMetrics();
+
+  cluster.on('message', (worker, msg) => {
+    if (!msg || !msg.getMetrics) { return; }
+    clusterRegistry.clusterMetrics()
+      .then(metrics => worker.send({ metricsRequest: msg.getMetrics, metrics }))
+      .catch(err => worker.send({ metricsRequest: msg.getMetrics, error: err.message }));
   });
 
 /**
@@ -167,114 +298,118 @@ if (cluster.isMaster) {
 */
 } else {
 
-  verifyOrBuildCache()
-    .then(async (cacheIsReady) => {
-      if (!cacheIsReady) { process.exit(1); }
+  enableClusterMetrics();
 
-      /**
-         Initialization
-      */
-      const api = new Koa();
-      const router = new Router();
-      api.use(Cors({ origin: '*', allowMethods: ['GET'] }));
-      api.use(Logger());
-      api.use(Favicon(__dirname + '/public/favicon.ico'));
+  // Requests to the master for cluster metrics, keyed by request ID
+  const metricsRequests = new Map();
+  let metricsRequestCount = 0;
+  const getClusterMetrics = () => new Promise((resolve, reject) => {
+    metricsRequestCount += 1;
+    metricsRequests.set(metricsRequestCount, { resolve, reject });
+    process.send({ getMetrics: metricsRequestCount });
+  });
 
-      /**
-         Features
-      */
-      const features = await getFeatures();
+  /**
+     Draining - on the master's word (or a SIGTERM of its own) stop accepting connections and exit
+     once those open have finished their requests, or after SHUTDOWN_TIMEOUT regardless. Idle
+     keep-alive connections are closed straight away and busy ones after their current response.
+  */
+  let server = null;
+  let isDraining = false;
 
-      /**
-         Routes
-      */
-      // Add a root route that lists all available API routes
-      router.get('/', (ctx, next) => {
-        ctx.body = {
-          routes: [
-            {
-              method: 'GET',
-              path: '/',
-              description: 'List all available API routes.'
-            },
-            {
-              method: 'GET',
-              path: '/health',
-              description: 'Health check endpoint.'
-            },
-            {
-              method: 'GET',
-              path: `${API_ROOT}/`,
-              description: 'List all feature keys.'
-            },
-            {
-              method: 'GET',
-              path: `${API_ROOT}/:feature`,
-              description: 'List all valid site codes for a given feature.'
-            },
-            {
-              method: 'GET',
-              path: `${API_ROOT}/:feature/:siteCode`,
-              description: 'Return the corresponding asset JSON for the given feature and site code.'
-            }
-          ]
-        };
-      });
-      // /health - health check; if we're running we're good.
-      // Buried below API root since it's only checked internally.
-      router.get('/health', (ctx, next) => {
-        ctx.status = 200;
-        ctx.body = { status: 'UP' };
-      });
+  const drain = () => {
+    if (isDraining) { return; }
+    isDraining = true;
+    if (!server) { process.exit(0); }
+    logWithPid('Draining in-flight requests');
+    server.close(() => {
+      logWithPid('Drained; exiting');
+      process.exit(0);
+    });
+    if (server.closeIdleConnections) { server.closeIdleConnections(); }
+    setTimeout(() => {
+      logWithPid('Requests still in flight after SHUTDOWN_TIMEOUT; exiting', true);
+      process.exit(1);
+    }, shutdownTimeoutMs).unref();
+  };
 
-      // {API_ROOT} - list all feature keys
-      router.get(`${API_ROOT}/`, (ctx, next) => {
-        ctx.body = {
-          features: Object.keys(features),
-        };
-      });
+  process.on('SIGTERM', drain);
+  process.on('message', (msg) => {
+    if (msg && msg.drain) { drain(); }
+  });
 
-      // {API_ROOT}/{FEATURE} - list all valid Site Codes for a given Feature
-      router.get(`${API_ROOT}/:feature`, (ctx, next) => {
-        if (!Object.keys(features).includes(ctx.params.feature)) {
-          ctx.status = 400;
-          ctx.body = 'Invalid Feature';
-          return;
-        }
-        ctx.body = {
-          siteCodes: features[ctx.params.feature],
-        };
-      });
+  verifyOrBuildCache()
+    .then(async (generation) => {
+      if (!generation) { process.exit(1); }
+      if (isDraining) { process.exit(0); }
 
-      // {API_ROOT}/{FEATURE}/{SITECODE} - return the corresponding asset JSON
-      router.get(`${API_ROOT}/:feature/:siteCode`, async (ctx, next) => {
-        if (!Object.keys(features).includes(ctx.params.feature)) {
-          ctx.status = 400;
-          ctx.body = 'Invalid Feature';
-          return;
+      let cacheState = await loadCacheState(generation);
+
+      process.on('message', async (msg) => {
+        if (!msg) { return; }
+        if (msg.metricsRequest && metricsRequests.has(msg.metricsRequest)) {
+          const { resolve, reject } = metricsRequests.get(msg.metricsRequest);
+          metricsRequests.delete(msg.metricsRequest);
+          if (msg.error) {
+            reject(new Error(`Unable to collect cluster metrics: ${msg.error}`));
+          } else {
+            resolve(msg.metrics);
+          }
+        }
+        if (msg.buildGeneration) {
+          try {
+            await reloadCache(msg.buildGeneration);
+          } catch (err) {
+            logWithPid(`Unable to build cache generation ${msg.buildGeneration}; ${err.message || err}`, true);
+            process.send({ generationFailed: msg.buildGeneration, reason: err.message || String(err) });
+          }
         }
-        if (!features[ctx.params.feature].includes(ctx.params.siteCode)) {
-          ctx.status = 400;
-          ctx.body = 'Site Code not valid for this Feature';
-          return;
+        if (msg.useGeneration) {
+          try {
+            // Unless the store is shared this worker has yet to build the generation (the worker
+            // that built and validated it has)
+            if (!(await generationIsBuilt(msg.useGeneration))) {
+              const { error } = await buildGeneration(msg.useGeneration);
+              if (error) {
+                await removeGeneration(msg.useGeneration);
+                throw new Error(error);
+              }
+              await setCurrentGeneration(msg.useGeneration);
+            }
+            cacheState = await loadCacheState(msg.useGeneration);
+            pruneTileIndexes(msg.useGeneration);
+            logWithPid(`Now using cache generation ${msg.useGeneration}`);
+            process.send({ usingGeneration: msg.useGeneration });
+          } catch (err) {
+            logWithPid(`Unable to use cache generation ${msg.useGeneration}; ${err.message || err}`, true);
+            process.send({ reloadFailed: msg.useGeneration, reason: err.message || String(err) });
+          }
         }
-        const assetData = await getAssetData(ctx.params.feature, ctx.params.siteCode);
-        if (!assetData) {
-          ctx.status = 404;
-          ctx.body = 'Feature and Site Code are valid but asset not found';
-          return;
+        if (msg.removeGeneration) {
+          try {
+            await removeGeneration(msg.removeGeneration);
+            logWithPid(`Removed cache generation ${msg.removeGeneration}`);
+          } catch (err) {
+            logWithPid(`Unable to remove cache generation ${msg.removeGeneration}; ${err.message || err}`, true);
+          }
         }
-        ctx.set('Content-Type', 'application/json');
-        ctx.body = assetData;
       });
 
       /**
          Start the API
       */
-      api.use(router.routes());
-      api.use(router.allowedMethods());
-      api.listen(PORT);
+      const api = createApp({
+        getCacheState: () => cacheState,
+        getMetrics: getClusterMetrics,
+        isDraining: () => isDraining,
+      });
+      server = api.listen(PORT);
       logWithPid(`Worker started on port http://localhost:${PORT}`);
+      process.send({ workerStarted: generation });
+    })
+    .catch((err) => {
+      logWithPid(err, true);
+      process.exit(1);
     });
 
 }
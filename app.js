@@ -0,0 +1,1180 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const {
+  Readable,
+  Stream,
+  Transform,
+  pipeline,
+} = require('stream');
+
+const Koa = require('koa');
+const Router = require('koa-router');
+const Logger = require('koa-logger');
+const Favicon = require('koa-favicon');
+const Cors = require('@koa/cors');
+const Compress = require('koa-compress');
+
+const yazl = require('yazl');
+const swaggerUiDist = require('swagger-ui-dist');
+
+const {
+  AXIS_ORDERS,
+  isValidBBox,
+  normalizeGeometry,
+  simplify,
+  swapAxisOrder,
+  swapCoordinates,
+  zoomToTolerance,
+} = require('./geometry');
+const {
+  DEFAULT_FORMAT,
+  DOWNLOAD_FORMATS,
+  DOWNLOAD_FORMAT_DEFINITIONS,
+  FORMATS,
+  FORMAT_DEFINITIONS,
+  formatSupportsGeometryType,
+  getFormatContentTypes,
+  getFormatForContentType,
+} = require('./formats');
+const {
+  CONTENT_TYPES: OGC_CONTENT_TYPES,
+  getCollection,
+  getCollections,
+  getConformance,
+  getItemsPage,
+  getLandingPage,
+  toItem,
+} = require('./ogc');
+const {
+  OGC_ROOT,
+  ROUTES,
+  compileValidator,
+  getOpenAPIDocument,
+  getRoute,
+  getRouteList,
+  toPath,
+  toRouterPath,
+} = require('./routes');
+const {
+  ENCODINGS,
+  getAssetData,
+  getContentHash,
+  getPartsData,
+  getSimplifiedAssetData,
+  getSiteFeatureCollection,
+  getTaggedAsset,
+  getVariantParts,
+  getVectorTile,
+  isPrecomputedZoom,
+  queryBBox,
+  queryPoint,
+} = require('./cache');
+const {
+  bufferGeometry,
+  measureGeometry,
+  overlayGeometries,
+} = require('./operations');
+const {
+  UNMATCHED_ROUTE,
+  bytesServed,
+  httpRequestDuration,
+  httpRequests,
+  register,
+} = require('./metrics');
+const { ERROR_CODES, getErrorBody } = require('./errors');
+const {
+  getAssetHash,
+  getVersionAsOf,
+  isValidDate,
+  readVersion,
+  readVersionAsset,
+} = require('./versions');
+const log = require('./logger');
+const packageJSON = require('./package.json');
+
+// Cache-Control max-age (seconds) for asset and listing responses; clients revalidate with ETags
+const CACHE_MAX_AGE = parseInt(process.env.CACHE_MAX_AGE, 10) || 3600;
+
+// Cache-Control for version responses; a version never changes once built
+const IMMUTABLE_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+// Pick the best precompressed encoding the client accepts. Clients that send no Accept-Encoding
+// header at all get the uncompressed asset.
+const negotiateEncoding = (ctx) => {
+  if (!ctx.get('Accept-Encoding')) { return ENCODINGS.IDENTITY; }
+  const encoding = [ENCODINGS.BROTLI, ENCODINGS.GZIP]
+    .find(candidate => ctx.acceptsEncodings(candidate) === candidate);
+  return encoding || ENCODINGS.IDENTITY;
+};
+
+// Request IDs sent by clients or proxies are kept if they look like one; otherwise one is made up
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+const getRequestId = (ctx) => {
+  const requestId = ctx.get('X-Request-Id');
+  return REQUEST_ID_PATTERN.test(requestId) ? requestId : crypto.randomUUID();
+};
+
+// Pass a stream body through unchanged, calling count with the size of each chunk
+const countStreamBytes = (body, count) => pipeline(body, new Transform({
+  transform(chunk, encoding, callback) {
+    count(chunk.length);
+    callback(null, chunk);
+  },
+}), () => {});
+
+/**
+   Download Functions
+   Bulk downloads of a whole feature or any selection of assets, given as a list of
+   { feature, siteCode }. Assets are read from the cache and written to the response one at a time
+   so the full body is never built in memory.
+*/
+// Yields each asset in turn, tagged with its feature key; assets missing from the cache are skipped
+async function* readTaggedAssets(generation, assets, axisOrder) {
+  for (const { feature, siteCode } of assets) {
+    const asset = await getTaggedAsset(generation, feature, siteCode, axisOrder);
+    if (asset) { yield asset; }
+  }
+}
+
+// A single FeatureCollection, written out one member at a time
+async function* streamFeatureCollection(generation, assets, axisOrder) {
+  yield '{"type":"FeatureCollection","features":[';
+  let separator = '';
+  for await (const asset of readTaggedAssets(generation, assets, axisOrder)) {
+    yield `${separator}${JSON.stringify(asset)}`;
+    separator = ',';
+  }
+  yield ']}';
+}
+
+// Newline-delimited GeoJSON; one Feature per line
+async function* streamNDJSON(generation, assets, axisOrder) {
+  for await (const asset of readTaggedAssets(generation, assets, axisOrder)) {
+    yield `${JSON.stringify(asset)}\n`;
+  }
+}
+
+async function* readAssetData(generation, feature, siteCode, axisOrder) {
+  const assetData = await getAssetData(generation, feature, siteCode, { axisOrder });
+  if (assetData) { yield assetData; }
+}
+
+// A ZIP archive holding each asset as built at {FEATURE}/{SITECODE}.json. yazl only starts reading
+// an entry's stream once the previous entry is written, so each asset is read from the cache just
+// before it's compressed. Entries are dated to the build so the archive is the same for every request.
+const streamZip = (generation, assets, axisOrder, mtime) => {
+  const zipFile = new yazl.ZipFile();
+  assets.forEach(({ feature, siteCode }) => {
+    const entryStream = Readable.from(readAssetData(generation, feature, siteCode, axisOrder));
+    zipFile.addReadStream(entryStream, `${feature}/${siteCode}.json`, { mtime });
+  });
+  zipFile.end();
+  return zipFile.outputStream;
+};
+
+const streamDownload = (generation, assets, { format, axisOrder, mtime }) => {
+  switch (format) {
+    case DOWNLOAD_FORMATS.NDJSON:
+      return Readable.from(streamNDJSON(generation, assets, axisOrder));
+    case DOWNLOAD_FORMATS.ZIP:
+      return streamZip(generation, assets, axisOrder, mtime);
+    default:
+      return Readable.from(streamFeatureCollection(generation, assets, axisOrder));
+  }
+};
+
+/**
+   createApp
+   Build the Koa app serving every route in routes.js. It has no cache or cluster of its own:
+   getCacheState() is called at the start of each request for the state of the cache generation
+   to serve from (see loadCacheState in cache.js), and the caller decides where to listen.
+   getMetrics() resolves to what /metrics serves; by default the metrics of this process.
+   isDraining() is true once the process is shutting down: readiness reports DOWN and connections
+   are closed after each response. Set logRequests to false to leave out the request log.
+*/
+const createApp = ({
+  getCacheState,
+  getMetrics = () => register.metrics(),
+  isDraining = () => false,
+  logRequests = true,
+}) => {
+  /**
+     Initialization
+  */
+  const api = new Koa();
+  const router = new Router();
+  // Every request gets an ID, returned as X-Request-Id and logged with anything about the request
+  api.use(async (ctx, next) => {
+    ctx.state.requestId = getRequestId(ctx);
+    ctx.set('X-Request-Id', ctx.state.requestId);
+    await next();
+  });
+  // Once each response is sent record its metrics (see metrics.js) and, in JSON log mode, log it.
+  // Stream bodies (including anything compressed) are counted as they are written.
+  api.use(async (ctx, next) => {
+    const startTime = process.hrtime.bigint();
+    await next();
+    let bytes = 0;
+    if (ctx.body instanceof Stream) {
+      ctx.body = countStreamBytes(ctx.body, (length) => { bytes += length; });
+    } else {
+      bytes = ctx.length || 0;
+    }
+    ctx.res.once('close', () => {
+      const route = ctx.state.route || UNMATCHED_ROUTE;
+      const { method, status } = ctx;
+      const duration = Number(process.hrtime.bigint() - startTime) / 1e9;
+      httpRequests.inc({ route, method, status });
+      httpRequestDuration.observe({ route, method }, duration);
+      // Params are only set once validated, and those of a version are only known to be valid once
+      // served, so these labels only ever hold valid feature / site codes
+      const params = ctx.state.params || {};
+      const feature = params.feature || params.collectionId || '';
+      const siteCode = params.siteCode || params.featureId || '';
+      if ((feature || siteCode) && (!params.version || status < 400)) {
+        bytesServed.inc({ feature, siteCode }, bytes);
+      }
+      if (logRequests && log.isJSON) {
+        log.info(`${method} ${ctx.originalUrl} ${status}`, {
+          requestId: ctx.state.requestId,
+          method,
+          url: ctx.originalUrl,
+          route,
+          status,
+          durationMs: Math.round(duration * 1000),
+          bytes,
+        });
+      }
+    });
+  });
+  // Errors are logged with the ID of the request that raised them
+  api.on('error', (err, ctx) => {
+    const requestId = ctx ? ctx.state.requestId : null;
+    log.error(`Request ${requestId} failed: ${err.stack || err}`, { requestId });
+  });
+  // Don't keep connections alive into a shutdown
+  api.use(async (ctx, next) => {
+    if (isDraining()) { ctx.set('Connection', 'close'); }
+    await next();
+  });
+  api.use(Cors({ origin: '*', allowMethods: ['GET'] }));
+  if (logRequests && !log.isJSON) {
+    api.use(Logger());
+  }
+  // Compress dynamic responses; precompressed assets already carry a Content-Encoding and
+  // pass through untouched. Either way Vary: Accept-Encoding is set.
+  api.use(Compress());
+  api.use(Favicon(__dirname + '/public/favicon.ico'));
+  // Anything the routes don't handle gets the same structured errors as the routes themselves
+  api.use(async (ctx, next) => {
+    try {
+      await next();
+    } catch (err) {
+      ctx.app.emit('error', err, ctx);
+      ctx.status = 500;
+      ctx.body = getErrorBody(500, ERROR_CODES.INTERNAL_ERROR, 'Internal Server Error');
+      return;
+    }
+    if (ctx.status === 404 && !ctx.body) {
+      ctx.status = 404;
+      ctx.body = getErrorBody(404, ERROR_CODES.NOT_FOUND, 'Not Found');
+    } else if (ctx.status === 405 && !ctx.body) {
+      ctx.status = 405;
+      ctx.body = getErrorBody(405, ERROR_CODES.METHOD_NOT_ALLOWED, 'Method Not Allowed');
+    }
+  });
+
+  // Cache state for the generation this process is serving; see loadCacheState in cache.js
+  api.use(async (ctx, next) => {
+    ctx.state.cache = getCacheState();
+    await next();
+  });
+
+  // Set caching headers and report whether the client's copy is still fresh. Freshness is
+  // checked against If-None-Match / If-Modified-Since; callers should respond 304 when true.
+  // Version responses give their own lastModified and are immutable.
+  const isFresh = (ctx, etag, { lastModified = ctx.state.cache.buildTimestamp, immutable = false } = {}) => {
+    ctx.set('ETag', etag);
+    ctx.set('Last-Modified', lastModified);
+    ctx.set('Cache-Control', immutable ? IMMUTABLE_CACHE_CONTROL : `public, max-age=${CACHE_MAX_AGE}`);
+    ctx.status = 200;
+    return ctx.fresh;
+  };
+
+  // Respond with a structured error; see errors.js
+  const sendError = (ctx, status, code, message, details) => {
+    ctx.status = status;
+    ctx.body = getErrorBody(status, code, message, details);
+  };
+
+  // Feature keys from an optional features= filter (already validated); defaults to all
+  const getFeatureKeys = (features, value) => (
+    value ? [...new Set(value.split(',').map(key => key.trim()))] : Object.keys(features)
+  );
+
+  // Format comes from ?format= if given, otherwise from the Accept header
+  const getFormat = (ctx) => {
+    if (ctx.state.query.format !== undefined) { return ctx.state.query.format; }
+    const contentType = ctx.accepts(getFormatContentTypes());
+    return (contentType && getFormatForContentType(contentType)) || DEFAULT_FORMAT;
+  };
+
+  // Optional ?zoom= or ?tolerance= simplification; null having responded 400 if given both
+  const getSimplification = (ctx) => {
+    const { zoom, tolerance } = ctx.state.query;
+    if (zoom !== undefined && tolerance !== undefined) {
+      sendError(ctx, 400, ERROR_CODES.INVALID_PARAMETER, 'Invalid simplification; expected either zoom= or tolerance=, but not both', {
+        parameter: 'tolerance',
+      });
+      return null;
+    }
+    return zoom !== undefined ? { zoom } : (tolerance !== undefined ? { tolerance } : {});
+  };
+
+  // Redirect (302) an asset request with ?asOf= to the same asset in the version current on that
+  // date, keeping the params the version route takes. Versions are served as whole GeoJSON only.
+  const VERSION_ASSET_ROUTE = getRoute('getVersionAsset');
+  const VERSION_ASSET_QUERY_PARAMS = VERSION_ASSET_ROUTE.parameters
+    .filter(param => param.in === 'query')
+    .map(({ name }) => name);
+  const redirectAsOf = (ctx, { isWholeGeoJSON }) => {
+    const { versions } = ctx.state.cache;
+    const { feature, siteCode } = ctx.state.params;
+    const { asOf } = ctx.state.query;
+    if (!isValidDate(asOf)) {
+      sendError(ctx, 400, ERROR_CODES.INVALID_PARAMETER, 'Invalid asOf; expected a date (YYYY-MM-DD)', { parameter: 'asOf' });
+      return;
+    }
+    if (!isWholeGeoJSON) {
+      sendError(ctx, 400, ERROR_CODES.UNSUPPORTED_FORMAT, 'Versions are only available as whole assets in GeoJSON', {
+        parameter: 'format',
+        validOptions: [FORMATS.GEOJSON],
+      });
+      return;
+    }
+    const version = getVersionAsOf(versions, asOf);
+    if (!version) {
+      sendError(ctx, 404, ERROR_CODES.VERSION_NOT_FOUND, `No version of the assets as of ${asOf}`, { parameter: 'asOf' });
+      return;
+    }
+    const query = new URLSearchParams();
+    VERSION_ASSET_QUERY_PARAMS
+      .filter(name => ctx.query[name] !== undefined)
+      .forEach(name => query.set(name, ctx.query[name]));
+    const location = toPath(VERSION_ASSET_ROUTE.path, { version: version.version, feature, siteCode });
+    ctx.redirect(query.toString() ? `${location}?${query}` : location);
+    ctx.status = 302;
+  };
+
+  const metadataUnavailableMessage = 'Metadata not available; run build.js to regenerate metadata.json';
+
+  // Metadata centroids are stored [lng, lat]; serve them in the requested axis order like
+  // assets. bbox is always west,south,east,north.
+  const getSitesMetadata = (metadata, feature, axisOrder) => {
+    const { sites } = metadata[feature] || { sites: {} };
+    return Object.keys(sites).reduce((acc, siteCode) => {
+      const { centroid } = sites[siteCode];
+      const orientedCentroid = centroid && axisOrder === AXIS_ORDERS.LATLNG ? swapCoordinates(centroid) : centroid;
+      return { ...acc, [siteCode]: { ...sites[siteCode], centroid: orientedCentroid } };
+    }, {});
+  };
+
+  const getProvenance = (metadata, feature) => (metadata[feature] || {}).provenance || null;
+
+  // Query params with a meaning of their own on the asset route. Any other param named for one of
+  // the asset's properties filters its parts; comma-separate values to accept any of them.
+  const ASSET_QUERY_PARAMS = getRoute('getAsset').parameters
+    .filter(param => param.in === 'query' && param.schema.type !== 'object')
+    .map(({ name }) => name);
+  const getPropertyFilters = (query, propertyNames) => Object.keys(query)
+    .filter(key => !ASSET_QUERY_PARAMS.includes(key) && propertyNames.includes(key))
+    .sort()
+    .reduce((acc, key) => ({ ...acc, [key]: [].concat(query[key]).join(',').split(',') }), {});
+  const matchesFilters = (properties, filters) => Object.keys(filters)
+    .every(key => filters[key].includes(String(properties[key])));
+
+  // Serve a site's parts as a FeatureCollection, one Feature per source record with its own
+  // properties, filtered by property and optionally simplified. GeoJSON only.
+  const sendParts = async (ctx, { feature, siteCode, axisOrder, simplification, filters }) => {
+    const { generation, partsHashes } = ctx.state.cache;
+    const partsHash = partsHashes[feature][siteCode];
+    const partsUnavailableMessage = 'Parts not available for this asset; rebuild it with build.js';
+    if (!partsHash) {
+      sendError(ctx, 404, ERROR_CODES.PARTS_NOT_AVAILABLE, partsUnavailableMessage);
+      return;
+    }
+    const etagParts = [partsHash, 'parts', ...getVariantParts({ axisOrder, zoom: simplification.zoom })];
+    if (simplification.tolerance !== undefined) { etagParts.push(`t${simplification.tolerance}`); }
+    Object.keys(filters).forEach(key => etagParts.push(encodeURIComponent(`${key}=${filters[key].join(',')}`)));
+    if (isFresh(ctx, `W/"${etagParts.join('.')}"`)) {
+      ctx.status = 304;
+      return;
+    }
+    const partsData = await getPartsData(generation, feature, siteCode);
+    if (!partsData) {
+      sendError(ctx, 404, ERROR_CODES.PARTS_NOT_AVAILABLE, partsUnavailableMessage);
+      return;
+    }
+    const parts = JSON.parse(partsData);
+    let collection = { ...parts, features: parts.features.filter(part => matchesFilters(part.properties, filters)) };
+    if (axisOrder === AXIS_ORDERS.LNGLAT) {
+      collection = swapAxisOrder(collection);
+    }
+    if (simplification.zoom !== undefined || simplification.tolerance !== undefined) {
+      const { zoom, tolerance } = simplification;
+      collection = simplify(collection, tolerance !== undefined ? tolerance : zoomToTolerance(zoom));
+    }
+    ctx.body = collection;
+    // Set after the body; Koa types every object body as application/json
+    ctx.set('Content-Type', FORMAT_DEFINITIONS[FORMATS.GEOJSON].contentType);
+  };
+
+  // OGC items are assets in [lng, lat] order with normalized geometry. Resolves to the assets
+  // in the order given; sites missing from the cache are skipped.
+  const getOGCAssets = async (generation, feature, siteCodes) => {
+    const assets = await Promise.all(siteCodes.map(async (siteCode) => {
+      const assetData = await getAssetData(generation, feature, siteCode, { axisOrder: AXIS_ORDERS.LNGLAT });
+      if (!assetData) { return null; }
+      const asset = JSON.parse(assetData);
+      return { ...asset, geometry: normalizeGeometry(asset.geometry) };
+    }));
+    return assets.filter(asset => asset);
+  };
+  const getOGCBaseUrl = ctx => `${ctx.origin}${OGC_ROOT}`;
+
+  // Assets for geometry operations in [lng, lat] order with normalized geometry; see operations.js
+  const getOperationAsset = async (generation, feature, siteCode) => {
+    const assetData = await getAssetData(generation, feature, siteCode, { axisOrder: AXIS_ORDERS.LNGLAT });
+    if (!assetData) { return null; }
+    const asset = JSON.parse(assetData);
+    return { ...asset, geometry: normalizeGeometry(asset.geometry) };
+  };
+  const assetNotFoundMessage = 'Feature and Site Code are valid but asset not found';
+
+  // Serve the result of a geometry operation as a Feature in the requested axis order
+  const sendOperationResult = (ctx, geometry, properties) => {
+    const result = {
+      type: 'Feature',
+      properties: { ...properties, ...measureGeometry(geometry) },
+      geometry,
+    };
+    ctx.body = ctx.state.query.axisOrder === AXIS_ORDERS.LATLNG ? swapAxisOrder(result) : result;
+  };
+
+  const getMetadataETag = (hashes, axisOrder) => `"${[...hashes, ...getVariantParts({ axisOrder })].join('.')}"`;
+
+  // Parse a comma-separated assets= list of FEATURE:SITECODE pairs into { assets, invalid }.
+  // Duplicates are dropped; otherwise assets keep the order given.
+  const parseAssetList = (features, value) => {
+    const pairs = [...new Set(value.split(',').map(pair => pair.trim()).filter(pair => pair))];
+    const assets = [];
+    const invalid = [];
+    pairs.forEach((pair) => {
+      const [feature, siteCode, ...rest] = pair.split(':');
+      if (!rest.length && Object.keys(features).includes(feature) && features[feature].includes(siteCode)) {
+        assets.push({ feature, siteCode });
+      } else {
+        invalid.push(pair);
+      }
+    });
+    return { assets, invalid };
+  };
+
+  // Stream the given assets as a download named fileName. As with /sites/:siteCode, assets
+  // that failed to cache are left out.
+  const sendDownload = (ctx, assets, fileName) => {
+    const {
+      generation,
+      assetHashes,
+      spatialIndex,
+      buildTimestamp,
+    } = ctx.state.cache;
+    const { axisOrder, format } = ctx.state.query;
+    const cachedAssets = assets.filter(({ feature, siteCode }) => spatialIndex[feature][siteCode]);
+    const selectionHash = getContentHash(cachedAssets
+      .map(({ feature, siteCode }) => `${feature}:${siteCode}:${assetHashes[feature][siteCode]}`)
+      .join(','));
+    // ZIP entries are deflated as they're written; anything else is left to the compression
+    // middleware and so only gets a weak ETag
+    const isZip = format === DOWNLOAD_FORMATS.ZIP;
+    const etagParts = [selectionHash, ...getVariantParts({ axisOrder }), format];
+    if (isFresh(ctx, isZip ? `"${etagParts.join('.')}"` : `W/"${etagParts.join('.')}"`)) {
+      ctx.status = 304;
+      return;
+    }
+    const { contentType, extension } = DOWNLOAD_FORMAT_DEFINITIONS[format];
+    ctx.attachment(`${fileName}.${extension}`);
+    ctx.set('Content-Type', contentType);
+    ctx.compress = !isZip;
+    ctx.body = streamDownload(generation, cachedAssets, { format, axisOrder, mtime: new Date(buildTimestamp) });
+  };
+
+  // The docs page is Swagger UI served from swagger-ui-dist; only these files of it are needed
+  const DOCS_PAGE = fs.readFileSync(path.join(__dirname, 'public', 'docs.html'));
+  const DOCS_ASSETS = ['swagger-ui.css', 'swagger-ui-bundle.js'];
+
+  /**
+     Routes
+     Every route is defined once in routes.js: its path, parameters and responses. handle()
+     registers the handler for a route behind validation of its parameters, so handlers read
+     coerced and defaulted values from ctx.state.params / ctx.state.query and only check what
+     the schemas can't express. Routes must be handled in the order they are defined.
+  */
+  const handledRoutes = [];
+  const handle = (operationId, handler) => {
+    const route = getRoute(operationId);
+    const validate = compileValidator(route);
+    router.get(toRouterPath(route.path), async (ctx, next) => {
+      ctx.state.route = route.path;
+      const { features, sites, siteAliases } = ctx.state.cache;
+      const {
+        status,
+        body,
+        location,
+        params,
+        query,
+      } = validate(ctx.params, ctx.query, { features, sites, siteAliases });
+      if (location) {
+        ctx.redirect(ctx.querystring ? `${location}?${ctx.querystring}` : location);
+        ctx.status = status;
+        return;
+      }
+      if (body) {
+        ctx.status = status;
+        ctx.body = body;
+        return;
+      }
+      ctx.state.params = params;
+      ctx.state.query = query;
+      await handler(ctx, next);
+    });
+    handledRoutes.push(operationId);
+  };
+
+  // Add a root route that lists all available API routes
+  handle('listRoutes', (ctx, next) => {
+    ctx.body = getRouteList();
+  });
+
+  // /health - health check; if we're running we're good.
+  // Buried below API root since it's only checked internally.
+  handle('getHealth', (ctx, next) => {
+    ctx.status = 200;
+    ctx.body = { status: 'UP' };
+  });
+
+  // /health/live - the same as /health; a process that can answer is alive, even while draining
+  handle('getLiveness', (ctx, next) => {
+    ctx.status = 200;
+    ctx.body = { status: 'UP' };
+  });
+
+  // /health/ready - whether to route requests here: not while draining, and (if strict) not with
+  // any asset missing from the cache generation being served
+  handle('getReadiness', (ctx, next) => {
+    const { generation, features, failedAssets = [] } = ctx.state.cache;
+    const draining = isDraining();
+    const isDown = draining || !generation || (ctx.state.query.strict && failedAssets.length > 0);
+    const status = isDown ? 'DOWN' : (failedAssets.length ? 'DEGRADED' : 'UP');
+    ctx.set('Cache-Control', 'no-store');
+    ctx.status = isDown ? 503 : 200;
+    ctx.body = {
+      status,
+      generation: generation || null,
+      assetCount: Object.values(features || {}).reduce((count, siteCodes) => count + siteCodes.length, 0),
+      failedAssets,
+      draining,
+    };
+  });
+
+  // /metrics - Prometheus metrics; see metrics.js
+  handle('getMetrics', async (ctx, next) => {
+    ctx.body = await getMetrics();
+    ctx.type = register.contentType;
+  });
+
+  // /openapi.json - the OpenAPI document for the current cache generation's features
+  handle('getOpenAPI', (ctx, next) => {
+    ctx.body = getOpenAPIDocument({
+      title: 'NEON ArcGIS Asset API',
+      version: packageJSON.version,
+      description: packageJSON.description,
+      featureKeys: Object.keys(ctx.state.cache.features),
+    });
+  });
+
+  // /docs - interactive docs for /openapi.json
+  handle('getDocs', (ctx, next) => {
+    ctx.type = 'html';
+    ctx.body = DOCS_PAGE;
+  });
+
+  handle('getDocsAsset', (ctx, next) => {
+    const { file } = ctx.state.params;
+    if (!DOCS_ASSETS.includes(file)) {
+      sendError(ctx, 404, ERROR_CODES.NOT_FOUND, 'Not Found');
+      return;
+    }
+    ctx.type = path.extname(file);
+    ctx.set('Cache-Control', `public, max-age=${CACHE_MAX_AGE}`);
+    ctx.body = fs.createReadStream(path.join(swaggerUiDist.getAbsoluteFSPath(), file));
+  });
+
+  // {API_ROOT} - list all feature keys
+  handle('listFeatures', (ctx, next) => {
+    const { features, featuresHash } = ctx.state.cache;
+    if (isFresh(ctx, `"${featuresHash}"`)) {
+      ctx.status = 304;
+      return;
+    }
+    ctx.body = {
+      features: Object.keys(features),
+    };
+  });
+
+  // {API_ROOT}/query/bbox - list all Feature / Site Codes intersecting a bbox
+  // bbox is west,south,east,north in decimal degrees as per RFC 7946
+  handle('queryBBox', async (ctx, next) => {
+    const { generation, features } = ctx.state.cache;
+    const bbox = ctx.state.query.bbox.split(',').map(parseFloat);
+    if (!isValidBBox(bbox)) {
+      sendError(ctx, 400, ERROR_CODES.INVALID_PARAMETER, 'Invalid bbox; expected bbox=west,south,east,north', { parameter: 'bbox' });
+      return;
+    }
+    const featureKeys = getFeatureKeys(features, ctx.state.query.features);
+    ctx.body = {
+      bbox,
+      features: await queryBBox(generation, featureKeys, bbox),
+    };
+  });
+
+  // {API_ROOT}/query/point - list all polygon Feature / Site Codes containing a lat/lng
+  handle('queryPoint', async (ctx, next) => {
+    const { generation, features } = ctx.state.cache;
+    const { lat, lng } = ctx.state.query;
+    const featureKeys = getFeatureKeys(features, ctx.state.query.features);
+    ctx.body = {
+      point: { lat, lng },
+      features: await queryPoint(generation, featureKeys, lng, lat),
+    };
+  });
+
+  // {API_ROOT}/tiles/{FEATURE}/{Z}/{X}/{Y}.pbf - return a vector tile of all Sites for a Feature
+  handle('getTile', async (ctx, next) => {
+    const { generation, features } = ctx.state.cache;
+    const {
+      feature,
+      z,
+      x,
+      y,
+    } = ctx.state.params;
+    const tileCount = 2 ** z;
+    const outOfRange = ['x', 'y'].find(param => ctx.state.params[param] >= tileCount);
+    if (outOfRange) {
+      sendError(ctx, 400, ERROR_CODES.INVALID_PARAMETER, `Invalid tile coordinates; x / y must be 0 to 2^z - 1`, { parameter: outOfRange });
+      return;
+    }
+    const tile = await getVectorTile(generation, feature, features[feature], z, x, y);
+    if (!tile) {
+      ctx.status = 204;
+      return;
+    }
+    ctx.set('Content-Type', 'application/vnd.mapbox-vector-tile');
+    // Tiles are not a compressible type by default but protobuf compresses well
+    ctx.compress = true;
+    ctx.body = tile;
+  });
+
+  // {API_ROOT}/sites - list all Site Codes and the Features available for each
+  handle('listSites', (ctx, next) => {
+    const { sites } = ctx.state.cache;
+    ctx.body = { sites };
+  });
+
+  // {API_ROOT}/sites/{SITECODE} - return all Features for a Site Code as a FeatureCollection
+  handle('getSite', async (ctx, next) => {
+    const { generation, features, sites } = ctx.state.cache;
+    const { siteCode } = ctx.state.params;
+    const featureKeys = getFeatureKeys(features, ctx.state.query.features);
+    const siteFeatureKeys = featureKeys.filter(key => sites[siteCode].includes(key));
+    ctx.body = await getSiteFeatureCollection(generation, siteCode, siteFeatureKeys, ctx.state.query.axisOrder);
+  });
+
+  // {API_ROOT}/sites/{SITECODE}/{OPERATION} - intersection, union or difference of two Features
+  // of a Site Code, given as ?features=A,B (the difference is A less B)
+  handle('getOverlay', async (ctx, next) => {
+    const { generation, assetHashes } = ctx.state.cache;
+    const { siteCode, operation } = ctx.state.params;
+    const { axisOrder } = ctx.state.query;
+    const featureKeys = ctx.state.query.features.split(',').map(key => key.trim());
+    const hashes = featureKeys.map(feature => assetHashes[feature][siteCode]);
+    if (!hashes.every(hash => hash)) {
+      sendError(ctx, 404, ERROR_CODES.ASSET_NOT_FOUND, assetNotFoundMessage);
+      return;
+    }
+    if (isFresh(ctx, `W/"${[...hashes, operation, ...getVariantParts({ axisOrder })].join('.')}"`)) {
+      ctx.status = 304;
+      return;
+    }
+    const assets = await Promise.all(featureKeys.map(feature => getOperationAsset(generation, feature, siteCode)));
+    if (!assets.every(asset => asset)) {
+      sendError(ctx, 404, ERROR_CODES.ASSET_NOT_FOUND, assetNotFoundMessage);
+      return;
+    }
+    const geometry = overlayGeometries(operation, assets[0].geometry, assets[1].geometry);
+    sendOperationResult(ctx, geometry, { siteCode, operation, features: featureKeys });
+  });
+
+  // {API_ROOT}/download - stream a selection of Feature / Site Code assets as one download
+  handle('downloadAssets', (ctx, next) => {
+    const { features } = ctx.state.cache;
+    const { assets, invalid } = parseAssetList(features, ctx.state.query.assets);
+    if (invalid.length || !assets.length) {
+      sendError(ctx, 400, ERROR_CODES.INVALID_ASSETS, invalid.length
+        ? `Invalid assets: ${invalid.join(', ')}`
+        : 'Invalid assets; expected assets= as comma-separated FEATURE:SITECODE pairs', {
+        parameter: 'assets',
+        invalidAssets: invalid,
+      });
+      return;
+    }
+    sendDownload(ctx, assets, 'assets');
+  });
+
+  // {API_ROOT}/download/{FEATURE} - stream every Site Code asset for a Feature as one download
+  handle('downloadFeature', (ctx, next) => {
+    const { features } = ctx.state.cache;
+    const { feature } = ctx.state.params;
+    sendDownload(ctx, features[feature].map(siteCode => ({ feature, siteCode })), feature);
+  });
+
+  // {API_ROOT}/metadata - provenance and per-Site metadata for all Features
+  handle('getMetadata', (ctx, next) => {
+    const { features, metadata, metadataHash } = ctx.state.cache;
+    const { axisOrder } = ctx.state.query;
+    if (!metadata) {
+      sendError(ctx, 404, ERROR_CODES.METADATA_NOT_AVAILABLE, metadataUnavailableMessage);
+      return;
+    }
+    if (isFresh(ctx, getMetadataETag([metadataHash], axisOrder))) {
+      ctx.status = 304;
+      return;
+    }
+    ctx.body = {
+      features: Object.keys(features).reduce((acc, feature) => ({
+        ...acc,
+        [feature]: {
+          provenance: getProvenance(metadata, feature),
+          sites: getSitesMetadata(metadata, feature, axisOrder),
+        },
+      }), {}),
+    };
+  });
+
+  // {API_ROOT}/metadata/{FEATURE} - provenance and per-Site metadata for a given Feature
+  handle('getFeatureMetadata', (ctx, next) => {
+    const { metadata, metadataHash } = ctx.state.cache;
+    const { feature } = ctx.state.params;
+    const { axisOrder } = ctx.state.query;
+    if (!metadata) {
+      sendError(ctx, 404, ERROR_CODES.METADATA_NOT_AVAILABLE, metadataUnavailableMessage);
+      return;
+    }
+    if (isFresh(ctx, getMetadataETag([metadataHash], axisOrder))) {
+      ctx.status = 304;
+      return;
+    }
+    ctx.body = {
+      feature,
+      provenance: getProvenance(metadata, feature),
+      sites: getSitesMetadata(metadata, feature, axisOrder),
+    };
+  });
+
+  // {API_ROOT}/metadata/{FEATURE}/{SITECODE} - metadata for a single asset
+  handle('getAssetMetadata', (ctx, next) => {
+    const { metadata, metadataHash } = ctx.state.cache;
+    const { feature, siteCode } = ctx.state.params;
+    const { axisOrder } = ctx.state.query;
+    const siteMetadata = metadata && getSitesMetadata(metadata, feature, axisOrder)[siteCode];
+    if (!siteMetadata) {
+      sendError(ctx, 404, ERROR_CODES.METADATA_NOT_AVAILABLE, metadataUnavailableMessage);
+      return;
+    }
+    if (isFresh(ctx, getMetadataETag([metadataHash], axisOrder))) {
+      ctx.status = 304;
+      return;
+    }
+    ctx.body = {
+      feature,
+      siteCode,
+      provenance: getProvenance(metadata, feature),
+      ...siteMetadata,
+    };
+  });
+
+  /**
+     Versions
+     Every build is recorded as an immutable version (see versions.js) in the versions/ directory
+     of the tree the generation was built from. The version list comes with the generation; each
+     version is read from disk when first requested.
+  */
+  // The version named in the path with its summary from the list, or null having responded 404
+  const readPathVersion = async (ctx) => {
+    const { dataDir, versions } = ctx.state.cache;
+    const { version } = ctx.state.params;
+    const summary = versions.find(entry => entry.version === version);
+    const versionData = summary && await readVersion(dataDir, version);
+    if (!versionData) {
+      sendError(ctx, 404, ERROR_CODES.VERSION_NOT_FOUND, 'Version not found', {
+        parameter: 'version',
+        validOptions: versions.map(entry => entry.version),
+      });
+      return null;
+    }
+    return { ...summary, ...versionData };
+  };
+
+  const getVersionCaching = ({ version, timestamp }) => ({
+    etag: `${version}.${new Date(timestamp).getTime()}`,
+    lastModified: new Date(timestamp).toUTCString(),
+  });
+
+  // {API_ROOT}/versions - list every version with counts of what changed since the one before
+  handle('listVersions', (ctx, next) => {
+    const { versions } = ctx.state.cache;
+    if (isFresh(ctx, `"${getContentHash(JSON.stringify(versions))}"`)) {
+      ctx.status = 304;
+      return;
+    }
+    ctx.body = { versions };
+  });
+
+  // {API_ROOT}/versions/{VERSION} - the features of a version and its full change report
+  handle('getVersion', async (ctx, next) => {
+    const version = await readPathVersion(ctx);
+    if (!version) { return; }
+    const { etag, lastModified } = getVersionCaching(version);
+    if (isFresh(ctx, `"${etag}"`, { lastModified, immutable: true })) {
+      ctx.status = 304;
+      return;
+    }
+    ctx.body = {
+      version: version.version,
+      timestamp: version.timestamp,
+      previousVersion: version.previousVersion,
+      features: version.features,
+      changes: version.changes.features,
+      failedFeatures: version.failedFeatures,
+    };
+  });
+
+  // {API_ROOT}/versions/{VERSION}/{FEATURE}/{SITECODE} - an asset as it was in a version
+  // Optional ?zoom= or ?tolerance= serves simplified geometry, as for current assets
+  handle('getVersionAsset', async (ctx, next) => {
+    const { dataDir } = ctx.state.cache;
+    const { feature, siteCode } = ctx.state.params;
+    const { axisOrder } = ctx.state.query;
+    const simplification = getSimplification(ctx);
+    if (!simplification) { return; }
+    const version = await readPathVersion(ctx);
+    if (!version) { return; }
+    const assetHash = getAssetHash(version.manifest, feature, siteCode);
+    const assetData = assetHash && await readVersionAsset(dataDir, feature, siteCode, assetHash);
+    if (!assetData) {
+      sendError(ctx, 404, ERROR_CODES.ASSET_NOT_FOUND, `Feature and Site Code not found in version ${version.version}`);
+      return;
+    }
+    // Left to the compression middleware, so only a weak ETag
+    const etagParts = [assetHash, ...getVariantParts({ axisOrder, zoom: simplification.zoom })];
+    if (simplification.tolerance !== undefined) { etagParts.push(`t${simplification.tolerance}`); }
+    const { lastModified } = getVersionCaching(version);
+    if (isFresh(ctx, `W/"${etagParts.join('.')}"`, { lastModified, immutable: true })) {
+      ctx.status = 304;
+      return;
+    }
+    let asset = JSON.parse(assetData);
+    if (simplification.zoom !== undefined || simplification.tolerance !== undefined) {
+      const { zoom, tolerance } = simplification;
+      asset = simplify(asset, tolerance !== undefined ? tolerance : zoomToTolerance(zoom));
+    }
+    if (axisOrder === AXIS_ORDERS.LNGLAT) {
+      asset = swapAxisOrder(asset);
+    }
+    ctx.body = asset;
+    // Set after the body; Koa types every object body as application/json
+    ctx.set('Content-Type', FORMAT_DEFINITIONS[FORMATS.GEOJSON].contentType);
+  });
+
+  // {API_ROOT}/{FEATURE}/{SITECODE}/buffer - the asset buffered by ?distance= meters
+  handle('getBuffer', async (ctx, next) => {
+    const { generation, assetHashes } = ctx.state.cache;
+    const { feature, siteCode } = ctx.state.params;
+    const { distance, axisOrder } = ctx.state.query;
+    const assetHash = assetHashes[feature][siteCode];
+    if (!assetHash) {
+      sendError(ctx, 404, ERROR_CODES.ASSET_NOT_FOUND, assetNotFoundMessage);
+      return;
+    }
+    if (isFresh(ctx, `W/"${[assetHash, `b${distance}`, ...getVariantParts({ axisOrder })].join('.')}"`)) {
+      ctx.status = 304;
+      return;
+    }
+    const asset = await getOperationAsset(generation, feature, siteCode);
+    if (!asset) {
+      sendError(ctx, 404, ERROR_CODES.ASSET_NOT_FOUND, assetNotFoundMessage);
+      return;
+    }
+    const { geometry, tolerance } = bufferGeometry(asset.geometry, distance);
+    sendOperationResult(ctx, geometry, {
+      feature,
+      siteCode,
+      distance,
+      tolerance,
+    });
+  });
+
+  // {API_ROOT}/{FEATURE}/{SITECODE}/measure - geodesic area and length of the asset, compared
+  // with its own areaKm2 property where it has one
+  handle('getMeasurement', async (ctx, next) => {
+    const { generation, assetHashes } = ctx.state.cache;
+    const { feature, siteCode } = ctx.state.params;
+    const assetHash = assetHashes[feature][siteCode];
+    if (!assetHash) {
+      sendError(ctx, 404, ERROR_CODES.ASSET_NOT_FOUND, assetNotFoundMessage);
+      return;
+    }
+    if (isFresh(ctx, `W/"${assetHash}.measure"`)) {
+      ctx.status = 304;
+      return;
+    }
+    const asset = await getOperationAsset(generation, feature, siteCode);
+    if (!asset) {
+      sendError(ctx, 404, ERROR_CODES.ASSET_NOT_FOUND, assetNotFoundMessage);
+      return;
+    }
+    const { areaKm2, lengthKm } = measureGeometry(asset.geometry);
+    const storedAreaKm2 = typeof asset.properties.areaKm2 === 'number' ? asset.properties.areaKm2 : null;
+    ctx.body = {
+      feature,
+      siteCode,
+      geometryType: asset.geometry ? asset.geometry.type : null,
+      areaKm2,
+      lengthKm,
+      storedAreaKm2,
+      areaKm2Difference: storedAreaKm2 === null ? null : Math.round((areaKm2 - storedAreaKm2) * 1e6) / 1e6,
+    };
+  });
+
+  // {API_ROOT}/{FEATURE} - list all valid Site Codes for a given Feature
+  // Optional ?detail=true adds provenance and per-Site metadata
+  handle('getFeature', (ctx, next) => {
+    const {
+      features,
+      featuresHash,
+      metadata,
+      metadataHash,
+    } = ctx.state.cache;
+    const { feature } = ctx.state.params;
+    const { detail, axisOrder } = ctx.state.query;
+    if (detail && !metadata) {
+      sendError(ctx, 404, ERROR_CODES.METADATA_NOT_AVAILABLE, metadataUnavailableMessage);
+      return;
+    }
+    const etag = detail ? getMetadataETag([featuresHash, metadataHash], axisOrder) : `"${featuresHash}"`;
+    if (isFresh(ctx, etag)) {
+      ctx.status = 304;
+      return;
+    }
+    ctx.body = {
+      siteCodes: features[feature],
+    };
+    if (detail) {
+      ctx.body.provenance = getProvenance(metadata, feature);
+      ctx.body.sites = getSitesMetadata(metadata, feature, axisOrder);
+    }
+  });
+
+  // {API_ROOT}/{FEATURE}/{SITECODE} - return the corresponding asset JSON
+  // Optional ?axisOrder=lnglat serves RFC 7946 coordinate order instead of Leaflet's lat/lng
+  // Optional ?zoom= (web map zoom level) or ?tolerance= (degrees) serves simplified geometry
+  // Optional ?format= (or Accept header) serves KML, GPX, a zipped Shapefile or CSV with WKT
+  // Optional ?parts=true and/or property filters (e.g. ?priority=1) serve the site's parts
+  // Optional ?asOf= (a date) redirects to the asset in the version current on that date
+  handle('getAsset', async (ctx, next) => {
+    const { generation, assetHashes, spatialIndex } = ctx.state.cache;
+    const { feature, siteCode } = ctx.state.params;
+    const { axisOrder, parts, asOf } = ctx.state.query;
+    const simplification = getSimplification(ctx);
+    if (!simplification) { return; }
+    const format = getFormat(ctx);
+    const isGeoJSON = format === FORMATS.GEOJSON;
+    const filters = getPropertyFilters(ctx.query, (spatialIndex[feature][siteCode] || {}).properties || []);
+    if (asOf !== undefined) {
+      redirectAsOf(ctx, { isWholeGeoJSON: isGeoJSON && !parts && !Object.keys(filters).length });
+      return;
+    }
+    const assetHash = assetHashes[feature][siteCode];
+    if (!assetHash) {
+      sendError(ctx, 404, ERROR_CODES.ASSET_NOT_FOUND, 'Feature and Site Code are valid but asset not found');
+      return;
+    }
+    if (parts || Object.keys(filters).length) {
+      if (!isGeoJSON) {
+        sendError(ctx, 400, ERROR_CODES.UNSUPPORTED_FORMAT, 'Parts and property filters are only available as GeoJSON', {
+          parameter: 'format',
+          validOptions: [FORMATS.GEOJSON],
+        });
+        return;
+      }
+      await sendParts(ctx, {
+        feature,
+        siteCode,
+        axisOrder,
+        simplification,
+        filters,
+      });
+      return;
+    }
+    const { type: geometryType } = spatialIndex[feature][siteCode];
+    if (!isGeoJSON && !formatSupportsGeometryType(format, geometryType)) {
+      sendError(ctx, 400, ERROR_CODES.UNSUPPORTED_FORMAT, `Format ${format} is not available for ${geometryType} geometry`, {
+        parameter: 'format',
+        validOptions: Object.values(FORMATS).filter(option => formatSupportsGeometryType(option, geometryType)),
+      });
+      return;
+    }
+    const isOnDemand = simplification.tolerance !== undefined
+      || (simplification.zoom !== undefined && !isPrecomputedZoom(simplification.zoom));
+    // All other formats are converted from RFC 7946 GeoJSON, which shares their axis order
+    const dataAxisOrder = isGeoJSON ? axisOrder : AXIS_ORDERS.LNGLAT;
+    // Only cached GeoJSON variants are served precompressed; anything simplified on demand or
+    // converted to another format is left to the compression middleware
+    const isPrecompressed = isGeoJSON && !isOnDemand;
+    const encoding = isPrecompressed ? negotiateEncoding(ctx) : ENCODINGS.IDENTITY;
+    // Responses that may yet be compressed by middleware only get a weak ETag
+    const etagParts = [
+      assetHash,
+      ...getVariantParts({ axisOrder: dataAxisOrder, zoom: simplification.zoom, encoding }),
+    ];
+    if (simplification.tolerance !== undefined) { etagParts.push(`t${simplification.tolerance}`); }
+    if (!isGeoJSON) { etagParts.push(format); }
+    const etag = isPrecompressed ? `"${etagParts.join('.')}"` : `W/"${etagParts.join('.')}"`;
+    if (isFresh(ctx, etag)) {
+      ctx.status = 304;
+      return;
+    }
+    const assetData = isOnDemand
+      ? await getSimplifiedAssetData(generation, feature, siteCode, dataAxisOrder, simplification)
+      : await getAssetData(generation, feature, siteCode, { axisOrder: dataAxisOrder, zoom: simplification.zoom, encoding });
+    if (!assetData) {
+      sendError(ctx, 404, ERROR_CODES.ASSET_NOT_FOUND, 'Feature and Site Code are valid but asset not found');
+      return;
+    }
+    const { contentType, extension, serialize } = FORMAT_DEFINITIONS[format];
+    if (isGeoJSON) {
+      ctx.set('Content-Type', contentType);
+      if (encoding !== ENCODINGS.IDENTITY) {
+        ctx.set('Content-Encoding', encoding);
+      }
+      ctx.body = assetData;
+      return;
+    }
+    const asset = JSON.parse(assetData);
+    const fileName = `${feature}_${siteCode}`;
+    ctx.attachment(`${fileName}.${extension}`);
+    ctx.set('Content-Type', contentType);
+    ctx.body = await serialize({ ...asset, geometry: normalizeGeometry(asset.geometry) }, fileName);
+  });
+
+  /**
+     OGC API - Features
+     A standard facade over the same cached assets for GIS clients (see ogc.js). Errors follow
+     the standard: unknown collections and features are 404, invalid params 400.
+  */
+  // {OGC_ROOT} - landing page
+  handle('getOGCLandingPage', (ctx, next) => {
+    ctx.body = getLandingPage(getOGCBaseUrl(ctx), ctx.origin);
+  });
+
+  // {OGC_ROOT}/conformance - conformance classes implemented
+  handle('getOGCConformance', (ctx, next) => {
+    ctx.body = getConformance();
+  });
+
+  // {OGC_ROOT}/collections - one collection per Feature
+  handle('getOGCCollections', (ctx, next) => {
+    const { features, spatialIndex } = ctx.state.cache;
+    ctx.body = getCollections(getOGCBaseUrl(ctx), Object.keys(features), spatialIndex);
+  });
+
+  // {OGC_ROOT}/collections/{FEATURE} - a single collection
+  handle('getOGCCollection', (ctx, next) => {
+    const { spatialIndex } = ctx.state.cache;
+    const { collectionId } = ctx.state.params;
+    ctx.body = getCollection(getOGCBaseUrl(ctx), collectionId, Object.values(spatialIndex[collectionId]));
+  });
+
+  // {OGC_ROOT}/collections/{FEATURE}/items - a page of Sites, optionally within a bbox
+  handle('getOGCItems', async (ctx, next) => {
+    const { generation, features, spatialIndex } = ctx.state.cache;
+    const { collectionId } = ctx.state.params;
+    const { limit, offset } = ctx.state.query;
+    const bbox = ctx.state.query.bbox ? ctx.state.query.bbox.split(',').map(Number) : null;
+    if (bbox && !isValidBBox(bbox)) {
+      sendError(ctx, 400, ERROR_CODES.INVALID_PARAMETER, 'Invalid bbox; expected bbox=west,south,east,north in CRS84', { parameter: 'bbox' });
+      return;
+    }
+    // Only sites actually in the cache count towards numberMatched
+    const siteCodes = bbox
+      ? (await queryBBox(generation, [collectionId], bbox))[collectionId]
+      : features[collectionId].filter(siteCode => spatialIndex[collectionId][siteCode]);
+    const assets = await getOGCAssets(generation, collectionId, siteCodes.slice(offset, offset + limit));
+    ctx.body = getItemsPage(getOGCBaseUrl(ctx), collectionId, assets, {
+      bbox,
+      limit,
+      offset,
+      numberMatched: siteCodes.length,
+    });
+    ctx.set('Content-Type', OGC_CONTENT_TYPES.GEOJSON);
+  });
+
+  // {OGC_ROOT}/collections/{FEATURE}/items/{SITECODE} - a single Site
+  handle('getOGCItem', async (ctx, next) => {
+    const { generation, assetHashes } = ctx.state.cache;
+    const { collectionId, featureId } = ctx.state.params;
+    const assetHash = assetHashes[collectionId][featureId];
+    if (!assetHash) {
+      sendError(ctx, 404, ERROR_CODES.NOT_FOUND, 'Feature not found');
+      return;
+    }
+    if (isFresh(ctx, `W/"${[assetHash, ...getVariantParts({ axisOrder: AXIS_ORDERS.LNGLAT }), 'ogc'].join('.')}"`)) {
+      ctx.status = 304;
+      return;
+    }
+    const [asset] = await getOGCAssets(generation, collectionId, [featureId]);
+    if (!asset) {
+      sendError(ctx, 404, ERROR_CODES.NOT_FOUND, 'Feature not found');
+      return;
+    }
+    ctx.body = toItem(getOGCBaseUrl(ctx), collectionId, asset);
+    ctx.set('Content-Type', OGC_CONTENT_TYPES.GEOJSON);
+  });
+
+  const unhandledRoutes = ROUTES.map(({ operationId }) => operationId)
+    .filter((operationId, i) => handledRoutes[i] !== operationId);
+  if (unhandledRoutes.length) {
+    throw new Error(`Routes not handled in the order defined in routes.js: ${unhandledRoutes.join(', ')}`);
+  }
+
+  api.use(router.routes());
+  api.use(router.allowedMethods());
+  return api;
+};
+
+module.exports = {
+  createApp,
+};
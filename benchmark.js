@@ -0,0 +1,238 @@
+'use strict';
+
+const cluster = require('cluster');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const memored = require('memored');
+
+const { AXIS_ORDERS, DEFAULT_AXIS_ORDER } = require('./geometry');
+const log = require('./logger');
+
+/**
+   Cache store benchmark
+   Builds a cache generation of the asset tree in the current directory (or --data-dir) in each
+   of the given stores (see stores.js) and reports the time to build it, the memory it takes and
+   the latency of reading asset variants from it. Each store is benchmarked in a worker of its own
+   while this process is the cluster master, so memored is measured as the API uses it: asset data
+   held by the master and read over IPC.
+
+   $ node --expose-gc benchmark.js [--stores memored,memory,memory:32,file] [--reads 1000]
+
+   A store is a CACHE_STORE value, with a budget in MB after a colon for memory stores. Reads are
+   of variants picked at random (the same sequence for every store) from every asset in every
+   axis order, precomputed zoom level and encoding.
+*/
+const DEFAULT_STORES = ['memored', 'memory', 'memory:32', 'file'];
+const DEFAULT_READS = 1000;
+
+const MB = 1024 * 1024;
+
+const parseArgs = (args) => {
+  const options = { stores: DEFAULT_STORES, reads: DEFAULT_READS, dataDir: '.' };
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split('=');
+    const value = inlineValue !== undefined ? inlineValue : args[++i];
+    if (value === undefined) { throw new Error(`${flag} requires a value`); }
+    if (flag === '--stores') {
+      options.stores = value.split(',').map(store => store.trim()).filter(store => store);
+    } else if (flag === '--reads') {
+      options.reads = Number(value);
+      if (!Number.isInteger(options.reads) || options.reads < 1) {
+        throw new Error('--reads must be a positive integer');
+      }
+    } else if (flag === '--data-dir') {
+      options.dataDir = value;
+    } else {
+      throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+  return options;
+};
+
+const toMB = bytes => (bytes / MB).toFixed(1);
+
+const collectGarbage = () => {
+  if (global.gc) { global.gc(); }
+};
+
+// Deterministic so every store reads the same variants in the same order
+const createRandom = (seed) => {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const getPercentile = (sorted, percentile) => (
+  sorted[Math.min(sorted.length - 1, Math.floor((percentile / 100) * sorted.length))]
+);
+
+const getDirectorySize = dir => fs.readdirSync(dir)
+  .reduce((size, fileName) => size + fs.statSync(path.join(dir, fileName)).size, 0);
+
+/**
+   Worker - build and read one store, reporting to the master
+*/
+const runStoreBenchmark = async ({ store: storeSpec, reads, dataDir }) => {
+  const {
+    ENCODINGS,
+    SIMPLIFIED_ZOOM_LEVELS,
+    buildGeneration,
+    configureCache,
+    getAssetData,
+  } = require('./cache');
+  const { FILE_STORE_DIR_NAME, createStore, getStoreConfig } = require('./stores');
+
+  const [type, budget] = storeSpec.split(':');
+  const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arcgis-assets-benchmark-'));
+  const storeConfig = getStoreConfig({ CACHE_STORE: type, CACHE_MEMORY_BUDGET_MB: budget, CACHE_DIR: cacheDir });
+  const store = createStore(storeConfig);
+
+  // Count everything stored, whichever store holds it
+  let storedBytes = 0;
+  configureCache({
+    store: {
+      ...store,
+      store: (key, value) => {
+        if (Buffer.isBuffer(value)) { storedBytes += value.length; }
+        return store.store(key, value);
+      },
+    },
+    dataDir,
+  });
+
+  const startTime = Date.now();
+  const { error, failedAssets } = await buildGeneration(1);
+  if (error) { throw new Error(error); }
+  const buildSeconds = (Date.now() - startTime) / 1000;
+  collectGarbage();
+  const memory = process.memoryUsage();
+
+  const features = JSON.parse(fs.readFileSync(path.join(dataDir, 'features.json')));
+  const assets = Object.keys(features).flatMap(feature => features[feature].map(siteCode => [feature, siteCode]));
+  const variants = [];
+  [DEFAULT_AXIS_ORDER, AXIS_ORDERS.LNGLAT].forEach((axisOrder) => {
+    [null, ...SIMPLIFIED_ZOOM_LEVELS].forEach((zoom) => {
+      Object.values(ENCODINGS).forEach(encoding => variants.push({ axisOrder, zoom, encoding }));
+    });
+  });
+  const random = createRandom(22);
+  const latencies = [];
+  let readBytes = 0;
+  for (let i = 0; i < reads; i++) {
+    const [feature, siteCode] = assets[Math.floor(random() * assets.length)];
+    const variant = variants[Math.floor(random() * variants.length)];
+    const readStart = process.hrtime.bigint();
+    const data = await getAssetData(1, feature, siteCode, variant);
+    latencies.push(Number(process.hrtime.bigint() - readStart) / 1e6);
+    readBytes += data ? data.length : 0;
+  }
+  latencies.sort((a, b) => a - b);
+
+  const result = {
+    store: storeSpec,
+    assetCount: assets.length,
+    failedAssets: failedAssets.length,
+    buildSeconds,
+    storedBytes,
+    workerRss: memory.rss,
+    workerHeapUsed: memory.heapUsed,
+    workerArrayBuffers: memory.arrayBuffers,
+    diskBytes: type === 'file' ? getDirectorySize(path.join(cacheDir, FILE_STORE_DIR_NAME)) : 0,
+    reads,
+    readBytes,
+    latency: {
+      mean: latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length,
+      p50: getPercentile(latencies, 50),
+      p95: getPercentile(latencies, 95),
+      p99: getPercentile(latencies, 99),
+    },
+  };
+  fs.rmSync(cacheDir, { recursive: true, force: true });
+  return result;
+};
+
+/**
+   Master - benchmark each store in turn in a fresh worker, then report
+*/
+const formatResults = results => [
+  '| Store | Build (s) | Cached (MB) | Worker heap + buffers (MB) | Worker RSS (MB) | Master RSS added (MB) | On disk (MB) | Read mean (ms) | p50 | p95 | p99 |',
+  '| --- | ---: | ---: | ---: | ---: | ---: | ---: | ---: | ---: | ---: | ---: |',
+  ...results.map(result => `| ${[
+    result.store,
+    result.buildSeconds.toFixed(1),
+    toMB(result.storedBytes),
+    toMB(result.workerHeapUsed + result.workerArrayBuffers),
+    toMB(result.workerRss),
+    toMB(result.masterRssAdded),
+    result.diskBytes ? toMB(result.diskBytes) : '-',
+    result.latency.mean.toFixed(2),
+    result.latency.p50.toFixed(2),
+    result.latency.p95.toFixed(2),
+    result.latency.p99.toFixed(2),
+  ].join(' | ')} |`),
+].join('\n');
+
+const benchmarkStore = (options, store) => new Promise((resolve, reject) => {
+  collectGarbage();
+  const masterRss = process.memoryUsage().rss;
+  const worker = cluster.fork({ BENCHMARK_OPTIONS: JSON.stringify({ ...options, store }) });
+  let result = null;
+  worker.on('message', (msg) => {
+    if (msg.benchmarkResult) {
+      // The worker still holds its cache, so memored's copy in the master is still live too
+      result = { ...msg.benchmarkResult, masterRssAdded: Math.max(0, process.memoryUsage().rss - masterRss) };
+      worker.send({ benchmarkDone: true });
+    }
+    if (msg.benchmarkError) { reject(new Error(`${store}: ${msg.benchmarkError}`)); }
+  });
+  worker.on('exit', () => {
+    memored.reset();
+    if (result) { return resolve(result); }
+    reject(new Error(`${store}: worker exited without a result`));
+  });
+});
+
+if (cluster.isMaster) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    log.error(err.message);
+    process.exit(1);
+  }
+  if (!global.gc) { log.warn('Run with node --expose-gc for more reliable memory figures'); }
+  (async () => {
+    const results = [];
+    for (const store of options.stores) {
+      log.info(`Benchmarking ${store} store...`);
+      const result = await benchmarkStore(options, store);
+      log.info(`${store}: ${result.assetCount - result.failedAssets} assets built in ${result.buildSeconds.toFixed(1)}s`);
+      results.push(result);
+    }
+    console.log(`\n${results[0].reads} reads per store; ${os.cpus().length} CPUs; Node ${process.version}\n`);
+    console.log(formatResults(results));
+  })().catch((err) => {
+    log.error(err.message);
+    process.exit(1);
+  });
+} else {
+  // Only the results are of interest
+  log.silent = true;
+  runStoreBenchmark(JSON.parse(process.env.BENCHMARK_OPTIONS))
+    .then((benchmarkResult) => {
+      process.send({ benchmarkResult });
+      process.on('message', (msg) => {
+        if (msg && msg.benchmarkDone) { process.exit(0); }
+      });
+    })
+    .catch((err) => {
+      process.send({ benchmarkError: err.message });
+      process.exit(1);
+    });
+}
@@ -1,12 +1,94 @@
 'use strict';
+const os = require('os');
 const path = require('path');
 const fs = require('fs');
 const fsExtra = require('fs-extra');
 const shp = require('shpjs');
 const fetch = require('node-fetch');
 const log = require('./logger');
+const { DEFAULT_THRESHOLDS, compareFeature, toMarkdown } = require('./changes');
+const { getSiteMetadata } = require('./metadata');
+const { DEFAULT_CONFIG_PATH, loadFeatureSources } = require('./sources');
+const { validateSiteGeometry } = require('./validation');
+const { VERSIONS_DIR_NAME, writeVersion } = require('./versions');
 
-process.env.NODE_ENV = 'DEVELOPMENT';
+const USAGE = `Usage: node build.js [options]
+
+Options:
+  --config <file>      Feature source config (default: ${path.basename(DEFAULT_CONFIG_PATH)})
+  --source-dir <dir>   Read source ZIP files from <dir> instead of downloading them
+  --only <features>    Comma-separated feature keys to rebuild (e.g. TOWER_AIRSHEDS,POUR_POINTS);
+                       all other features are left as they are
+  --out <dir>          Write assets/, features.json, build.json and versions/ to <dir> (default: this directory)
+  --keep-downloads     Reuse ZIP files already in downloads/ and leave them there when done
+  --dry-run            Build into a temporary directory and report what would change in the output
+  --metadata-only      Only regenerate metadata.json from the assets already in the output directory
+  --report-dir <dir>   Write build-report.json and build-report.md to <dir> (default: the output directory)
+  --area-threshold <percent>
+                       Report geometries whose area changes by more than <percent> (default: ${DEFAULT_THRESHOLDS.areaPercent})
+  --centroid-threshold <meters>
+                       Report geometries whose centroid moves more than <meters> (default: ${DEFAULT_THRESHOLDS.centroidMeters})
+  --help               Show this message`;
+
+/**
+   Command line arguments
+   Accepts both "--option value" and "--option=value". Throws on anything unrecognized.
+*/
+const parseArgs = (argv) => {
+  const options = {
+    config: undefined,
+    sourceDir: null,
+    only: null,
+    outDir: null,
+    reportDir: null,
+    keepDownloads: false,
+    dryRun: false,
+    metadataOnly: false,
+    help: false,
+  };
+  const flags = {
+    '--keep-downloads': 'keepDownloads',
+    '--dry-run': 'dryRun',
+    '--metadata-only': 'metadataOnly',
+    '--help': 'help',
+  };
+  const numbers = { '--area-threshold': 'areaThreshold', '--centroid-threshold': 'centroidThreshold' };
+  const values = {
+    '--config': 'config',
+    '--source-dir': 'sourceDir',
+    '--only': 'only',
+    '--out': 'outDir',
+    '--report-dir': 'reportDir',
+    ...numbers,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const [arg, inlineValue] = argv[i].split(/=(.*)/s);
+    if (flags[arg]) {
+      options[flags[arg]] = true;
+    } else if (values[arg]) {
+      const value = inlineValue !== undefined ? inlineValue : argv[++i];
+      if (!value || value.startsWith('--')) {
+        throw new Error(`Option ${arg} requires a value`);
+      }
+      options[values[arg]] = value;
+    } else {
+      throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+  Object.keys(numbers).forEach((arg) => {
+    const key = numbers[arg];
+    if (options[key] === undefined) { return; }
+    const value = Number(options[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`Option ${arg} must be a non-negative number`);
+    }
+    options[key] = value;
+  });
+  if (options.only) {
+    options.only = options.only.split(',').map(key => key.trim()).filter(key => key);
+  }
+  return options;
+};
 
 class AssetBuilder {
   startTime = '';
@@ -15,174 +97,184 @@ class AssetBuilder {
   ASSETS_PATH = '';
   FEATURES = '';
 
-  constructor() {
+  constructor(options = {}) {
     this.startTime = Date.now();
+    this.options = options;
 
+    // OUT_PATH is where the build is meant to land. A dry run builds into a temporary BUILD_PATH
+    // instead and compares the result against OUT_PATH.
+    this.OUT_PATH = options.outDir ? path.resolve(options.outDir) : __dirname;
+    this.BUILD_PATH = options.dryRun
+      ? fs.mkdtempSync(path.join(os.tmpdir(), 'arcgis-assets-'))
+      : this.OUT_PATH;
+    this.SOURCE_PATH = options.sourceDir ? path.resolve(options.sourceDir) : null;
+    this.REPORT_PATH = options.reportDir ? path.resolve(options.reportDir) : this.OUT_PATH;
     this.DOWNLOADS_PATH = path.join(__dirname, 'downloads');
-    this.ASSETS_PATH = path.join(__dirname, 'assets');
-
-    this.FEATURE_SOURCES = {
-      TOWER_AIRSHEDS: {
-        sourceId: 'd87cd176dd6a468294fc0ac70918c631',
-        zipFile: '90percentfootprint.zip',
-        parsed: false,
-      },
-      AQUATIC_REACHES: {
-        sourceId: '2391e7b863d74afcb066401224e28552',
-        zipFile: 'AquaticReach.zip',
-        parsed: false,
-      },
-      FLIGHT_BOX_BOUNDARIES: {
-        sourceId: 'f27616de7f9f401b8732cdf8902ab1d8',
-        zipFile: 'AOP_Flightboxes.zip',
-        parsed: false,
-      },
-      SAMPLING_BOUNDARIES: {
-        sourceId: '4a381f124a73490aa9ad7b1df914d6d8',
-        zipFile: 'Field_Sampling_Boundaries.zip',
-        parsed: false,
-      },
-      AQUATIC_WATERSHEDS: {
-        sourceId: '869c18de0c874c33b352efad0778a07a',
-        zipFile: 'NEONAquaticWatershed.zip',
-        parsed: false,
-      },
-      DRAINAGE_LINES: {
-        sourceId: '869c18de0c874c33b352efad0778a07a',
-        zipFile: 'NEONAquaticWatershed.zip',
-        parsed: false,
-      },
-      POUR_POINTS: {
-        sourceId: '869c18de0c874c33b352efad0778a07a',
-        zipFile: 'NEONAquaticWatershed.zip',
-        parsed: false,
-      },
-    };
+    this.ASSETS_PATH = path.join(this.BUILD_PATH, 'assets');
 
-    Object.keys(this.FEATURE_SOURCES).forEach((key) => { this.FEATURE_SOURCES[key].KEY = key; });
+    const { FEATURE_SOURCES, FEATURES } = loadFeatureSources(options.config);
+    this.FEATURE_SOURCES = FEATURE_SOURCES;
+    this.FEATURES = FEATURES;
     this.getSourceURL = sourceId => `https://neon.maps.arcgis.com/sharing/rest/content/items/${sourceId}/data`;
     this.checkFileExists = (filePath) => fs.existsSync(filePath);
 
-    this.FEATURES = {
-      TOWER_AIRSHEDS: {
-        source: this.FEATURE_SOURCES.TOWER_AIRSHEDS.KEY,
-        getProperties: (properties) => {
-          const { SiteID: siteCode } = properties;
-          return { siteCode };
-        },
-      },
-      AQUATIC_REACHES: {
-        source: this.FEATURE_SOURCES.AQUATIC_REACHES.KEY,
-        getProperties: (properties) => {
-          const { SiteID: siteCode, HUC12, UTM_Zone, AreaKm2: areaKm2 } = properties;
-          return { siteCode, HUC12, UTM_Zone, areaKm2 };
-        },
-      },
-      FLIGHT_BOX_BOUNDARIES: {
-        source: this.FEATURE_SOURCES.FLIGHT_BOX_BOUNDARIES.KEY,
-        getProperties: (properties) => {
-          const { siteID: siteCode, priority, version, flightbxID: flightBoxId } = properties;
-          return { siteCode, priority, version, flightBoxId };
-        },
-      },
-      SAMPLING_BOUNDARIES: {
-        source: this.FEATURE_SOURCES.SAMPLING_BOUNDARIES.KEY,
-        getProperties: (properties) => {
-          const { siteID: siteCode, areaKm2 } = properties;
-          return { siteCode, areaKm2 };
-        },
-      },
-      WATERSHED_BOUNDARIES: {
-        source: this.FEATURE_SOURCES.AQUATIC_WATERSHEDS.KEY,
-        geojsonFileName: 'NEONAquaticWatershed/NEON_Aquatic_Watershed',
-        getProperties: (properties) => {
-          const { SiteID: siteCode, UTM_Zone, WSAreaKm2 } = properties;
-          const areaKm2 = parseFloat(WSAreaKm2, 10);
-          return { siteCode, UTM_Zone, areaKm2: areaKm2 || null };
-        }
-      },
-      DRAINAGE_LINES: {
-        source: this.FEATURE_SOURCES.AQUATIC_WATERSHEDS.KEY,
-        geojsonFileName: 'NEONAquaticWatershed/NEON_Aquatic_DrainageLine',
-        getProperties: (properties) => {
-          const { SiteID: siteCode } = properties;
-          return { siteCode };
-        }
-      },
-      POUR_POINTS: {
-        source: this.FEATURE_SOURCES.AQUATIC_WATERSHEDS.KEY,
-        geojsonFileName: 'NEONAquaticWatershed/NEON_Aquatic_PourPoint',
-        getProperties: (properties) => {
-          const { SiteID: siteCode } = properties;
-          return { siteCode };
-        }
-      }
-    };
+    const unknownFeatures = (options.only || []).filter(key => !this.FEATURES[key]);
+    if (unknownFeatures.length) {
+      throw new Error(`Unknown feature(s): ${unknownFeatures.join(', ')}. Valid features: ${Object.keys(this.FEATURES).join(', ')}`);
+    }
+    if (this.SOURCE_PATH && !fs.existsSync(this.SOURCE_PATH)) {
+      throw new Error(`Source directory does not exist: ${this.SOURCE_PATH}`);
+    }
+    this.featureKeys = options.only || Object.keys(this.FEATURES);
+    this.sourceKeys = [...new Set(this.featureKeys.map(key => this.FEATURES[key].source))];
 
+    // Start from the features.json already in the output so that features not being rebuilt (or
+    // that fail to build) keep their existing entries and asset files.
+    this.existingFeaturesJSON = this.readFeaturesJSON(this.OUT_PATH);
     this.featuresJSON = {};
-    Object.keys(this.FEATURES).forEach(featureKey => this.featuresJSON[featureKey] = []);
+    Object.keys(this.FEATURES).forEach((featureKey) => {
+      this.featuresJSON[featureKey] = this.existingFeaturesJSON[featureKey] || [];
+    });
+    this.builtFeatures = [];
+    this.changeReport = {
+      timestamp: new Date(this.startTime).toISOString(),
+      previousBuild: this.readBuildTimestamp(this.OUT_PATH),
+      thresholds: {
+        areaPercent: options.areaThreshold !== undefined ? options.areaThreshold : DEFAULT_THRESHOLDS.areaPercent,
+        centroidMeters: options.centroidThreshold !== undefined ? options.centroidThreshold : DEFAULT_THRESHOLDS.centroidMeters,
+      },
+      features: {},
+      failedFeatures: [],
+    };
+    this.validationReport = {
+      timestamp: new Date(this.startTime).toISOString(),
+      valid: true,
+      features: {},
+    };
     this.GEOJSON_SOURCES = {};
   }
 
+  readFeaturesJSON(dir) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dir, 'features.json'), 'utf8'));
+    } catch (err) {
+      return {};
+    }
+  }
+
+  readBuildTimestamp(dir) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dir, 'build.json'), 'utf8')).timestamp || null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  getSourceZipPath(key) {
+    const { zipFile } = this.FEATURE_SOURCES[key];
+    return path.join(this.SOURCE_PATH || this.DOWNLOADS_PATH, zipFile);
+  }
+
+  // Positions have already been validated; drop any z value and reorder [lng, lat] to [lat, lng]
   sanitizeCoordinates(coords) {
     if (!Array.isArray(coords)) { return coords; }
-    let sanitizedCoords = [];
     if (Array.isArray(coords[0])) {
-      sanitizedCoords = coords.map(arr => this.sanitizeCoordinates(arr));
-    } else {
-      if ((coords.length === 2 || coords.length === 3) && coords.every(c => Number.isFinite(c))) {
-        if (coords.length === 3) {
-          if (coords[2] !== 0) {
-            log.warn(`Identified coord with non-zero z: ${coords}`);
-          }
-        }
-        const [x, y] = coords;
-        if (x < 0) {
-          sanitizedCoords.push(y);
-          sanitizedCoords.push(x);
-        } else {
-          log.warn(`Identified coord with negative x: ${coords}`);
-        }
-      } else {
-        log.warn(`Failed to determine state of coords: ${coords}`);
-      }
+      return coords.map(arr => this.sanitizeCoordinates(arr));
+    }
+    if (coords.length === 3 && coords[2] !== 0) {
+      log.warn(`Identified coord with non-zero z: ${coords}`);
     }
-    return sanitizedCoords;
+    const [x, y] = coords;
+    return [y, x];
   }
 
-  geojsonToSites(geojson = {}, getProperties = p => p) {
+  // Group source features by site; each site keeps every source feature's geometry and own
+  // properties as its parts
+  geojsonToSites(geojson = {}, getProperties = p => p, mergeProperties = p => p) {
     const sites = {};
     if (!geojson.features) { return sites; }
-    geojson.features.forEach((feature, x) => {
+    geojson.features.forEach((feature) => {
       if (!feature.geometry) { return; }
-      const geometry = {
-        type: feature.geometry.type,
-        coordinates: this.sanitizeCoordinates(feature.geometry.coordinates),
-      };
       const properties = getProperties(feature.properties);
-      const { siteCode, areaKm2 } = properties;
+      const { siteCode } = properties;
       if (!siteCode) { return; }
       if (!sites[siteCode]) {
-        sites[siteCode] = { type: 'Feature', properties, geometry };
+        sites[siteCode] = { type: 'Feature', properties, parts: [{ properties, geometry: feature.geometry }] };
       } else {
-        if (areaKm2 && sites[siteCode].properties.areaKm2) {
-          sites[siteCode].properties.areaKm2 += areaKm2;
-        }
-        sites[siteCode].geometry.coordinates.push(geometry.coordinates);
+        sites[siteCode].properties = mergeProperties(sites[siteCode].properties, properties);
+        sites[siteCode].parts.push({ properties, geometry: feature.geometry });
       }
     });
     return sites;
   }
 
+  // Each part as its own Feature with its own properties; parts that can't be repaired on their
+  // own are left out (the site as a whole has already been validated)
+  getPartsCollection(parts) {
+    return {
+      type: 'FeatureCollection',
+      features: parts
+        .map(({ properties, geometry }) => {
+          const { geometry: partGeometry, valid } = validateSiteGeometry([geometry]);
+          if (!valid) { return null; }
+          return {
+            type: 'Feature',
+            properties,
+            geometry: { type: partGeometry.type, coordinates: this.sanitizeCoordinates(partGeometry.coordinates) },
+          };
+        })
+        .filter(part => part),
+    };
+  }
+
+  /**
+     Validation
+     Combine and repair each site's parts (see validation.js). Sites with geometry that can't be
+     repaired are left out of the output and recorded in the validation report.
+  */
+  validateSites(featureKey, sites) {
+    const validSites = {};
+    const report = {};
+    Object.keys(sites).forEach((siteCode) => {
+      const { parts, ...site } = sites[siteCode];
+      const { geometry, issues, valid } = validateSiteGeometry(parts.map(part => part.geometry));
+      if (issues.length) {
+        report[siteCode] = { valid, issues };
+      }
+      if (!valid) {
+        const errors = issues.filter(issue => !issue.repaired).map(issue => issue.code);
+        log.error(`- - ${featureKey} ${siteCode} has invalid geometry (${errors.join(', ')}); skipping`);
+        return;
+      }
+      validSites[siteCode] = {
+        ...site,
+        geometry: { type: geometry.type, coordinates: this.sanitizeCoordinates(geometry.coordinates) },
+        parts: this.getPartsCollection(parts),
+      };
+    });
+    const repairedCount = Object.keys(report).filter(siteCode => report[siteCode].valid).length;
+    const invalidCount = Object.keys(sites).length - Object.keys(validSites).length;
+    log.info(`- - ${featureKey} - Validated ${Object.keys(sites).length} sites: ${repairedCount} repaired, ${invalidCount} invalid`);
+    this.validationReport.features[featureKey] = report;
+    if (invalidCount) {
+      this.validationReport.valid = false;
+    }
+    return validSites;
+  }
+
   generateFeatureSiteFilesDirectory(featureKey, sitesData) {
     if (!Object.keys(this.FEATURES).includes(featureKey)) { return 0; }
     let count = 0;
     try {
       const outDir = path.join(this.ASSETS_PATH, featureKey);
-      fs.mkdirSync(outDir);
+      fsExtra.emptyDirSync(outDir);
       Object.keys(sitesData).forEach((siteCode) => {
+        const { parts, ...site } = sitesData[siteCode];
         const outFile = path.join(outDir, `${siteCode}.json`);
-        fs.writeFileSync(outFile, JSON.stringify(sitesData[siteCode]));
+        fs.writeFileSync(outFile, JSON.stringify(site));
+        if (parts) {
+          fs.writeFileSync(path.join(outDir, `${siteCode}.parts.json`), JSON.stringify(parts));
+        }
         count += 1;
       });
     } catch (err) {
@@ -193,7 +285,7 @@ class AssetBuilder {
 
   generateOutfiles() {
     log.info('\n- Generating feature data files');
-    Object.keys(this.FEATURES).forEach((key) => {
+    this.featureKeys.forEach((key) => {
       const feature = this.FEATURES[key];
       const { source } = feature;
 
@@ -201,31 +293,28 @@ class AssetBuilder {
         log.error(`- - ${key} unable to generate; invalid source: ${source}`);
         return;
       }
-      const geojson = (feature.geojsonFileName
-        ? this.GEOJSON_SOURCES[source].find(fc => {
-          // log.debug("%s === %s, Status: ", fc.fileName, feature.geojsonFileName, fc.fileName.includes(feature.geojsonFileName))
-          // return fc.fileName.includes(feature.geojsonFileName);
-          return fc.fileName === feature.geojsonFileName;
-        })
-        : this.GEOJSON_SOURCES[source]) || {};
-     
-      if (feature.geojsonFileName && !geojson) {
-        log.error(`- - ${key} could not find geojson with fileName ${feature.geojsonFileName}\n`);
+      // A ZIP holding more than one layer is parsed to an array of FeatureCollections
+      const layers = this.GEOJSON_SOURCES[source];
+      const geojson = feature.layer
+        ? [].concat(layers).find(fc => fc.fileName === feature.layer)
+        : layers;
+      if (!geojson || Array.isArray(geojson)) {
+        const available = [].concat(layers).map(fc => fc.fileName).join(', ');
+        log.error(`- - ${key} ${feature.layer ? `could not find layer ${feature.layer}` : 'needs a layer'}; available layers: ${available}\n`);
+        return;
       }
 
       log.info(`- - ${key} - Parsing sites...`);
-      const sites = this.geojsonToSites(geojson, feature.getProperties);
+      const sites = this.validateSites(key, this.geojsonToSites(geojson, feature.getProperties, feature.mergeProperties));
       const expectedSiteCount = Object.keys(sites).length;
       if (!expectedSiteCount) {
-        log.error(`- - ${key} no sites parsed; aborting`);
+        log.error(`- - ${key} no sites parsed; aborting (existing ${key} assets are left as they are)`);
         return;
       }
 
-      Object.keys(sites)
-        .sort()
-        .forEach((siteCode) => {
-          this.featuresJSON[key].push(siteCode);
-        });
+      this.featuresJSON[key] = Object.keys(sites).sort();
+      this.builtFeatures.push(key);
+      this.compareFeature(key, sites);
       log.info(`- - ${key} - Writing site JSON files...`);
       const resultSiteCount = this.generateFeatureSiteFilesDirectory(key, sites);
       if (resultSiteCount !== expectedSiteCount) {
@@ -236,48 +325,166 @@ class AssetBuilder {
     });
   }
 
-  finalize() {
-    log.info('\n- Regenerating features.json');
+  readAsset(dir, featureKey, siteCode) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(dir, 'assets', featureKey, `${siteCode}.json`), 'utf8'));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Compare a feature's newly built sites against the output directory before they are written
+  compareFeature(featureKey, sites) {
+    this.changeReport.features[featureKey] = compareFeature({
+      previousSites: this.existingFeaturesJSON[featureKey] || [],
+      nextSites: this.featuresJSON[featureKey],
+      readPrevious: siteCode => this.readAsset(this.OUT_PATH, featureKey, siteCode),
+      readNext: siteCode => sites[siteCode],
+      thresholds: this.changeReport.thresholds,
+    });
+  }
+
+  writeChangeReport() {
+    const { features } = this.changeReport;
+    this.changeReport.failedFeatures = this.featureKeys.filter(key => !this.builtFeatures.includes(key));
+    log.info(`\n- Changes compared to ${this.OUT_PATH}`);
+    Object.keys(features).forEach((key) => {
+      const { added, removed, geometryChanged, propertiesChanged, unchanged } = features[key];
+      log.info(`- - ${key}: ${added.length} added, ${removed.length} removed, ${geometryChanged.length} geometry changed, ${propertiesChanged.length} properties changed, ${unchanged} unchanged`);
+    });
+    this.changeReport.failedFeatures
+      .forEach(key => log.error(`- - ${key}: failed to build; left as it is`));
+    fs.mkdirSync(this.REPORT_PATH, { recursive: true });
+    fs.writeFileSync(path.join(this.REPORT_PATH, 'build-report.json'), JSON.stringify(this.changeReport, null, 2));
+    fs.writeFileSync(path.join(this.REPORT_PATH, 'build-report.md'), toMarkdown(this.changeReport));
+    log.success(`- - Wrote build-report.json and build-report.md to ${this.REPORT_PATH}`);
+  }
+
+  /**
+     Metadata
+     Site metadata (see metadata.js) for every site in features.json, read back from the written
+     assets, plus provenance for each feature. Features not rebuilt keep their previous provenance.
+  */
+  writeMetadata() {
+    log.info('\n- Regenerating metadata.json');
+    let previousMetadata = {};
     try {
-      fs.statSync('./features.json');
-      log.info(`- - Deleting existing features.json...`);
-      fs.unlinkSync('./features.json');
+      previousMetadata = JSON.parse(fs.readFileSync(path.join(this.OUT_PATH, 'metadata.json'), 'utf8'));
     } catch (err) {
-      // features.json doesn't exist; do nothing
+      // metadata.json doesn't exist yet; provenance of features not rebuilt falls back to build.json
+    }
+    const buildTimestamp = new Date(this.startTime).toISOString();
+    const previousBuildTimestamp = this.changeReport.previousBuild;
+    const metadata = {};
+    Object.keys(this.featuresJSON).forEach((key) => {
+      const feature = this.FEATURES[key];
+      const previous = previousMetadata[key] || {};
+      const source = feature ? this.FEATURE_SOURCES[feature.source] : null;
+      const provenance = this.builtFeatures.includes(key) || !previous.provenance
+        ? {
+          sourceId: source ? source.sourceId : null,
+          zipFile: source ? source.zipFile : null,
+          layer: (feature && feature.layer) || null,
+          buildTimestamp: this.builtFeatures.includes(key) ? buildTimestamp : previousBuildTimestamp,
+        }
+        : previous.provenance;
+      const sites = {};
+      this.featuresJSON[key].forEach((siteCode) => {
+        try {
+          const assetData = fs.readFileSync(path.join(this.ASSETS_PATH, key, `${siteCode}.json`), 'utf8');
+          sites[siteCode] = getSiteMetadata(assetData);
+        } catch (err) {
+          log.error(`- - ${key} ${siteCode} unable to read asset for metadata: ${err.message}`);
+        }
+      });
+      metadata[key] = { provenance, sites };
+    });
+    fs.writeFileSync(path.join(this.BUILD_PATH, 'metadata.json'), JSON.stringify(metadata));
+    log.success('- - Regenerated metadata.json successfully');
+  }
+
+  /**
+     Version
+     Record the tree as built as a new immutable version in versions/ (see versions.js), with the
+     change report as what changed since the previous version.
+  */
+  recordVersion() {
+    log.info('\n- Recording this build as a version');
+    const { entry, missingAssets } = writeVersion(this.BUILD_PATH, {
+      timestamp: new Date(this.startTime).toISOString(),
+      features: this.featuresJSON,
+      changeReport: this.changeReport,
+    });
+    missingAssets.forEach(asset => log.error(`- - ${asset} asset missing; left out of version ${entry.version}`));
+    log.success(`- - Recorded version ${entry.version} in ${VERSIONS_DIR_NAME}/`);
+  }
+
+  finalize() {
+    this.writeChangeReport();
+    if (this.options.dryRun) {
+      log.info('\n- Dry run; removing temporary build directory');
+      fsExtra.removeSync(this.BUILD_PATH);
+    } else {
+      log.info('\n- Regenerating features.json');
+      fs.writeFileSync(path.join(this.BUILD_PATH, 'features.json'), JSON.stringify(this.featuresJSON));
+      log.success(`- - Regenerated features.json successfully`);
+      this.writeMetadata();
+      log.info('\n- Regenerating build.json');
+      fs.writeFileSync(path.join(this.BUILD_PATH, 'build.json'), JSON.stringify({ timestamp: new Date(this.startTime).toISOString() }));
+      log.success(`- - Regenerated build.json successfully`);
+      log.info('\n- Writing validation-report.json');
+      fs.writeFileSync(path.join(this.BUILD_PATH, 'validation-report.json'), JSON.stringify(this.validationReport, null, 2));
+      this.recordVersion();
+    }
+    if (!this.SOURCE_PATH && !this.options.keepDownloads) {
+      log.info('\n- Clearing downloads directory');
+      fsExtra.emptyDirSync(this.DOWNLOADS_PATH);
+      log.info('- Removing downloads directory');
+      fs.rmdirSync(this.DOWNLOADS_PATH);
     }
-    fs.writeFileSync('./features.json', JSON.stringify(this.featuresJSON));
-    log.success(`- - Regenerated features.json successfully`);
-    log.info('\n- Clearing downloads directory');
-    fsExtra.emptyDirSync(this.DOWNLOADS_PATH);
-    log.info('- Removing downloads directory');
-    fs.rmdirSync(this.DOWNLOADS_PATH);
     const executionTime = (Date.now() - this.startTime) / 1000;
+    if (!this.validationReport.valid) {
+      const reportHint = this.options.dryRun ? '' : ' See validation-report.json.';
+      log.error(`\nDone with invalid geometry; affected sites were not written.${reportHint} (${executionTime}s)`);
+      process.exitCode = 1;
+      return;
+    }
     log.success(`\nDone. (${executionTime}s)`);
   }
 
   async run() {
+    if (this.options.metadataOnly) {
+      log.info('=== Regenerating metadata.json from existing assets ===');
+      this.writeMetadata();
+      log.success(`\nDone. (${(Date.now() - this.startTime) / 1000}s)`);
+      return;
+    }
     log.info('=== Building Deferred JSON Artifacts ===\n');
-    log.info('- Clearing assets directory');
-    fsExtra.emptyDirSync(this.ASSETS_PATH);
-    log.info('- Making downloads directory');
-    try {
-      const downloadsStats = fs.statSync(this.DOWNLOADS_PATH);
-      fsExtra.emptyDirSync(this.DOWNLOADS_PATH);
-      fs.rmdirSync(this.DOWNLOADS_PATH);
-    } catch (err) {
-      // downloads dir doesn't exist; do nothing
+    log.info(`- Building ${this.featureKeys.join(', ')}`);
+    fs.mkdirSync(this.ASSETS_PATH, { recursive: true });
+    if (this.SOURCE_PATH) {
+      log.info(`- Reading source ZIP files from ${this.SOURCE_PATH}`);
+    } else {
+      log.info('- Making downloads directory');
+      if (!this.options.keepDownloads) {
+        fsExtra.removeSync(this.DOWNLOADS_PATH);
+      }
+      fs.mkdirSync(this.DOWNLOADS_PATH, { recursive: true });
     }
-    fs.mkdirSync(this.DOWNLOADS_PATH);
     const downloadPromises = [];
 
-    Object.keys(this.FEATURE_SOURCES).forEach((key) => {
+    this.sourceKeys.forEach((key) => {
       const { sourceId, zipFile } = this.FEATURE_SOURCES[key];
-      log.info(`- - ZIP: ${zipFile} - Fetching...`);
-      const url = this.getSourceURL(sourceId);
-      const pathname = path.join(this.DOWNLOADS_PATH, zipFile);
+      const pathname = this.getSourceZipPath(key);
       const status = this.checkFileExists(pathname);
 
-      if (!status) {
+      if (this.SOURCE_PATH) {
+        if (!status) {
+          log.error(`- - ZIP: ${zipFile} not found in ${this.SOURCE_PATH}`);
+        }
+      } else if (!status) {
+        log.info(`- - ZIP: ${zipFile} - Fetching...`);
+        const url = this.getSourceURL(sourceId);
         const promise = fetch(url)
           .then(res => {
             return new Promise((resolve, reject) => {
@@ -298,11 +505,11 @@ class AssetBuilder {
     await Promise.all(downloadPromises);
     log.info('\n- Converting feature source ZIP files to geojson');
 
-    const geojsonPromises = Object.keys(this.FEATURE_SOURCES).map((key) => {
+    const geojsonPromises = this.sourceKeys.map((key) => {
       return new Promise((resolve) => {
         const featureSource = this.FEATURE_SOURCES[key];
         const { zipFile } = featureSource;
-        const shfilename = path.join(this.DOWNLOADS_PATH, zipFile);
+        const shfilename = this.getSourceZipPath(key);
         log.info(`- - ZIP: ${zipFile} - Reading for ${key} ...`);
         fs.readFile(shfilename, (err, data) => {
           if (err) {
@@ -315,6 +522,9 @@ class AssetBuilder {
             log.success(`- - ZIP: ${zipFile} to geojson conversion complete\n\n`);
             this.FEATURE_SOURCES[key].parsed = true;
             return resolve(true);
+          }).catch((shpErr) => {
+            log.error(`- - ZIP: unable to convert ${zipFile} ${shpErr}\n\n`);
+            return resolve(false);
           });
         });
       });
@@ -330,7 +540,37 @@ class AssetBuilder {
   }
 }
 
-(async () => {
-  const assetBuilder = new AssetBuilder();
-  await assetBuilder.run();
-})();
\ No newline at end of file
+/**
+   Command line entry point
+   Only runs when build.js is run directly, so AssetBuilder can be required without building.
+*/
+if (require.main === module) {
+  process.env.NODE_ENV = 'DEVELOPMENT';
+  (async () => {
+    let assetBuilder;
+    try {
+      const options = parseArgs(process.argv.slice(2));
+      if (options.help) {
+        console.log(USAGE);
+        return;
+      }
+      assetBuilder = new AssetBuilder(options);
+    } catch (err) {
+      log.error(err.message);
+      console.log(`\n${USAGE}`);
+      process.exit(1);
+    }
+    try {
+      await assetBuilder.run();
+    } catch (err) {
+      log.error(err.message);
+      process.exit(1);
+    }
+  })();
+}
+
+module.exports = {
+  AssetBuilder,
+  USAGE,
+  parseArgs,
+};
@@ -0,0 +1,749 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const zlib = require('zlib');
+
+const geojsonVt = require('geojson-vt');
+const vtPbf = require('vt-pbf');
+
+const {
+  AXIS_ORDERS,
+  DEFAULT_AXIS_ORDER,
+  MAX_ZOOM,
+  POINT_TYPES,
+  POLYGONAL_TYPES,
+  bboxesIntersect,
+  geometryContainsPoint,
+  geometryIntersectsBBox,
+  getBBox,
+  getCentroid,
+  normalizeGeometry,
+  simplify,
+  splitBBox,
+  swapAxisOrder,
+  toRadians,
+  zoomToTolerance,
+} = require('./geometry');
+
+const { cacheWarmDuration, countCacheRead } = require('./metrics');
+const { createMemoryStore, memoredStore } = require('./stores');
+const { validateSiteAliases } = require('./sites');
+const { readVersions } = require('./versions');
+const log = require('./logger');
+
+const logWithPid = log.withPid;
+
+// Zoom levels for which simplified variants of every asset are precomputed when the cache warms
+const SIMPLIFIED_ZOOM_LEVELS = [4, 6, 8, 10, 12];
+
+// Assets read and cached at once while a generation is built
+const CACHE_CONCURRENCY = 4;
+
+// Content encodings in which cached asset variants are stored, in order of server preference
+const ENCODINGS = {
+  BROTLI: 'br',
+  GZIP: 'gzip',
+  IDENTITY: 'identity',
+};
+
+const gzip = util.promisify(zlib.gzip);
+const brotliCompress = util.promisify(zlib.brotliCompress);
+
+// See stores.js. By default workers share memored's store, which lives in the cluster master;
+// outside of the cluster (e.g. in tests) use createMemoryStore() or createFileStore() instead.
+let cacheStore = memoredStore;
+// Directory holding features.json, build.json, metadata.json and assets/ as written by build.js
+let dataPath = '.';
+
+// Set the store and / or data directory; must be called before the cache is built
+const configureCache = ({ store = cacheStore, dataDir = dataPath } = {}) => {
+  cacheStore = store;
+  dataPath = dataDir;
+};
+
+/**
+   General Cache Functions
+*/
+const promiseCacheStore = (key, value) => cacheStore.store(key, value);
+
+const promiseCacheRead = key => cacheStore.read(key);
+
+const promiseCacheKeys = () => cacheStore.keys();
+
+const promiseCacheRemove = keys => cacheStore.remove(keys);
+
+// Whether a generation built by one worker can be served by every worker (see stores.js)
+const cacheIsShared = () => cacheStore.isShared;
+
+// Drop anything a store kept from a previous run; call in the master before forking any workers
+const clearCache = async () => {
+  if (cacheStore.clear) { await cacheStore.clear(); }
+};
+
+
+/**
+   Cache Generations
+   Everything cached from features.json and assets/ is namespaced under a numbered generation.
+   The 'generation' key points at the live one. Reloading builds the next generation alongside the
+   live one and only moves the pointer once it validates, so workers can swap between complete
+   generations and old ones can be removed once no worker uses them.
+*/
+const getGenerationKey = (generation, key) => `g${generation}.${key}`;
+
+const getCurrentGeneration = async () => await promiseCacheRead('generation');
+
+const setCurrentGeneration = async (generation) => await promiseCacheStore('generation', generation);
+
+const cacheIsInitialized = async () => !!(await getCurrentGeneration());
+
+const removeGeneration = async (generation) => {
+  const prefix = getGenerationKey(generation, '');
+  const keys = await promiseCacheKeys();
+  await promiseCacheRemove(keys.filter(key => key.startsWith(prefix)));
+};
+
+/**
+   Features Cache Functions
+   features.json is generated from build.js. It expresses a structure containing all valid
+   feature keys and site codes for each feature. We use it to build our cache of assets as well
+   as to validate paths without having to check the file system.
+*/
+const getContentHash = data => crypto.createHash('sha1').update(data).digest('hex');
+
+// build.js records when it generated assets in build.json. Fall back to the modification time of
+// features.json for asset trees built before build.json existed.
+const readBuildTimestamp = (featuresStats) => {
+  try {
+    const { timestamp } = JSON.parse(fs.readFileSync(path.join(dataPath, 'build.json')));
+    const buildDate = new Date(timestamp);
+    if (!Number.isNaN(buildDate.getTime())) { return buildDate.toUTCString(); }
+  } catch (err) {
+    // build.json doesn't exist or is malformed; use features.json
+  }
+  return featuresStats.mtime.toUTCString();
+};
+
+// build.js also writes per-site metadata and per-feature provenance to metadata.json. Asset trees
+// built before it existed still serve; only the metadata routes are unavailable.
+const readMetadata = () => {
+  try {
+    const metadataData = fs.readFileSync(path.join(dataPath, 'metadata.json'));
+    return { metadata: JSON.parse(metadataData), metadataHash: getContentHash(metadataData) };
+  } catch (err) {
+    logWithPid('metadata.json missing or malformed; metadata is unavailable. Run build.js to regenerate.', true);
+    return { metadata: null, metadataHash: null };
+  }
+};
+
+const cacheFeatures = async (generation) => {
+  try {
+    const featuresPath = path.join(dataPath, 'features.json');
+    const stats = fs.statSync(featuresPath);
+    const featuresData = fs.readFileSync(featuresPath);
+    const features = JSON.parse(featuresData);
+    const { metadata, metadataHash } = readMetadata();
+    await promiseCacheStore(getGenerationKey(generation, 'features'), features);
+    await promiseCacheStore(getGenerationKey(generation, 'featuresHash'), getContentHash(featuresData));
+    await promiseCacheStore(getGenerationKey(generation, 'buildTimestamp'), readBuildTimestamp(stats));
+    await promiseCacheStore(getGenerationKey(generation, 'metadata'), metadata);
+    await promiseCacheStore(getGenerationKey(generation, 'metadataHash'), metadataHash);
+    await promiseCacheStore(getGenerationKey(generation, 'dataDir'), path.resolve(dataPath));
+    return true;
+  } catch (err) {
+    logWithPid(err, true);
+    return false;
+  }  
+};
+
+const getFeatures = async (generation) => await promiseCacheRead(getGenerationKey(generation, 'features'));
+
+const getFeaturesHash = async (generation) => await promiseCacheRead(getGenerationKey(generation, 'featuresHash'));
+
+const getBuildTimestamp = async (generation) => await promiseCacheRead(getGenerationKey(generation, 'buildTimestamp'));
+
+const getMetadata = async (generation) => await promiseCacheRead(getGenerationKey(generation, 'metadata'));
+
+const getMetadataHash = async (generation) => await promiseCacheRead(getGenerationKey(generation, 'metadataHash'));
+
+// Directory the generation was built from, for rebuilding anything an evicting store drops
+const getDataDir = async (generation) => await promiseCacheRead(getGenerationKey(generation, 'dataDir'));
+
+// The versions recorded in versions/ (see versions.js); none before the first versioned build
+const cacheVersions = async (generation) => {
+  try {
+    await promiseCacheStore(getGenerationKey(generation, 'versions'), readVersions(dataPath));
+    return true;
+  } catch (err) {
+    logWithPid(err, true);
+    return false;
+  }
+};
+
+const getVersions = async (generation) => await promiseCacheRead(getGenerationKey(generation, 'versions'));
+
+/**
+   Sites Cache Functions
+   An inversion of features.json: every site code mapped to the sorted list of feature keys that
+   carry an asset for it. Used to serve all features for a single site in one request.
+*/
+const invertFeatures = (features) => {
+  const sites = {};
+  Object.keys(features).forEach((feature) => {
+    features[feature].forEach((siteCode) => {
+      if (!sites[siteCode]) { sites[siteCode] = []; }
+      sites[siteCode].push(feature);
+    });
+  });
+  return Object.keys(sites)
+    .sort()
+    .reduce((acc, siteCode) => ({ ...acc, [siteCode]: sites[siteCode] }), {});
+};
+
+// site-aliases.json is maintained by hand rather than by build.js (see sites.js). It's optional;
+// without it no aliases resolve.
+const readSiteAliases = (sites) => {
+  let aliases;
+  try {
+    aliases = JSON.parse(fs.readFileSync(path.join(dataPath, 'site-aliases.json')));
+  } catch (err) {
+    if (err.code !== 'ENOENT') { logWithPid(`site-aliases.json is malformed; no site aliases are available: ${err}`, true); }
+    return {};
+  }
+  const { siteAliases, errors } = validateSiteAliases(aliases, sites);
+  errors.forEach(error => logWithPid(`site-aliases.json: ${error}; ignoring`, true));
+  return siteAliases;
+};
+
+const cacheSites = async (generation) => {
+  try {
+    const features = await getFeatures(generation);
+    const sites = invertFeatures(features);
+    await promiseCacheStore(getGenerationKey(generation, 'sites'), sites);
+    await promiseCacheStore(getGenerationKey(generation, 'siteAliases'), readSiteAliases(sites));
+    return true;
+  } catch (err) {
+    logWithPid(err, true);
+    return false;
+  }
+};
+
+const getSites = async (generation) => await promiseCacheRead(getGenerationKey(generation, 'sites'));
+
+const getSiteAliases = async (generation) => await promiseCacheRead(getGenerationKey(generation, 'siteAliases'));
+
+/**
+   Asset Cache Functions
+   features.json is generated from build.js. It expresses a structure containing all valid
+   feature keys and site codes for each feature. We use it to build our cache of assets as well
+   as to validate paths without having to check the file system.
+*/
+// Identifying parts of an asset variant; empty for the uncompressed asset as built
+const getVariantParts = ({
+  axisOrder = DEFAULT_AXIS_ORDER,
+  zoom = null,
+  encoding = ENCODINGS.IDENTITY,
+} = {}) => {
+  const variantParts = [];
+  if (axisOrder !== DEFAULT_AXIS_ORDER) { variantParts.push(axisOrder); }
+  if (zoom !== null) { variantParts.push(`z${zoom}`); }
+  if (encoding !== ENCODINGS.IDENTITY) { variantParts.push(encoding); }
+  return variantParts;
+};
+
+const getAssetKey = (generation, feature, siteCode, variant = {}) => (
+  getGenerationKey(generation, [feature, siteCode, ...getVariantParts(variant)].join('.'))
+);
+
+const compressors = {
+  [ENCODINGS.GZIP]: data => gzip(data),
+  [ENCODINGS.BROTLI]: data => brotliCompress(data, {
+    params: {
+      [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+      [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length,
+    },
+  }),
+};
+
+const toBuffer = asset => Buffer.from(JSON.stringify(asset));
+
+const getAssetPath = (dataDir, feature, siteCode) => path.join(dataDir, 'assets', feature, `${siteCode}.json`);
+
+// Store a single variant of an asset along with a precompressed copy for each supported encoding
+const cacheAssetVariant = async (generation, feature, siteCode, variant, data) => {
+  await promiseCacheStore(getAssetKey(generation, feature, siteCode, variant), data);
+  for (const encoding of Object.keys(compressors)) {
+    const compressedData = await compressors[encoding](data);
+    await promiseCacheStore(getAssetKey(generation, feature, siteCode, { ...variant, encoding }), compressedData);
+  }
+};
+
+// Assets are stored on disk in Leaflet's [lat, lng] order. Cache an RFC 7946 [lng, lat] variant
+// alongside each one so either order can be served straight from the cache, as well as
+// simplified variants of both for each of the SIMPLIFIED_ZOOM_LEVELS.
+// Resolves to the asset's spatial index entry.
+const cacheAsset = async (generation, feature, siteCode, assetData) => {
+  const asset = JSON.parse(assetData);
+  const lngLatAsset = swapAxisOrder(asset);
+  const lngLat = { axisOrder: AXIS_ORDERS.LNGLAT };
+  await cacheAssetVariant(generation, feature, siteCode, {}, assetData);
+  await cacheAssetVariant(generation, feature, siteCode, lngLat, toBuffer(lngLatAsset));
+  for (const zoom of SIMPLIFIED_ZOOM_LEVELS) {
+    const simplifiedAsset = simplify(asset, zoomToTolerance(zoom));
+    await cacheAssetVariant(generation, feature, siteCode, { zoom }, toBuffer(simplifiedAsset));
+    await cacheAssetVariant(generation, feature, siteCode, { ...lngLat, zoom }, toBuffer(swapAxisOrder(simplifiedAsset)));
+  }
+  const geometry = normalizeGeometry(lngLatAsset.geometry);
+  return {
+    feature,
+    siteCode,
+    type: geometry ? geometry.type : null,
+    bbox: getBBox(geometry),
+    properties: Object.keys(asset.properties || {}),
+  };
+};
+
+/**
+   Parts Cache Functions
+   build.js also writes each site's original parts (one Feature per source record, each with its
+   own properties) to {SITECODE}.parts.json beside the asset. Parts are optional: asset trees built
+   before they existed have none, and a site without them can still be served as a whole.
+*/
+const getPartsKey = (generation, feature, siteCode) => getGenerationKey(generation, `${feature}.${siteCode}.parts`);
+
+const getPartsPath = (dataDir, feature, siteCode) => path.join(dataDir, 'assets', feature, `${siteCode}.parts.json`);
+
+// Resolves to the parts' content hash, or null if the site has no parts file
+const cacheParts = async (generation, feature, siteCode) => {
+  let partsData;
+  try {
+    partsData = await fs.promises.readFile(getPartsPath(dataPath, feature, siteCode));
+  } catch (err) {
+    return null;
+  }
+  await promiseCacheStore(getPartsKey(generation, feature, siteCode), partsData);
+  return getContentHash(partsData);
+};
+
+const getPartsData = async (generation, feature, siteCode) => {
+  const partsData = await promiseCacheRead(getPartsKey(generation, feature, siteCode));
+  countCacheRead('parts', !!partsData);
+  if (partsData || !cacheStore.evicts) { return partsData || null; }
+  return (await restoreParts(generation, feature, siteCode)) || null;
+};
+
+// Like Promise.allSettled over fn applied to every item, but with no more than limit pending at once
+const settleAll = async (items, limit, fn) => {
+  const results = [];
+  let next = 0;
+  const settleNext = async () => {
+    while (next < items.length) {
+      const i = next;
+      next += 1;
+      results[i] = await fn(items[i]).then(
+        value => ({ status: 'fulfilled', value }),
+        reason => ({ status: 'rejected', reason }),
+      );
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, settleNext));
+  return results;
+};
+
+// Resolves to the total number of assets, the number with parts and the keys of any that failed
+// to load and cache
+const cacheAllAssets = async (generation) => {
+  const features = await getFeatures(generation);
+  const assets = [];
+  const spatialIndex = {};
+  const assetHashes = {};
+  const partsHashes = {};
+  Object.keys(features).forEach((feature) => {
+    spatialIndex[feature] = {};
+    assetHashes[feature] = {};
+    partsHashes[feature] = {};
+    features[feature].forEach(siteCode => assets.push({ feature, siteCode }));
+  });
+
+  const results = await settleAll(assets, CACHE_CONCURRENCY, ({ feature, siteCode }) => (
+    fs.promises.readFile(getAssetPath(dataPath, feature, siteCode))
+      .then(async (assetData) => {
+        assetHashes[feature][siteCode] = getContentHash(assetData);
+        const partsHash = await cacheParts(generation, feature, siteCode);
+        if (partsHash) { partsHashes[feature][siteCode] = partsHash; }
+        return cacheAsset(generation, feature, siteCode, assetData);
+      })
+      .then((indexEntry) => { spatialIndex[feature][siteCode] = indexEntry; })
+      .catch(error => {
+        const annotatedError = `Asset ${feature}.${siteCode} failed to load and cache; ${error}`;
+        logWithPid(annotatedError);
+        throw(annotatedError);
+      })
+  ));
+  await promiseCacheStore(getGenerationKey(generation, 'spatialIndex'), spatialIndex);
+  await promiseCacheStore(getGenerationKey(generation, 'assetHashes'), assetHashes);
+  await promiseCacheStore(getGenerationKey(generation, 'partsHashes'), partsHashes);
+  return {
+    assetCount: results.length,
+    partsCount: Object.values(partsHashes).reduce((count, hashes) => count + Object.keys(hashes).length, 0),
+    failedAssets: assets
+      .filter((asset, i) => results[i].status === 'rejected')
+      .map(({ feature, siteCode }) => `${feature}.${siteCode}`),
+  };
+}
+
+// Content hashes of every asset as built, keyed like features.json. All cached variants of an
+// asset derive from it, so ETags are this hash qualified by the variant.
+const getAssetHashes = async (generation) => await promiseCacheRead(getGenerationKey(generation, 'assetHashes'));
+
+// Content hashes of every parts file, keyed like features.json; sites without parts are absent
+const getPartsHashes = async (generation) => await promiseCacheRead(getGenerationKey(generation, 'partsHashes'));
+
+/**
+   Evicted Entries
+   A store that evicts (see stores.js) may drop assets and parts at any time. On a miss they are
+   read again from the generation's data directory, but only if the file there is still the one
+   the generation was built from (e.g. not yet replaced by a rebuild awaiting a reload), and
+   stored again. Resolve to the data, or undefined if the file is gone or has changed; reject if it
+   can't be read.
+*/
+const readUnchangedFile = async (filePath, contentHash) => {
+  if (!contentHash) { return undefined; }
+  let data;
+  try {
+    data = await fs.promises.readFile(filePath);
+  } catch (err) {
+    if (err.code === 'ENOENT') { return undefined; }
+    throw err;
+  }
+  return getContentHash(data) === contentHash ? data : undefined;
+};
+
+const getHash = (hashes, feature, siteCode) => hashes && hashes[feature] && hashes[feature][siteCode];
+
+const restoreAsset = async (generation, feature, siteCode) => {
+  const dataDir = await getDataDir(generation);
+  const assetHash = getHash(await getAssetHashes(generation), feature, siteCode);
+  if (!dataDir) { return undefined; }
+  const assetData = await readUnchangedFile(getAssetPath(dataDir, feature, siteCode), assetHash);
+  if (assetData) { await promiseCacheStore(getAssetKey(generation, feature, siteCode), assetData); }
+  return assetData;
+};
+
+const restoreParts = async (generation, feature, siteCode) => {
+  const dataDir = await getDataDir(generation);
+  const partsHash = getHash(await getPartsHashes(generation), feature, siteCode);
+  if (!dataDir) { return undefined; }
+  const partsData = await readUnchangedFile(getPartsPath(dataDir, feature, siteCode), partsHash);
+  if (partsData) { await promiseCacheStore(getPartsKey(generation, feature, siteCode), partsData); }
+  return partsData;
+};
+
+/**
+   Evicted Asset Variants
+   Every variant cacheAsset stores is derived again on its first read after a store evicts it, the
+   same way: a compressed variant from the same variant uncompressed, and an uncompressed variant
+   from the asset as built by simplifying first, then swapping to [lng, lat]. A worker derives
+   each variant once however many requests for it arrive while it does.
+*/
+const pendingVariants = new Map();
+
+const createVariantData = (assetData, { axisOrder = DEFAULT_AXIS_ORDER, zoom = null }) => {
+  let asset = JSON.parse(assetData);
+  if (zoom !== null) { asset = simplify(asset, zoomToTolerance(zoom)); }
+  if (axisOrder !== DEFAULT_AXIS_ORDER) { asset = swapAxisOrder(asset); }
+  return toBuffer(asset);
+};
+
+const deriveAssetVariant = (generation, feature, siteCode, variant) => {
+  const variantKey = getAssetKey(generation, feature, siteCode, variant);
+  if (!pendingVariants.has(variantKey)) {
+    const { encoding = ENCODINGS.IDENTITY, ...uncompressedVariant } = variant;
+    const isCompressed = encoding !== ENCODINGS.IDENTITY;
+    const derivation = (async () => {
+      const sourceData = await getAssetData(generation, feature, siteCode, isCompressed ? uncompressedVariant : {});
+      if (!sourceData) { return undefined; }
+      const data = isCompressed
+        ? await compressors[encoding](sourceData)
+        : createVariantData(sourceData, uncompressedVariant);
+      await promiseCacheStore(variantKey, data);
+      return data;
+    })().finally(() => pendingVariants.delete(variantKey));
+    pendingVariants.set(variantKey, derivation);
+  }
+  return pendingVariants.get(variantKey);
+};
+
+// Variant is any of { axisOrder, zoom, encoding }; defaults to the uncompressed asset as built.
+// Resolves to undefined if the asset isn't in the generation; rejects if the store can't be read.
+const getAssetData = async (generation, feature, siteCode, variant = {}) => {
+  const assetData = await promiseCacheRead(getAssetKey(generation, feature, siteCode, variant));
+  countCacheRead('asset', !!assetData);
+  if (assetData || !cacheStore.evicts) { return assetData || undefined; }
+  if (getVariantParts(variant).length) {
+    return deriveAssetVariant(generation, feature, siteCode, variant);
+  }
+  return restoreAsset(generation, feature, siteCode);
+};
+
+// Resolves to an asset with its feature key added to its properties, or null if it's missing
+// from the cache. Used wherever assets of more than one feature are served together.
+const getTaggedAsset = async (generation, feature, siteCode, axisOrder = DEFAULT_AXIS_ORDER) => {
+  const assetData = await getAssetData(generation, feature, siteCode, { axisOrder });
+  if (!assetData) { return null; }
+  const asset = JSON.parse(assetData);
+  return { ...asset, properties: { feature, ...asset.properties } };
+};
+
+// Resolves to a FeatureCollection of every requested feature's asset for a single site. Each
+// member is tagged with its feature key; features whose asset is missing from the cache are skipped.
+const getSiteFeatureCollection = async (generation, siteCode, featureKeys, axisOrder = DEFAULT_AXIS_ORDER) => {
+  const assets = await Promise.all(featureKeys.map(feature => (
+    getTaggedAsset(generation, feature, siteCode, axisOrder)
+  )));
+  return {
+    type: 'FeatureCollection',
+    features: assets.filter(asset => asset),
+  };
+};
+
+const isPrecomputedZoom = zoom => SIMPLIFIED_ZOOM_LEVELS.includes(zoom);
+
+// Resolves to uncompressed asset data simplified on demand to either a zoom level or an explicit
+// tolerance in degrees. Precomputed zoom levels should be read with getAssetData instead.
+const getSimplifiedAssetData = async (generation, feature, siteCode, axisOrder, { zoom = null, tolerance = null }) => {
+  const assetData = await getAssetData(generation, feature, siteCode, { axisOrder });
+  if (!assetData) { return assetData; }
+  const simplifyTolerance = tolerance !== null ? tolerance : zoomToTolerance(zoom);
+  return Buffer.from(JSON.stringify(simplify(JSON.parse(assetData), simplifyTolerance)));
+};
+
+/**
+   Spatial Query Functions
+   The spatial index holds a [lng, lat] bbox and normalized geometry type for every cached asset,
+   keyed the same way as features.json. Queries filter candidates by bbox from the index and then
+   test actual geometries read from the cache.
+*/
+const getSpatialIndex = async (generation) => await promiseCacheRead(getGenerationKey(generation, 'spatialIndex'));
+
+const getNormalizedGeometry = async (generation, feature, siteCode) => {
+  const assetData = await getAssetData(generation, feature, siteCode, { axisOrder: AXIS_ORDERS.LNGLAT });
+  if (!assetData) { return null; }
+  return normalizeGeometry(JSON.parse(assetData).geometry);
+};
+
+// Resolves to a features.json-like structure of every feature/site passing the given test
+const querySpatialIndex = async (generation, featureKeys, isCandidate, test) => {
+  const spatialIndex = await getSpatialIndex(generation);
+  const matches = {};
+  await Promise.all(featureKeys.map(async (feature) => {
+    const candidates = Object.values(spatialIndex[feature] || {}).filter(isCandidate);
+    const results = await Promise.all(candidates.map(async ({ siteCode }) => {
+      const geometry = await getNormalizedGeometry(generation, feature, siteCode);
+      return geometry && test(geometry) ? siteCode : null;
+    }));
+    matches[feature] = results.filter(siteCode => siteCode).sort();
+  }));
+  return featureKeys.reduce((acc, feature) => ({ ...acc, [feature]: matches[feature] }), {});
+};
+
+const queryBBox = (generation, featureKeys, bbox) => {
+  const bboxes = splitBBox(bbox);
+  return querySpatialIndex(
+    generation,
+    featureKeys,
+    entry => entry.bbox && bboxes.some(part => bboxesIntersect(entry.bbox, part)),
+    geometry => bboxes.some(part => geometryIntersectsBBox(geometry, part)),
+  );
+};
+
+const queryPoint = (generation, featureKeys, lng, lat) => querySpatialIndex(
+  generation,
+  featureKeys,
+  entry => POLYGONAL_TYPES.includes(entry.type) && entry.bbox
+    && bboxesIntersect(entry.bbox, [lng, lat, lng, lat]),
+  geometry => geometryContainsPoint(geometry, [lng, lat]),
+);
+
+/**
+   Vector Tile Functions
+   Tile indexes hold every site of a feature at once so they are too large (and not serializable)
+   to share through the cache. Each worker builds the index for a feature lazily on its first tile
+   request and keeps it in process for all subsequent requests of the same cache generation.
+
+   geojson-vt drops polygons and lines too small to see at a tile's zoom level, which at low zoom
+   levels is every site of features like TOWER_AIRSHEDS. So each tile index comes with an index of
+   a representative point (the centroid) of every site that isn't already points, and any site
+   smaller than MAX_REPRESENTED_SIZE at the tile's zoom level that is missing from a tile is drawn
+   as its point instead.
+*/
+const TILE_EXTENT = 4096;
+// Sites less than this many tile units across (8 pixels of a 256 pixel tile) may be drawn as points
+const MAX_REPRESENTED_SIZE = TILE_EXTENT / 32;
+const MAX_MERCATOR_LATITUDE = 85.0511;
+const tileIndexes = {};
+
+// Width or height of a bbox, whichever is greater, as a fraction of the Web Mercator world
+const getWorldSize = ([w, s, e, n]) => {
+  const toWorldY = (lat) => {
+    const sin = Math.sin(toRadians(Math.max(-MAX_MERCATOR_LATITUDE, Math.min(MAX_MERCATOR_LATITUDE, lat))));
+    return 0.5 - ((0.25 * Math.log((1 + sin) / (1 - sin))) / Math.PI);
+  };
+  return Math.max((e - w) / 360, toWorldY(s) - toWorldY(n));
+};
+
+const buildTileIndex = async (generation, feature, siteCodes) => {
+  const assets = (await Promise.all(siteCodes.map(async (siteCode) => {
+    const assetData = await getAssetData(generation, feature, siteCode, { axisOrder: AXIS_ORDERS.LNGLAT });
+    if (!assetData) { return null; }
+    const asset = JSON.parse(assetData);
+    const geometry = normalizeGeometry(asset.geometry);
+    return geometry ? { ...asset, geometry } : null;
+  }))).filter(asset => asset);
+  const representedAssets = assets.filter(asset => !POINT_TYPES.includes(asset.geometry.type));
+  const options = { maxZoom: MAX_ZOOM, extent: TILE_EXTENT };
+  return {
+    index: geojsonVt({ type: 'FeatureCollection', features: assets }, options),
+    pointIndex: geojsonVt({
+      type: 'FeatureCollection',
+      features: representedAssets.map(asset => ({
+        type: 'Feature',
+        properties: asset.properties,
+        geometry: { type: 'Point', coordinates: getCentroid(asset.geometry) },
+      })),
+    }, options),
+    worldSizes: new Map(representedAssets.map(asset => [asset.properties.siteCode, getWorldSize(getBBox(asset.geometry))])),
+  };
+};
+
+const getTileIndex = (generation, feature, siteCodes) => {
+  const tileIndexKey = getGenerationKey(generation, feature);
+  countCacheRead('tileIndex', !!tileIndexes[tileIndexKey]);
+  if (!tileIndexes[tileIndexKey]) {
+    tileIndexes[tileIndexKey] = buildTileIndex(generation, feature, siteCodes)
+      .catch((err) => {
+        delete tileIndexes[tileIndexKey];
+        throw err;
+      });
+  }
+  return tileIndexes[tileIndexKey];
+};
+
+// Drop tile indexes for every generation but the given one
+const pruneTileIndexes = (generation) => {
+  const prefix = getGenerationKey(generation, '');
+  Object.keys(tileIndexes)
+    .filter(key => !key.startsWith(prefix))
+    .forEach((key) => { delete tileIndexes[key]; });
+};
+
+// Resolves to an encoded Mapbox Vector Tile with a single layer named for the feature, or null
+// if no sites of the feature fall within the tile
+const getVectorTile = async (generation, feature, siteCodes, z, x, y) => {
+  const { index, pointIndex, worldSizes } = await getTileIndex(generation, feature, siteCodes);
+  const tile = index.getTile(z, x, y);
+  const features = tile ? tile.features : [];
+  const tileSiteCodes = new Set(features.map(tileFeature => tileFeature.tags.siteCode));
+  const pointTile = pointIndex.getTile(z, x, y);
+  const points = (pointTile ? pointTile.features : []).filter(({ tags: { siteCode } }) => (
+    !tileSiteCodes.has(siteCode) && worldSizes.get(siteCode) * (2 ** z) * TILE_EXTENT < MAX_REPRESENTED_SIZE
+  ));
+  if (!features.length && !points.length) { return null; }
+  return Buffer.from(vtPbf.fromGeojsonVt({ [feature]: { features: features.concat(points) } }, { version: 2, extent: TILE_EXTENT }));
+};
+
+/**
+   buildGeneration
+   Cache features.json, the sites index and all assets under the given generation. Resolves to
+   { error } if features.json can't be used, otherwise to { failedAssets } listing the keys of any
+   assets that failed to load.
+*/
+const buildGeneration = async (generation) => {
+  const startTime = Date.now();
+  // Handle caching of features.json
+  const featuresAreCached = await cacheFeatures(generation);
+  if (!featuresAreCached) {
+    return { error: 'features.json missing or malformed. Run build.js to regenrate.' };
+  }
+  logWithPid(`Cached features.json (generation ${generation})`);
+  const versionsAreCached = await cacheVersions(generation);
+  if (!versionsAreCached) {
+    return { error: 'versions/versions.json malformed; restore it from version control.' };
+  }
+  const sitesAreCached = await cacheSites(generation);
+  if (!sitesAreCached) {
+    return { error: 'failed to build sites index from features.json.' };
+  }
+  logWithPid(`Cached sites index (generation ${generation})`);
+  // Build the rest of the cache
+  logWithPid(`Caching assets (generation ${generation})...`);
+  const { assetCount, partsCount, failedAssets } = await cacheAllAssets(generation);
+  const successfulAssets = assetCount - failedAssets.length;
+  logWithPid(`Asset cache: ${successfulAssets} of ${assetCount} OK; ${failedAssets.length} failed.`);
+  if (partsCount < successfulAssets) {
+    logWithPid(`${successfulAssets - partsCount} assets have no parts; rebuild them with build.js to serve parts=true and property filters.`);
+  }
+  await promiseCacheStore(getGenerationKey(generation, 'failedAssets'), failedAssets);
+  cacheWarmDuration.set((Date.now() - startTime) / 1000);
+  return { failedAssets };
+};
+
+const getFailedAssets = async (generation) => await promiseCacheRead(getGenerationKey(generation, 'failedAssets'));
+
+// failedAssets is stored last, so a generation that has it is complete
+const generationIsBuilt = async (generation) => !!(await getFailedAssets(generation));
+
+
+/**
+   Cache State
+   Everything a request needs to know about one cache generation. Each request takes the state
+   live when it arrives (ctx.state.cache) and uses it throughout, so swapping to a new generation
+   never changes what an in-flight request sees.
+*/
+const loadCacheState = async (generation) => ({
+  generation,
+  features: await getFeatures(generation),
+  sites: await getSites(generation),
+  siteAliases: (await getSiteAliases(generation)) || {},
+  featuresHash: await getFeaturesHash(generation),
+  assetHashes: await getAssetHashes(generation),
+  partsHashes: await getPartsHashes(generation),
+  spatialIndex: await getSpatialIndex(generation),
+  buildTimestamp: await getBuildTimestamp(generation),
+  metadata: await getMetadata(generation),
+  metadataHash: await getMetadataHash(generation),
+  failedAssets: (await getFailedAssets(generation)) || [],
+  dataDir: await getDataDir(generation),
+  versions: (await getVersions(generation)) || [],
+});
+
+module.exports = {
+  ENCODINGS,
+  SIMPLIFIED_ZOOM_LEVELS,
+  buildGeneration,
+  cacheIsInitialized,
+  cacheIsShared,
+  clearCache,
+  configureCache,
+  createMemoryStore,
+  generationIsBuilt,
+  getAssetData,
+  getContentHash,
+  getCurrentGeneration,
+  getFailedAssets,
+  getPartsData,
+  getSimplifiedAssetData,
+  getSiteFeatureCollection,
+  getTaggedAsset,
+  getVariantParts,
+  getVectorTile,
+  isPrecomputedZoom,
+  loadCacheState,
+  pruneTileIndexes,
+  queryBBox,
+  queryPoint,
+  removeGeneration,
+  setCurrentGeneration,
+};
@@ -0,0 +1,170 @@
+'use strict';
+
+const {
+  getArea,
+  getCentroid,
+  getDistance,
+  normalizeGeometry,
+  swapAxisOrder,
+} = require('./geometry');
+
+/**
+   Build change report
+   build.js compares each rebuilt feature against the previous features.json and assets/ tree and
+   records sites added or removed, geometries whose area or centroid moved by more than a threshold,
+   and property changes. Assets are read as written ([lat, lng] order).
+*/
+const DEFAULT_THRESHOLDS = {
+  areaPercent: 1,
+  centroidMeters: 100,
+};
+
+const round = (value, places) => Math.round(value * (10 ** places)) / (10 ** places);
+
+const measure = (asset) => {
+  const geometry = normalizeGeometry(swapAxisOrder(asset.geometry));
+  return {
+    area: geometry ? getArea(geometry) : 0,
+    centroid: geometry ? getCentroid(geometry) : null,
+  };
+};
+
+const compareProperties = (previous = {}, next = {}) => {
+  const changes = {};
+  [...new Set([...Object.keys(previous), ...Object.keys(next)])].forEach((key) => {
+    if (JSON.stringify(previous[key]) !== JSON.stringify(next[key])) {
+      changes[key] = {
+        previous: previous[key] === undefined ? null : previous[key],
+        next: next[key] === undefined ? null : next[key],
+      };
+    }
+  });
+  return Object.keys(changes).length ? changes : null;
+};
+
+const compareGeometry = (previous, next, thresholds) => {
+  if (JSON.stringify(previous.geometry) === JSON.stringify(next.geometry)) { return null; }
+  const before = measure(previous);
+  const after = measure(next);
+  const areaPercent = before.area
+    ? ((after.area - before.area) / before.area) * 100
+    : (after.area ? Infinity : 0);
+  const centroidMeters = before.centroid && after.centroid
+    ? getDistance(before.centroid, after.centroid)
+    : Infinity;
+  return {
+    previousAreaKm2: round(before.area / 1e6, 4),
+    nextAreaKm2: round(after.area / 1e6, 4),
+    areaPercent: Number.isFinite(areaPercent) ? round(areaPercent, 2) : null,
+    centroidMeters: Number.isFinite(centroidMeters) ? round(centroidMeters, 1) : null,
+    significant: !Number.isFinite(areaPercent)
+      || !Number.isFinite(centroidMeters)
+      || Math.abs(areaPercent) > thresholds.areaPercent
+      || centroidMeters > thresholds.centroidMeters,
+  };
+};
+
+/**
+   Compare one feature
+   readPrevious / readNext take a site code and resolve to that site's parsed asset, or null if it
+   can't be read.
+*/
+const compareFeature = ({ previousSites, nextSites, readPrevious, readNext, thresholds }) => {
+  const result = {
+    added: nextSites.filter(siteCode => !previousSites.includes(siteCode)),
+    removed: previousSites.filter(siteCode => !nextSites.includes(siteCode)),
+    geometryChanged: [],
+    propertiesChanged: [],
+    minorGeometryChanges: 0,
+    unchanged: 0,
+  };
+  nextSites
+    .filter(siteCode => previousSites.includes(siteCode))
+    .forEach((siteCode) => {
+      const previous = readPrevious(siteCode);
+      const next = readNext(siteCode);
+      // Listed in the previous features.json but missing on disk
+      if (!previous || !next) {
+        result.added.push(siteCode);
+        return;
+      }
+      const geometry = compareGeometry(previous, next, thresholds);
+      const properties = compareProperties(previous.properties, next.properties);
+      if (geometry) {
+        const { significant, ...changes } = geometry;
+        if (significant) {
+          result.geometryChanged.push({ siteCode, ...changes });
+        } else {
+          result.minorGeometryChanges += 1;
+        }
+      }
+      if (properties) {
+        result.propertiesChanged.push({ siteCode, changes: properties });
+      }
+      if (!geometry && !properties) {
+        result.unchanged += 1;
+      }
+    });
+  return result;
+};
+
+/**
+   Markdown
+   Summary table followed by details for each feature with changes, suitable for a pull request.
+*/
+const formatValue = value => (value === null || value === undefined ? '—' : `\`${JSON.stringify(value)}\``);
+
+const formatPercent = value => (value === null ? 'n/a' : `${value > 0 ? '+' : ''}${value}%`);
+
+const toMarkdown = (report) => {
+  const { features, failedFeatures, thresholds } = report;
+  const lines = [
+    '## Asset build changes',
+    '',
+    `Built ${report.timestamp}. Geometry changes are listed when area changes by more than ${thresholds.areaPercent}% or the centroid moves more than ${thresholds.centroidMeters} m.`,
+    '',
+    '| Feature | Added | Removed | Geometry changed | Properties changed | Minor geometry changes | Unchanged |',
+    '| --- | ---: | ---: | ---: | ---: | ---: | ---: |',
+  ];
+  Object.keys(features).forEach((key) => {
+    const f = features[key];
+    lines.push(`| ${key} | ${f.added.length} | ${f.removed.length} | ${f.geometryChanged.length} | ${f.propertiesChanged.length} | ${f.minorGeometryChanges} | ${f.unchanged} |`);
+  });
+  if (failedFeatures.length) {
+    lines.push('', `**Failed to build (left unchanged):** ${failedFeatures.join(', ')}`);
+  }
+  Object.keys(features).forEach((key) => {
+    const f = features[key];
+    if (!f.added.length && !f.removed.length && !f.geometryChanged.length && !f.propertiesChanged.length) {
+      return;
+    }
+    lines.push('', `### ${key}`);
+    if (f.added.length) { lines.push('', `**Added:** ${f.added.join(', ')}`); }
+    if (f.removed.length) { lines.push('', `**Removed:** ${f.removed.join(', ')}`); }
+    if (f.geometryChanged.length) {
+      lines.push(
+        '',
+        '| Site | Area before (km²) | Area after (km²) | Area change | Centroid shift (m) |',
+        '| --- | ---: | ---: | ---: | ---: |',
+      );
+      f.geometryChanged.forEach((c) => {
+        lines.push(`| ${c.siteCode} | ${c.previousAreaKm2} | ${c.nextAreaKm2} | ${formatPercent(c.areaPercent)} | ${c.centroidMeters === null ? 'n/a' : c.centroidMeters} |`);
+      });
+    }
+    if (f.propertiesChanged.length) {
+      lines.push('', '| Site | Property | Before | After |', '| --- | --- | --- | --- |');
+      f.propertiesChanged.forEach(({ siteCode, changes }) => {
+        Object.keys(changes).forEach((property) => {
+          lines.push(`| ${siteCode} | ${property} | ${formatValue(changes[property].previous)} | ${formatValue(changes[property].next)} |`);
+        });
+      });
+    }
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  compareFeature,
+  toMarkdown,
+};
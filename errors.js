@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+   API Errors
+   Every error response has a JSON body of the form
+   { "error": { "status": 400, "code": "INVALID_FEATURE", "message": "Invalid Feature", ...details } }
+   where code is one of ERROR_CODES. Details name the offending parameter where there is one and,
+   where it has a fixed set of valid values, list them as validOptions. Unknown site codes also
+   get the closest valid ones as suggestions and, if other features carry the site, those
+   features as featuresWithSite (see sites.js).
+*/
+const ERROR_CODES = {
+  // A parameter is missing, unknown or fails its schema (type, range, enum or pattern)
+  MISSING_PARAMETER: 'MISSING_PARAMETER',
+  UNKNOWN_PARAMETER: 'UNKNOWN_PARAMETER',
+  INVALID_PARAMETER: 'INVALID_PARAMETER',
+  // A parameter is well formed but doesn't name anything in the current features.json
+  INVALID_FEATURE: 'INVALID_FEATURE',
+  INVALID_SITE_CODE: 'INVALID_SITE_CODE',
+  INVALID_ASSETS: 'INVALID_ASSETS',
+  // The request is valid but can't be served in the requested format
+  UNSUPPORTED_FORMAT: 'UNSUPPORTED_FORMAT',
+  // Something valid that is missing from the cache or was never built
+  ASSET_NOT_FOUND: 'ASSET_NOT_FOUND',
+  PARTS_NOT_AVAILABLE: 'PARTS_NOT_AVAILABLE',
+  METADATA_NOT_AVAILABLE: 'METADATA_NOT_AVAILABLE',
+  VERSION_NOT_FOUND: 'VERSION_NOT_FOUND',
+  NOT_FOUND: 'NOT_FOUND',
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+};
+
+const getErrorBody = (status, code, message, details = {}) => ({
+  error: {
+    status,
+    code,
+    message,
+    ...details,
+  },
+});
+
+module.exports = {
+  ERROR_CODES,
+  getErrorBody,
+};
@@ -0,0 +1,247 @@
+'use strict';
+
+const shpWrite = require('@mapbox/shp-write');
+
+const { LINEAR_TYPES, POINT_TYPES, POLYGONAL_TYPES } = require('./geometry');
+
+/**
+   Output Formats
+   Assets are built and cached as GeoJSON. Every other format is converted on request from an
+   asset in RFC 7946 [lng, lat] order whose geometry has been normalized (see normalizeGeometry).
+   Serializers resolve to the response body.
+*/
+const FORMATS = {
+  GEOJSON: 'geojson',
+  KML: 'kml',
+  GPX: 'gpx',
+  SHAPEFILE: 'shapefile',
+  CSV: 'csv',
+};
+
+const DEFAULT_FORMAT = FORMATS.GEOJSON;
+
+const escapeXML = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const getGeometries = ({ type, coordinates }) => {
+  switch (type) {
+    case 'MultiPoint':
+      return coordinates.map(c => ({ type: 'Point', coordinates: c }));
+    case 'MultiLineString':
+      return coordinates.map(c => ({ type: 'LineString', coordinates: c }));
+    case 'MultiPolygon':
+      return coordinates.map(c => ({ type: 'Polygon', coordinates: c }));
+    default:
+      return [{ type, coordinates }];
+  }
+};
+
+/**
+   KML
+*/
+const toKMLCoordinates = positions => positions.map(([x, y]) => `${x},${y}`).join(' ');
+
+const toKMLGeometry = (geometry) => {
+  const geometries = getGeometries(geometry);
+  if (geometries.length > 1) {
+    return `<MultiGeometry>${geometries.map(toKMLGeometry).join('')}</MultiGeometry>`;
+  }
+  const { type, coordinates } = geometries[0];
+  switch (type) {
+    case 'Point':
+      return `<Point><coordinates>${toKMLCoordinates([coordinates])}</coordinates></Point>`;
+    case 'LineString':
+      return `<LineString><coordinates>${toKMLCoordinates(coordinates)}</coordinates></LineString>`;
+    case 'Polygon': {
+      const [outer, ...holes] = coordinates;
+      const toRing = ring => `<LinearRing><coordinates>${toKMLCoordinates(ring)}</coordinates></LinearRing>`;
+      return '<Polygon>'
+        + `<outerBoundaryIs>${toRing(outer)}</outerBoundaryIs>`
+        + holes.map(hole => `<innerBoundaryIs>${toRing(hole)}</innerBoundaryIs>`).join('')
+        + '</Polygon>';
+    }
+    default:
+      return '';
+  }
+};
+
+const toKML = async (asset, name) => {
+  const extendedData = Object.keys(asset.properties || {})
+    .map(key => `<Data name="${escapeXML(key)}"><value>${escapeXML(asset.properties[key])}</value></Data>`)
+    .join('');
+  return '<?xml version="1.0" encoding="UTF-8"?>'
+    + '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>'
+    + `<name>${escapeXML(name)}</name>`
+    + `<Placemark><name>${escapeXML(name)}</name>`
+    + `<ExtendedData>${extendedData}</ExtendedData>`
+    + toKMLGeometry(asset.geometry)
+    + '</Placemark></Document></kml>';
+};
+
+/**
+   GPX
+   GPX only models waypoints and tracks so it is only offered for point and line geometries.
+   Properties are carried in each waypoint / track description.
+*/
+const toGPXDescription = properties => Object.keys(properties || {})
+  .map(key => `${key}: ${properties[key]}`)
+  .join(', ');
+
+const toGPX = async (asset, name) => {
+  const desc = escapeXML(toGPXDescription(asset.properties));
+  const body = getGeometries(asset.geometry).map(({ type, coordinates }) => {
+    if (type === 'Point') {
+      const [lon, lat] = coordinates;
+      return `<wpt lat="${lat}" lon="${lon}"><name>${escapeXML(name)}</name><desc>${desc}</desc></wpt>`;
+    }
+    const points = coordinates.map(([lon, lat]) => `<trkpt lat="${lat}" lon="${lon}"/>`).join('');
+    return `<trk><name>${escapeXML(name)}</name><desc>${desc}</desc><trkseg>${points}</trkseg></trk>`;
+  });
+  return '<?xml version="1.0" encoding="UTF-8"?>'
+    + '<gpx version="1.1" creator="portal-arcgis-asset-api" xmlns="http://www.topografix.com/GPX/1/1">'
+    + body.join('')
+    + '</gpx>';
+};
+
+/**
+   Shapefile
+   A zip of .shp, .shx, .dbf and a WGS84 .prj. Shapefile attributes can't hold nulls so those are
+   written as empty strings.
+*/
+const toShapefile = async (asset, name) => {
+  const properties = {};
+  Object.keys(asset.properties || {}).forEach((key) => {
+    const value = asset.properties[key];
+    properties[key] = value === null || value === undefined ? '' : value;
+  });
+  return shpWrite.zip(
+    { type: 'FeatureCollection', features: [{ ...asset, properties }] },
+    {
+      folder: name,
+      outputType: 'nodebuffer',
+      types: { point: name, polygon: name, polyline: name },
+    },
+  );
+};
+
+/**
+   CSV with WKT geometry
+*/
+const toWKTPositions = positions => positions.map(([x, y]) => `${x} ${y}`).join(', ');
+
+const toWKTPolygon = rings => rings.map(ring => `(${toWKTPositions(ring)})`).join(', ');
+
+const toWKT = ({ type, coordinates }) => {
+  switch (type) {
+    case 'Point':
+      return `POINT (${toWKTPositions([coordinates])})`;
+    case 'MultiPoint':
+      return `MULTIPOINT (${coordinates.map(c => `(${toWKTPositions([c])})`).join(', ')})`;
+    case 'LineString':
+      return `LINESTRING (${toWKTPositions(coordinates)})`;
+    case 'MultiLineString':
+      return `MULTILINESTRING (${coordinates.map(line => `(${toWKTPositions(line)})`).join(', ')})`;
+    case 'Polygon':
+      return `POLYGON (${toWKTPolygon(coordinates)})`;
+    case 'MultiPolygon':
+      return `MULTIPOLYGON (${coordinates.map(polygon => `(${toWKTPolygon(polygon)})`).join(', ')})`;
+    default:
+      return 'GEOMETRYCOLLECTION EMPTY';
+  }
+};
+
+const escapeCSV = (value) => {
+  if (value === null || value === undefined) { return ''; }
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const toCSV = async (asset) => {
+  const keys = Object.keys(asset.properties || {});
+  const header = [...keys, 'WKT'].map(escapeCSV).join(',');
+  const row = [...keys.map(key => asset.properties[key]), toWKT(asset.geometry)].map(escapeCSV).join(',');
+  return `${header}\r\n${row}\r\n`;
+};
+
+/**
+   Format definitions
+   geometryTypes lists the (normalized) geometry types each format can represent.
+*/
+const ALL_TYPES = [...POINT_TYPES, ...LINEAR_TYPES, ...POLYGONAL_TYPES];
+
+const FORMAT_DEFINITIONS = {
+  [FORMATS.GEOJSON]: {
+    contentType: 'application/json',
+    geometryTypes: ALL_TYPES,
+  },
+  [FORMATS.KML]: {
+    contentType: 'application/vnd.google-earth.kml+xml',
+    extension: 'kml',
+    geometryTypes: ALL_TYPES,
+    serialize: toKML,
+  },
+  [FORMATS.GPX]: {
+    contentType: 'application/gpx+xml',
+    extension: 'gpx',
+    geometryTypes: [...POINT_TYPES, ...LINEAR_TYPES],
+    serialize: toGPX,
+  },
+  [FORMATS.SHAPEFILE]: {
+    contentType: 'application/zip',
+    extension: 'zip',
+    geometryTypes: ALL_TYPES,
+    serialize: toShapefile,
+  },
+  [FORMATS.CSV]: {
+    contentType: 'text/csv',
+    extension: 'csv',
+    geometryTypes: ALL_TYPES,
+    serialize: toCSV,
+  },
+};
+
+const isValidFormat = format => Object.values(FORMATS).includes(format);
+
+const formatSupportsGeometryType = (format, geometryType) => (
+  FORMAT_DEFINITIONS[format].geometryTypes.includes(geometryType)
+);
+
+// Content types in order of preference when negotiating on the Accept header
+const getFormatContentTypes = () => Object.values(FORMATS).map(format => FORMAT_DEFINITIONS[format].contentType);
+
+const getFormatForContentType = contentType => Object.values(FORMATS)
+  .find(format => FORMAT_DEFINITIONS[format].contentType === contentType);
+
+/**
+   Download Formats
+   Bulk downloads of many assets at once (see the download routes) are streamed as a single GeoJSON
+   FeatureCollection, newline-delimited GeoJSON or a ZIP archive of one GeoJSON file per asset.
+*/
+const DOWNLOAD_FORMATS = {
+  GEOJSON: 'geojson',
+  NDJSON: 'ndjson',
+  ZIP: 'zip',
+};
+
+const DOWNLOAD_FORMAT_DEFINITIONS = {
+  [DOWNLOAD_FORMATS.GEOJSON]: { contentType: 'application/geo+json', extension: 'geojson' },
+  [DOWNLOAD_FORMATS.NDJSON]: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  [DOWNLOAD_FORMATS.ZIP]: { contentType: 'application/zip', extension: 'zip' },
+};
+
+module.exports = {
+  DEFAULT_FORMAT,
+  DOWNLOAD_FORMATS,
+  DOWNLOAD_FORMAT_DEFINITIONS,
+  FORMATS,
+  FORMAT_DEFINITIONS,
+  formatSupportsGeometryType,
+  getFormatContentTypes,
+  getFormatForContentType,
+  isValidFormat,
+  toWKT,
+};
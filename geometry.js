@@ -0,0 +1,683 @@
+'use strict';
+
+/**
+   Geometry helpers
+   Assets are written by build.js with every coordinate pair in [lat, lng] order so they can be
+   handed directly to Leaflet. RFC 7946 GeoJSON requires [lng, lat]; these helpers translate
+   between the two without caring how deeply a geometry's coordinates are nested.
+*/
+const AXIS_ORDERS = {
+  LATLNG: 'latlng',
+  LNGLAT: 'lnglat',
+};
+
+const DEFAULT_AXIS_ORDER = AXIS_ORDERS.LATLNG;
+
+const isPosition = (coords) => Array.isArray(coords) && !Array.isArray(coords[0]);
+
+// Swap the first two values of every position, leaving any z value in place
+const swapCoordinates = (coords) => {
+  if (!Array.isArray(coords)) { return coords; }
+  if (isPosition(coords)) {
+    const [a, b, ...rest] = coords;
+    return [b, a, ...rest];
+  }
+  return coords.map(swapCoordinates);
+};
+
+const swapGeometry = (geometry) => {
+  if (!geometry) { return geometry; }
+  if (geometry.type === 'GeometryCollection') {
+    return { ...geometry, geometries: (geometry.geometries || []).map(swapGeometry) };
+  }
+  return { ...geometry, coordinates: swapCoordinates(geometry.coordinates) };
+};
+
+// Swap axis order of any GeoJSON object (FeatureCollection, Feature or bare geometry)
+const swapAxisOrder = (geojson) => {
+  if (!geojson || typeof geojson !== 'object') { return geojson; }
+  switch (geojson.type) {
+    case 'FeatureCollection':
+      return { ...geojson, features: (geojson.features || []).map(swapAxisOrder) };
+    case 'Feature':
+      return { ...geojson, geometry: swapGeometry(geojson.geometry) };
+    default:
+      return swapGeometry(geojson);
+  }
+};
+
+const isValidAxisOrder = (axisOrder) => Object.values(AXIS_ORDERS).includes(axisOrder);
+
+/**
+   Normalization
+   Assets built before build.js validated geometry (see validation.js) append additional parts of
+   multi-part sites onto the first part's coordinates without changing the geometry type, so a
+   "Polygon" may hold a mix of rings and whole polygons. These helpers walk whatever nesting is
+   present and return a well-formed geometry.
+*/
+const POLYGONAL_TYPES = ['Polygon', 'MultiPolygon'];
+const LINEAR_TYPES = ['LineString', 'MultiLineString'];
+const POINT_TYPES = ['Point', 'MultiPoint'];
+
+const isLine = (coords) => Array.isArray(coords) && coords.length > 0 && isPosition(coords[0]);
+
+const collectPositions = (coords, out = []) => {
+  if (!Array.isArray(coords) || !coords.length) { return out; }
+  if (isPosition(coords)) {
+    out.push(coords);
+  } else {
+    coords.forEach(c => collectPositions(c, out));
+  }
+  return out;
+};
+
+const collectLines = (coords, out = []) => {
+  if (!Array.isArray(coords) || !coords.length || isPosition(coords)) { return out; }
+  if (isLine(coords)) {
+    out.push(coords);
+  } else {
+    coords.forEach(c => collectLines(c, out));
+  }
+  return out;
+};
+
+// Rings found side by side in the same array belong to the same polygon (outer ring then holes)
+const collectPolygons = (coords, out = []) => {
+  if (!Array.isArray(coords) || !coords.length || isPosition(coords)) { return out; }
+  const rings = coords.filter(isLine);
+  if (rings.length) { out.push(rings); }
+  coords
+    .filter(c => Array.isArray(c) && c.length && !isLine(c) && !isPosition(c))
+    .forEach(c => collectPolygons(c, out));
+  return out;
+};
+
+const normalizeGeometry = (geometry) => {
+  if (!geometry || !geometry.type) { return null; }
+  const { type, coordinates } = geometry;
+  if (POLYGONAL_TYPES.includes(type)) {
+    const polygons = collectPolygons(coordinates);
+    if (!polygons.length) { return null; }
+    return polygons.length === 1
+      ? { type: 'Polygon', coordinates: polygons[0] }
+      : { type: 'MultiPolygon', coordinates: polygons };
+  }
+  if (LINEAR_TYPES.includes(type)) {
+    const lines = collectLines(coordinates);
+    if (!lines.length) { return null; }
+    return lines.length === 1
+      ? { type: 'LineString', coordinates: lines[0] }
+      : { type: 'MultiLineString', coordinates: lines };
+  }
+  if (POINT_TYPES.includes(type)) {
+    const points = collectPositions(coordinates);
+    if (!points.length) { return null; }
+    return points.length === 1
+      ? { type: 'Point', coordinates: points[0] }
+      : { type: 'MultiPoint', coordinates: points };
+  }
+  return null;
+};
+
+/**
+   Spatial predicates
+   All predicates below expect [x, y] ordered coordinates (i.e. [lng, lat]) and bounding boxes in
+   RFC 7946 order: [west, south, east, north].
+*/
+const getBBox = (geometry) => {
+  const positions = collectPositions(geometry && geometry.coordinates);
+  if (!positions.length) { return null; }
+  return positions.reduce(
+    ([w, s, e, n], [x, y]) => [Math.min(w, x), Math.min(s, y), Math.max(e, x), Math.max(n, y)],
+    [Infinity, Infinity, -Infinity, -Infinity],
+  );
+};
+
+const bboxesIntersect = (a, b) => (
+  a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1]
+);
+
+const pointInBBox = ([x, y], bbox) => (
+  x >= bbox[0] && x <= bbox[2] && y >= bbox[1] && y <= bbox[3]
+);
+
+// Ray casting; points exactly on an edge may fall either way
+const pointInRing = ([x, y], ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (((yi > y) !== (yj > y)) && (x < ((xj - xi) * (y - yi)) / (yj - yi) + xi)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const pointInPolygon = (point, rings) => (
+  rings.length > 0
+    && pointInRing(point, rings[0])
+    && !rings.slice(1).some(hole => pointInRing(point, hole))
+);
+
+const getPolygons = (geometry) => {
+  if (!geometry) { return []; }
+  if (geometry.type === 'Polygon') { return [geometry.coordinates]; }
+  if (geometry.type === 'MultiPolygon') { return geometry.coordinates; }
+  return [];
+};
+
+const getLines = (geometry) => {
+  if (!geometry) { return []; }
+  if (geometry.type === 'LineString') { return [geometry.coordinates]; }
+  if (geometry.type === 'MultiLineString') { return geometry.coordinates; }
+  // Polygon rings are lines for the purpose of edge intersection
+  return getPolygons(geometry).reduce((lines, rings) => lines.concat(rings), []);
+};
+
+// Expects a normalized geometry (see normalizeGeometry)
+const geometryContainsPoint = (geometry, point) => (
+  getPolygons(geometry).some(rings => pointInPolygon(point, rings))
+);
+
+const orientation = ([ax, ay], [bx, by], [cx, cy]) => Math.sign(((by - ay) * (cx - bx)) - ((bx - ax) * (cy - by)));
+
+const onSegment = ([ax, ay], [bx, by], [cx, cy]) => (
+  bx <= Math.max(ax, cx) && bx >= Math.min(ax, cx) && by <= Math.max(ay, cy) && by >= Math.min(ay, cy)
+);
+
+const segmentsIntersect = (p1, q1, p2, q2) => {
+  const o1 = orientation(p1, q1, p2);
+  const o2 = orientation(p1, q1, q2);
+  const o3 = orientation(p2, q2, p1);
+  const o4 = orientation(p2, q2, q1);
+  if (o1 !== o2 && o3 !== o4) { return true; }
+  return (o1 === 0 && onSegment(p1, p2, q1))
+    || (o2 === 0 && onSegment(p1, q2, q1))
+    || (o3 === 0 && onSegment(p2, p1, q2))
+    || (o4 === 0 && onSegment(p2, q1, q2));
+};
+
+const segmentIntersectsBBox = (a, b, bbox) => {
+  if (pointInBBox(a, bbox) || pointInBBox(b, bbox)) { return true; }
+  const [w, s, e, n] = bbox;
+  const corners = [[w, s], [e, s], [e, n], [w, n]];
+  return corners.some((corner, i) => segmentsIntersect(a, b, corner, corners[(i + 1) % 4]));
+};
+
+// Expects a normalized geometry (see normalizeGeometry)
+const geometryIntersectsBBox = (geometry, bbox) => {
+  const geometryBBox = getBBox(geometry);
+  if (!geometryBBox || !bboxesIntersect(geometryBBox, bbox)) { return false; }
+  if (POINT_TYPES.includes(geometry.type)) {
+    return collectPositions(geometry.coordinates).some(point => pointInBBox(point, bbox));
+  }
+  const edgeHit = getLines(geometry).some(line => line.some((point, i) => (
+    i > 0 && segmentIntersectsBBox(line[i - 1], point, bbox)
+  )));
+  if (edgeHit) { return true; }
+  // No edges cross the bbox, so it may still lie entirely within a polygon
+  const center = [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2];
+  return geometryContainsPoint(geometry, center);
+};
+
+const isLongitude = lng => lng >= -180 && lng <= 180;
+
+// West may be greater than east for a bbox crossing the antimeridian (RFC 7946 section 5.2)
+const isValidBBox = (bbox) => (
+  Array.isArray(bbox)
+    && bbox.length === 4
+    && bbox.every(Number.isFinite)
+    && (bbox[0] <= bbox[2] || (isLongitude(bbox[0]) && isLongitude(bbox[2])))
+    && bbox[1] <= bbox[3]
+);
+
+// A bbox crossing the antimeridian as the bboxes either side of it; any other bbox as itself
+const splitBBox = ([west, south, east, north]) => (
+  west > east
+    ? [[west, south, 180, north], [-180, south, east, north]]
+    : [[west, south, east, north]]
+);
+
+/**
+   Measurement
+   Expects a normalized geometry in [lng, lat] order. Areas are in square meters on the WGS 84
+   ellipsoid: rings are measured on the authalic sphere, which has the same area as the ellipsoid,
+   after mapping latitudes to their authalic latitudes (an equal-area mapping). Edges are then
+   great circles rather than geodesics, which makes no measurable difference over the length of a
+   polygon edge. Distances are on a sphere of the equatorial radius.
+*/
+const EARTH_RADIUS = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+const WGS84_E = Math.sqrt(WGS84_E2);
+
+const toRadians = degrees => (degrees * Math.PI) / 180;
+
+const getAuthalicQ = sinLat => (1 - WGS84_E2) * (
+  (sinLat / (1 - (WGS84_E2 * sinLat * sinLat)))
+    - (Math.log((1 - (WGS84_E * sinLat)) / (1 + (WGS84_E * sinLat))) / (2 * WGS84_E))
+);
+const AUTHALIC_QP = getAuthalicQ(1);
+const AUTHALIC_RADIUS = EARTH_RADIUS * Math.sqrt(AUTHALIC_QP / 2);
+
+// Sine of the authalic latitude
+const getSinAuthalicLatitude = lat => Math.max(-1, Math.min(1, getAuthalicQ(Math.sin(toRadians(lat))) / AUTHALIC_QP));
+
+const getRingArea = (ring) => {
+  if (ring.length < 3) { return 0; }
+  const sinBetas = ring.map(([, lat]) => getSinAuthalicLatitude(lat));
+  let total = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const lower = (i + ring.length - 1) % ring.length;
+    const upper = (i + 1) % ring.length;
+    total += (toRadians(ring[upper][0]) - toRadians(ring[lower][0])) * sinBetas[i];
+  }
+  return Math.abs((total * AUTHALIC_RADIUS * AUTHALIC_RADIUS) / 2);
+};
+
+// Area in square meters of a geometry's polygons, holes subtracted
+const getArea = geometry => getPolygons(geometry).reduce((area, [outer, ...holes]) => (
+  area + getRingArea(outer) - holes.reduce((holeArea, hole) => holeArea + getRingArea(hole), 0)
+), 0);
+
+// Haversine distance in meters between two [lng, lat] positions
+const getDistance = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = (Math.sin(dLat / 2) ** 2)
+    + (Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * (Math.sin(dLng / 2) ** 2));
+  return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Planar area-weighted centroid of polygons (holes subtracted), falling back to the mean position
+// for points, lines and polygons with no area
+const getCentroid = (geometry) => {
+  let area = 0;
+  let x = 0;
+  let y = 0;
+  getPolygons(geometry).forEach((rings) => {
+    rings.forEach((ring, r) => {
+      let ringArea = 0;
+      let ringX = 0;
+      let ringY = 0;
+      for (let i = 0; i < ring.length - 1; i++) {
+        const cross = (ring[i][0] * ring[i + 1][1]) - (ring[i + 1][0] * ring[i][1]);
+        ringArea += cross;
+        ringX += (ring[i][0] + ring[i + 1][0]) * cross;
+        ringY += (ring[i][1] + ring[i + 1][1]) * cross;
+      }
+      // Shoelace sums carry the ring's winding; holes always subtract
+      const sign = (r === 0 ? 1 : -1) * Math.sign(ringArea);
+      area += sign * ringArea / 2;
+      x += sign * ringX / 6;
+      y += sign * ringY / 6;
+    });
+  });
+  if (area) { return [x / area, y / area]; }
+  const positions = collectPositions(geometry && geometry.coordinates);
+  if (!positions.length) { return null; }
+  return [
+    positions.reduce((sum, [px]) => sum + px, 0) / positions.length,
+    positions.reduce((sum, [, py]) => sum + py, 0) / positions.length,
+  ];
+};
+
+/**
+   Simplification
+   Douglas-Peucker line simplification applied to every line / ring of a geometry, preserving its
+   original structure. Rings are never reduced below the four positions needed to stay closed.
+
+   Polygons also keep their topology. Junctions, where rings sharing a boundary part ways (found
+   as TopoJSON finds them), are always kept, so a boundary shared by two rings is simplified from
+   the same positions on both sides and the rings stay joined. The simplified rings are then
+   checked against each other: wherever a ring would cross itself or another ring, lose its area,
+   or move across a ring it was inside or outside of (e.g. a shell no longer holding its hole),
+   the segments at fault get back the original position furthest from them until none are left.
+   Simplifying a FeatureCollection also keeps the junctions between its features, though rings are
+   only checked against others of the same feature; anchors gives any other positions to keep.
+*/
+const MAX_ZOOM = 22;
+const TILE_SIZE = 256;
+
+// Approximate width in degrees of one screen pixel at a given web map zoom level
+const zoomToTolerance = zoom => 360 / (TILE_SIZE * (2 ** zoom));
+
+const positionKey = ([x, y]) => `${x},${y}`;
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+const isClosed = line => (
+  line.length > 2
+    && line[0][0] === line[line.length - 1][0]
+    && line[0][1] === line[line.length - 1][1]
+);
+
+/**
+   findJunctions
+   Add every junction of the given rings to junctions: a position found more than once with
+   different neighbours either side of it. Positions found more than once are added to shared.
+   Pass the same neighbours map for each of a number of geometries to find the junctions between
+   them. ringKeys may give the positionKey of every position of each ring where they're already
+   known.
+*/
+const findJunctions = (rings, {
+  junctions = new Set(),
+  shared = new Set(),
+  neighbours = new Map(),
+  ringKeys = rings.map(ring => ring.map(positionKey)),
+} = {}) => {
+  rings.forEach((ring, r) => {
+    const keys = ringKeys[r];
+    const last = ring.length - 1;
+    for (let i = 0; i < last; i++) {
+      const key = keys[i];
+      const previous = keys[i === 0 ? last - 1 : i - 1];
+      const next = keys[i + 1];
+      const seen = neighbours.get(key);
+      if (!seen) {
+        neighbours.set(key, { previous, next });
+      } else {
+        shared.add(key);
+        const sameNeighbours = (seen.previous === previous && seen.next === next)
+          || (seen.previous === next && seen.next === previous);
+        if (!sameNeighbours) { junctions.add(key); }
+      }
+    }
+  });
+  return { junctions, shared };
+};
+
+const getSqSegmentDistance = ([px, py], [ax, ay], [bx, by]) => {
+  let x = ax;
+  let y = ay;
+  let dx = bx - x;
+  let dy = by - y;
+  if (dx !== 0 || dy !== 0) {
+    const t = (((px - x) * dx) + ((py - y) * dy)) / ((dx * dx) + (dy * dy));
+    if (t > 1) {
+      x = bx;
+      y = by;
+    } else if (t > 0) {
+      x += dx * t;
+      y += dy * t;
+    }
+  }
+  dx = px - x;
+  dy = py - y;
+  return (dx * dx) + (dy * dy);
+};
+
+// The position between first and last furthest from the segment joining them
+const getFurthest = (line, first, last) => {
+  let index = first + 1;
+  let maxSqDistance = 0;
+  for (let i = first + 1; i < last; i++) {
+    const sqDistance = getSqSegmentDistance(line[i], line[first], line[last]);
+    if (sqDistance > maxSqDistance) {
+      index = i;
+      maxSqDistance = sqDistance;
+    }
+  }
+  return { index, sqDistance: maxSqDistance };
+};
+
+// Indexes of the positions of a line kept by Douglas-Peucker between each pair of consecutive
+// splits, which are always kept
+const douglasPeucker = (line, tolerance, splits = [0, line.length - 1]) => {
+  const sqTolerance = tolerance * tolerance;
+  const keep = new Uint8Array(line.length);
+  const stack = [];
+  splits.forEach((split, i) => {
+    keep[split] = 1;
+    if (i > 0) { stack.push([splits[i - 1], split]); }
+  });
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    if (last - first > 1) {
+      const { index, sqDistance } = getFurthest(line, first, last);
+      if (sqDistance > sqTolerance) {
+        keep[index] = 1;
+        stack.push([first, index], [index, last]);
+      }
+    }
+  }
+  const indexes = [];
+  keep.forEach((kept, i) => { if (kept) { indexes.push(i); } });
+  return indexes;
+};
+
+// Indexes of the anchors among a line's positions, given their keys, other than its first and last
+const getAnchorIndexes = (keys, anchors) => keys
+  .map((key, i) => (anchors.has(key) ? i : -1))
+  .filter(i => i > 0 && i < keys.length - 1);
+
+const simplifyLine = (line, tolerance, anchors) => {
+  if (line.length <= 2) { return line; }
+  const anchorIndexes = anchors.size ? getAnchorIndexes(line.map(positionKey), anchors) : [];
+  return douglasPeucker(line, tolerance, [0, ...anchorIndexes, line.length - 1]).map(i => line[i]);
+};
+
+const MIN_RING_POSITIONS = 4;
+
+// A simplified ring is the positions of the original (maybe starting elsewhere), their keys and
+// the indexes of those it keeps
+const toRing = ({ positions, kept }) => kept.map(i => positions[i]);
+
+const simplifyRing = (ring, ringKeys, tolerance, anchors) => {
+  const unsimplified = { positions: ring, keys: ringKeys, kept: ring.map((position, i) => i) };
+  if (ring.length <= MIN_RING_POSITIONS) { return unsimplified; }
+  // Start at the first anchor, if any, so every anchor can be a split. Closed rings start and end
+  // on the same position so without another anchor split them in half to give Douglas-Peucker
+  // two distinct anchors.
+  const start = ringKeys.slice(0, -1).findIndex(key => anchors.has(key));
+  const rotate = values => (start > 0 ? values.slice(start, -1).concat(values.slice(0, start + 1)) : values);
+  const positions = rotate(ring);
+  const keys = rotate(ringKeys);
+  const anchorIndexes = getAnchorIndexes(keys, anchors);
+  const splits = [0, ...(anchorIndexes.length ? anchorIndexes : [Math.floor(positions.length / 2)]), positions.length - 1];
+  let attemptTolerance = tolerance;
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const kept = douglasPeucker(positions, attemptTolerance, splits);
+    if (kept.length >= MIN_RING_POSITIONS) { return { positions, keys, kept }; }
+    attemptTolerance /= 2;
+  }
+  return unsimplified;
+};
+
+const getPlanarRingArea = (ring) => {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += (ring[i][0] * ring[i + 1][1]) - (ring[i + 1][0] * ring[i][1]);
+  }
+  return area / 2;
+};
+
+// Whether two segments meet anywhere but a shared endpoint, or run along each other from one
+const segmentsConflict = (a, b, c, d) => {
+  if (!segmentsIntersect(a, b, c, d)) { return false; }
+  const sharedA = samePosition(a, c) || samePosition(a, d);
+  const sharedB = samePosition(b, c) || samePosition(b, d);
+  if (sharedA && sharedB) { return false; }
+  if (!sharedA && !sharedB) { return true; }
+  const [shared, end] = sharedA ? [a, b] : [b, a];
+  const otherEnd = samePosition(shared, c) ? d : c;
+  return orientation(shared, end, otherEnd) === 0
+    && (((end[0] - shared[0]) * (otherEnd[0] - shared[0])) + ((end[1] - shared[1]) * (otherEnd[1] - shared[1]))) > 0;
+};
+
+const getRingBBox = ring => ring.reduce(
+  ([w, s, e, n], [x, y]) => [Math.min(w, x), Math.min(s, y), Math.max(e, x), Math.max(n, y)],
+  [Infinity, Infinity, -Infinity, -Infinity],
+);
+
+/**
+   findConflicts
+   The segments of simplified rings that break the topology of the original rings, as a Map of
+   ring index to a Set of segment indexes. Only segments standing in for more than one original
+   segment are ever at fault. Segments are swept by min x so only segments with overlapping x
+   extents are compared. A ring's containment in another is tested at its first position that no
+   other ring shares; where it changed, the segments at fault are those that cut the position off
+   from the ring's original positions.
+*/
+const findConflicts = (simplifiedRings, rings, shared, isInsideOriginal) => {
+  const results = simplifiedRings.map(toRing);
+  const getSpan = (r, i) => simplifiedRings[r].kept[i + 1] - simplifiedRings[r].kept[i];
+  const isChanged = r => results[r].length !== rings[r].length;
+  const conflicts = new Map();
+  const addConflict = (r, i) => {
+    if (getSpan(r, i) < 2) { return; }
+    if (!conflicts.has(r)) { conflicts.set(r, new Set()); }
+    conflicts.get(r).add(i);
+  };
+
+  const segments = [];
+  results.forEach((ring, r) => {
+    if (isChanged(r) && getPlanarRingArea(ring) === 0) {
+      const spans = ring.slice(1).map((position, i) => getSpan(r, i));
+      addConflict(r, spans.indexOf(Math.max(...spans)));
+    }
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [a, b] = [ring[i], ring[i + 1]];
+      segments.push({ r, i, a, b, minX: Math.min(a[0], b[0]), maxX: Math.max(a[0], b[0]), isChanged: getSpan(r, i) > 1 });
+    }
+  });
+  segments.sort((s, t) => s.minX - t.minX);
+  for (let j = 0; j < segments.length; j++) {
+    const s = segments[j];
+    for (let k = j + 1; k < segments.length && segments[k].minX <= s.maxX; k++) {
+      const t = segments[k];
+      const gap = Math.abs(s.i - t.i);
+      const isNeighbour = s.r === t.r && (gap === 1 || gap === results[s.r].length - 2);
+      if ((s.isChanged || t.isChanged) && !isNeighbour && segmentsConflict(s.a, s.b, t.a, t.b)) {
+        addConflict(s.r, s.i);
+        addConflict(t.r, t.i);
+      }
+    }
+  }
+
+  const bboxes = results.map(getRingBBox);
+  results.forEach((ring, i) => {
+    const { positions, keys, kept } = simplifiedRings[i];
+    const index = kept.find(k => !shared.has(keys[k]));
+    if (index === undefined) { return; }
+    const point = positions[index];
+    results.forEach((otherRing, j) => {
+      if (i === j || !isChanged(j)) { return; }
+      const inside = pointInBBox(point, bboxes[j]) && pointInRing(point, otherRing);
+      if (inside === isInsideOriginal(point, j)) { return; }
+      const other = simplifiedRings[j];
+      for (let k = 0; k < other.kept.length - 1; k++) {
+        if (pointInRing(point, other.positions.slice(other.kept[k], other.kept[k + 1] + 1))) { addConflict(j, k); }
+      }
+    });
+  });
+  return conflicts;
+};
+
+// Simplify every ring, then keep the furthest original position of each conflicting segment
+// until nothing conflicts. Every round keeps at least one more position, so this always ends.
+const simplifyRings = (rings, ringKeys, tolerance, anchors, shared) => {
+  const bboxes = rings.map(getRingBBox);
+  const originalInside = rings.map(() => new Map());
+  const isInsideOriginal = (point, j) => {
+    if (!originalInside[j].has(point)) {
+      originalInside[j].set(point, pointInBBox(point, bboxes[j]) && pointInRing(point, rings[j]));
+    }
+    return originalInside[j].get(point);
+  };
+  const simplifiedRings = rings.map((ring, r) => simplifyRing(ring, ringKeys[r], tolerance, anchors));
+  let conflicts = findConflicts(simplifiedRings, rings, shared, isInsideOriginal);
+  while (conflicts.size) {
+    conflicts.forEach((segmentIndexes, r) => {
+      const { positions, kept } = simplifiedRings[r];
+      const added = [...segmentIndexes].map(i => getFurthest(positions, kept[i], kept[i + 1]).index);
+      simplifiedRings[r] = { ...simplifiedRings[r], kept: kept.concat(added).sort((a, b) => a - b) };
+    });
+    conflicts = findConflicts(simplifiedRings, rings, shared, isInsideOriginal);
+  }
+  return simplifiedRings.map(toRing);
+};
+
+// Rebuild coordinates with each line replaced by its simplified line
+const replaceLines = (coords, simplifiedLines) => {
+  if (!Array.isArray(coords) || !coords.length || isPosition(coords)) { return coords; }
+  if (isLine(coords)) { return simplifiedLines.get(coords); }
+  return coords.map(c => replaceLines(c, simplifiedLines));
+};
+
+const getPolygonalRings = geometry => (
+  geometry && POLYGONAL_TYPES.includes(geometry.type) ? collectLines(geometry.coordinates).filter(isClosed) : []
+);
+
+const simplifyGeometry = (geometry, tolerance, anchors = []) => {
+  if (!geometry || POINT_TYPES.includes(geometry.type) || !(tolerance > 0)) { return geometry; }
+  if (geometry.type === 'GeometryCollection') {
+    return { ...geometry, geometries: (geometry.geometries || []).map(g => simplifyGeometry(g, tolerance, anchors)) };
+  }
+  const lines = collectLines(geometry.coordinates);
+  const rings = getPolygonalRings(geometry);
+  const ringKeys = rings.map(ring => ring.map(positionKey));
+  const anchorKeys = new Set(anchors.map(positionKey));
+  const { shared } = findJunctions(rings, { junctions: anchorKeys, ringKeys });
+  const simplifiedLines = new Map();
+  lines.forEach((line) => {
+    if (!rings.includes(line)) { simplifiedLines.set(line, simplifyLine(line, tolerance, anchorKeys)); }
+  });
+  simplifyRings(rings, ringKeys, tolerance, anchorKeys, shared)
+    .forEach((ring, i) => simplifiedLines.set(rings[i], ring));
+  return { ...geometry, coordinates: replaceLines(geometry.coordinates, simplifiedLines) };
+};
+
+// Simplify any GeoJSON object (FeatureCollection, Feature or bare geometry)
+const simplify = (geojson, tolerance, anchors = []) => {
+  if (!geojson || typeof geojson !== 'object') { return geojson; }
+  switch (geojson.type) {
+    case 'FeatureCollection': {
+      const features = geojson.features || [];
+      const neighbours = new Map();
+      const junctions = new Set(anchors.map(positionKey));
+      features.forEach(f => findJunctions(getPolygonalRings(f && f.geometry), { junctions, neighbours }));
+      const featureAnchors = [...junctions].map(key => key.split(',').map(Number));
+      return { ...geojson, features: features.map(f => simplify(f, tolerance, featureAnchors)) };
+    }
+    case 'Feature':
+      return { ...geojson, geometry: simplifyGeometry(geojson.geometry, tolerance, anchors) };
+    default:
+      return simplifyGeometry(geojson, tolerance, anchors);
+  }
+};
+
+module.exports = {
+  AXIS_ORDERS,
+  DEFAULT_AXIS_ORDER,
+  LINEAR_TYPES,
+  MAX_ZOOM,
+  POINT_TYPES,
+  POLYGONAL_TYPES,
+  bboxesIntersect,
+  collectPositions,
+  geometryContainsPoint,
+  geometryIntersectsBBox,
+  getArea,
+  getBBox,
+  getCentroid,
+  getDistance,
+  getLines,
+  getPolygons,
+  isPosition,
+  isValidAxisOrder,
+  isValidBBox,
+  normalizeGeometry,
+  pointInPolygon,
+  positionKey,
+  samePosition,
+  segmentsIntersect,
+  simplify,
+  simplifyGeometry,
+  splitBBox,
+  swapAxisOrder,
+  swapCoordinates,
+  toRadians,
+  zoomToTolerance,
+};
@@ -1,21 +1,44 @@
 const winston = require('winston');
 const chalk = require('chalk');
 
+// LOG_FORMAT=json logs one JSON object per line (with the pid and any other fields given) for log
+// pipelines; otherwise logs are colored text for reading in a terminal
+const isJSON = process.env.LOG_FORMAT === 'json';
+
+const textFormat = winston.format.combine(
+  winston.format.colorize(),
+  winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+  winston.format.printf(({ timestamp, level, message }) => {
+    return `[${timestamp}] ${level}: ${message}`;
+  })
+);
+
+const jsonFormat = winston.format.combine(
+  winston.format.timestamp(),
+  winston.format.json()
+);
 
 const logger = winston.createLogger({
   level: 'info',
-  format: winston.format.combine(
-    winston.format.colorize(),
-    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
-    winston.format.printf(({ timestamp, level, message }) => {
-      return `[${timestamp}] ${level}: ${message}`;
-    })
-  ),
+  format: isJSON ? jsonFormat : textFormat,
+  defaultMeta: isJSON ? { pid: process.pid } : undefined,
   transports: [
     new winston.transports.Console()
   ]
 });
 
+logger.isJSON = isJSON;
+
 logger.success = (msg) => logger.info(`[SUCCESS] ${msg}`);
 
+// JSON logs carry the pid as a field of their own
+logger.withPid = (msg, isError = false) => {
+  if (isJSON) {
+    return isError ? logger.error(String(msg)) : logger.info(String(msg));
+  }
+  return isError
+    ? logger.error(`[PID ${process.pid}] ERROR: ${msg}`)
+    : logger.info(`[PID ${process.pid}] ${msg}`);
+};
+
 module.exports = logger;
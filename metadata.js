@@ -0,0 +1,38 @@
+'use strict';
+
+const {
+  POLYGONAL_TYPES,
+  collectPositions,
+  getArea,
+  getBBox,
+  getCentroid,
+  normalizeGeometry,
+  swapAxisOrder,
+} = require('./geometry');
+
+/**
+   Site metadata
+   build.js records metadata for every site in metadata.json so clients can frame a map or show an
+   area without downloading geometry. Computed from the asset as written ([lat, lng] order);
+   bbox is [west, south, east, north] and centroid is [lng, lat] as per RFC 7946.
+*/
+const round = (value, places = 6) => Math.round(value * (10 ** places)) / (10 ** places);
+
+const getSiteMetadata = (assetData) => {
+  const asset = JSON.parse(assetData);
+  const geometry = normalizeGeometry(swapAxisOrder(asset.geometry));
+  const bbox = getBBox(geometry);
+  const centroid = geometry ? getCentroid(geometry) : null;
+  return {
+    geometryType: geometry ? geometry.type : null,
+    bbox: bbox ? bbox.map(value => round(value)) : null,
+    centroid: centroid ? centroid.map(value => round(value)) : null,
+    areaKm2: geometry && POLYGONAL_TYPES.includes(geometry.type) ? round(getArea(geometry) / 1e6) : null,
+    vertexCount: collectPositions(asset.geometry && asset.geometry.coordinates).length,
+    byteSize: Buffer.byteLength(assetData),
+  };
+};
+
+module.exports = {
+  getSiteMetadata,
+};
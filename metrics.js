@@ -0,0 +1,82 @@
+'use strict';
+
+const {
+  AggregatorRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+} = require('prom-client');
+
+/**
+   Metrics
+   Prometheus metrics for the current process, all held in register. Served as they are by an app
+   outside of the cluster; in the cluster the master aggregates every worker's register (see
+   enableClusterMetrics) so /metrics covers all workers whichever one serves it. Counters and
+   histograms are summed across workers.
+*/
+const register = new Registry();
+
+// Requests not matching any route in routes.js are counted under this route label
+const UNMATCHED_ROUTE = 'unmatched';
+
+const httpRequests = new Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by route (path as defined in routes.js), method and status',
+  labelNames: ['route', 'method', 'status'],
+  registers: [register],
+});
+
+const httpRequestDuration = new Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time from receiving an HTTP request to finishing its response, by route and method',
+  labelNames: ['route', 'method'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+const bytesServed = new Counter({
+  name: 'http_response_bytes_total',
+  help: 'Response body bytes sent (after compression) for requests naming a feature and / or site',
+  labelNames: ['feature', 'siteCode'],
+  registers: [register],
+});
+
+const cacheReads = new Counter({
+  name: 'cache_reads_total',
+  help: 'Reads of cached asset variants, parts and tile indexes by whether they were found',
+  labelNames: ['type', 'result'],
+  registers: [register],
+});
+
+// Only the worker that builds a generation sets this; the others report 0
+const cacheWarmDuration = new Gauge({
+  name: 'cache_warm_duration_seconds',
+  help: 'Time taken to build the most recent cache generation',
+  aggregator: 'max',
+  registers: [register],
+});
+
+const countCacheRead = (type, isHit) => cacheReads.inc({ type, result: isHit ? 'hit' : 'miss' });
+
+/**
+   enableClusterMetrics
+   Call in the master and in every worker. Workers answer the master's requests for their
+   register; in the master the returned registry's clusterMetrics() resolves to the metrics of
+   all workers in the Prometheus text format.
+*/
+const enableClusterMetrics = () => {
+  AggregatorRegistry.setRegistries([register]);
+  return new AggregatorRegistry();
+};
+
+module.exports = {
+  UNMATCHED_ROUTE,
+  bytesServed,
+  cacheWarmDuration,
+  countCacheRead,
+  enableClusterMetrics,
+  httpRequestDuration,
+  httpRequests,
+  register,
+};
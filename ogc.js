@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+   OGC API - Features
+   Documents for an OGC API - Features Part 1 (Core) facade over the cached assets so clients such
+   as QGIS, ArcGIS Pro and GDAL can read them directly. Every feature key is a collection and every
+   site code a feature id within it. Geometry is always RFC 7946 [lng, lat] (CRS84) GeoJSON with
+   normalized geometry. Links are absolute, built from the base URL of the facade.
+*/
+const CONFORMANCE_CLASSES = [
+  'http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/core',
+  'http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/geojson',
+];
+
+const CRS84 = 'http://www.opengis.net/def/crs/OGC/1.3/CRS84';
+
+const CONTENT_TYPES = {
+  JSON: 'application/json',
+  GEOJSON: 'application/geo+json',
+};
+
+// Items per page of a collection's items unless a limit is given
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 10000;
+
+const link = (href, rel, type, title) => (title ? { href, rel, type, title } : { href, rel, type });
+
+// apiUrl is the base URL of the whole service, which serves the OpenAPI document and docs page
+const getLandingPage = (baseUrl, apiUrl) => ({
+  title: 'NEON ArcGIS Assets',
+  description: 'NEON site boundaries, airsheds, flight boxes, reaches and watersheds from the '
+    + 'NEON ArcGIS gallery as OGC API - Features collections',
+  links: [
+    link(baseUrl, 'self', CONTENT_TYPES.JSON, 'This document'),
+    link(`${apiUrl}/openapi.json`, 'service-desc', 'application/vnd.oai.openapi+json;version=3.0', 'API definition'),
+    link(`${apiUrl}/docs`, 'service-doc', 'text/html', 'API documentation'),
+    link(`${baseUrl}/conformance`, 'conformance', CONTENT_TYPES.JSON, 'Conformance classes implemented'),
+    link(`${baseUrl}/collections`, 'data', CONTENT_TYPES.JSON, 'Feature collections'),
+  ],
+});
+
+const getConformance = () => ({ conformsTo: CONFORMANCE_CLASSES });
+
+// Union of the bboxes of every site in a feature's spatial index entries, or the whole world if
+// none have geometry
+const getExtentBBox = (indexEntries) => {
+  const bboxes = indexEntries.map(({ bbox }) => bbox).filter(bbox => bbox);
+  if (!bboxes.length) { return [-180, -90, 180, 90]; }
+  return [
+    Math.min(...bboxes.map(bbox => bbox[0])),
+    Math.min(...bboxes.map(bbox => bbox[1])),
+    Math.max(...bboxes.map(bbox => bbox[2])),
+    Math.max(...bboxes.map(bbox => bbox[3])),
+  ];
+};
+
+const getCollection = (baseUrl, id, indexEntries) => {
+  const collectionUrl = `${baseUrl}/collections/${id}`;
+  return {
+    id,
+    title: id,
+    itemType: 'feature',
+    crs: [CRS84],
+    extent: {
+      spatial: { bbox: [getExtentBBox(indexEntries)], crs: CRS84 },
+    },
+    links: [
+      link(collectionUrl, 'self', CONTENT_TYPES.JSON, 'This collection'),
+      link(`${collectionUrl}/items`, 'items', CONTENT_TYPES.GEOJSON, 'Features in this collection'),
+    ],
+  };
+};
+
+// spatialIndex is keyed like features.json; see cacheAsset in cache.js
+const getCollections = (baseUrl, featureKeys, spatialIndex) => ({
+  links: [
+    link(`${baseUrl}/collections`, 'self', CONTENT_TYPES.JSON, 'This document'),
+  ],
+  collections: featureKeys.map(id => getCollection(baseUrl, id, Object.values(spatialIndex[id] || {}))),
+});
+
+// An asset as an OGC feature: its site code is its id
+const toItem = (baseUrl, collectionId, asset) => {
+  const itemUrl = `${baseUrl}/collections/${collectionId}/items/${asset.properties.siteCode}`;
+  return {
+    type: 'Feature',
+    id: asset.properties.siteCode,
+    geometry: asset.geometry,
+    properties: asset.properties,
+    links: [
+      link(itemUrl, 'self', CONTENT_TYPES.GEOJSON, 'This feature'),
+      link(`${baseUrl}/collections/${collectionId}`, 'collection', CONTENT_TYPES.JSON, 'The collection this feature belongs to'),
+    ],
+  };
+};
+
+/**
+   Items page
+   A FeatureCollection of one page of items. numberMatched is the total across all pages; next
+   and prev links carry the same bbox / limit as this page.
+*/
+const getItemsPage = (baseUrl, collectionId, assets, { bbox, limit, offset, numberMatched }) => {
+  const itemsUrl = `${baseUrl}/collections/${collectionId}/items`;
+  const pageUrl = (pageOffset) => {
+    const params = [];
+    if (bbox) { params.push(`bbox=${bbox.join(',')}`); }
+    params.push(`limit=${limit}`, `offset=${pageOffset}`);
+    return `${itemsUrl}?${params.join('&')}`;
+  };
+  const links = [
+    link(pageUrl(offset), 'self', CONTENT_TYPES.GEOJSON, 'This page'),
+    link(`${baseUrl}/collections/${collectionId}`, 'collection', CONTENT_TYPES.JSON, 'The collection'),
+  ];
+  if (offset + limit < numberMatched) {
+    links.push(link(pageUrl(offset + limit), 'next', CONTENT_TYPES.GEOJSON, 'Next page'));
+  }
+  if (offset > 0) {
+    links.push(link(pageUrl(Math.max(offset - limit, 0)), 'prev', CONTENT_TYPES.GEOJSON, 'Previous page'));
+  }
+  return {
+    type: 'FeatureCollection',
+    features: assets.map(asset => toItem(baseUrl, collectionId, asset)),
+    timeStamp: new Date().toISOString(),
+    numberMatched,
+    numberReturned: assets.length,
+    links,
+  };
+};
+
+module.exports = {
+  CONFORMANCE_CLASSES,
+  CONTENT_TYPES,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  getCollection,
+  getCollections,
+  getConformance,
+  getItemsPage,
+  getLandingPage,
+  toItem,
+};
@@ -0,0 +1,474 @@
+'use strict';
+
+const ClipperLib = require('clipper-lib');
+const polygonClipping = require('polygon-clipping');
+
+const {
+  LINEAR_TYPES,
+  POLYGONAL_TYPES,
+  bboxesIntersect,
+  collectPositions,
+  getArea,
+  getBBox,
+  getDistance,
+  getPolygons,
+  positionKey,
+  segmentsIntersect,
+  simplifyGeometry,
+  toRadians,
+} = require('./geometry');
+
+/**
+   Geometry operations
+   Overlays (intersection, union and difference) of two geometries, buffers and geodesic
+   measurement, computed on demand from cached assets. Everything here expects normalized
+   geometry (see normalizeGeometry) in [lng, lat] order and returns the same, or null for an
+   empty result.
+
+   Overlays are planar in longitude / latitude, which at site scales is indistinguishable from
+   overlaying geodesic edges. Polygons are overlaid with polygon-clipping; lines and points are
+   clipped by polygons here, finding nearby edges through a grid index. Only polygons have area,
+   so a difference only removes anything where the geometry subtracted is polygonal (or where
+   points are subtracted from points).
+*/
+const OPERATIONS = {
+  INTERSECTION: 'intersection',
+  UNION: 'union',
+  DIFFERENCE: 'difference',
+};
+
+const DIMENSIONS = {
+  POINT: 0,
+  LINE: 1,
+  POLYGON: 2,
+};
+
+const getDimension = ({ type }) => {
+  if (POLYGONAL_TYPES.includes(type)) { return DIMENSIONS.POLYGON; }
+  if (LINEAR_TYPES.includes(type)) { return DIMENSIONS.LINE; }
+  return DIMENSIONS.POINT;
+};
+
+const toPolygonal = polygons => (polygons.length > 1
+  ? { type: 'MultiPolygon', coordinates: polygons }
+  : (polygons.length ? { type: 'Polygon', coordinates: polygons[0] } : null));
+
+const toLinear = lines => (lines.length > 1
+  ? { type: 'MultiLineString', coordinates: lines }
+  : (lines.length ? { type: 'LineString', coordinates: lines[0] } : null));
+
+const toPuntal = points => (points.length > 1
+  ? { type: 'MultiPoint', coordinates: points }
+  : (points.length ? { type: 'Point', coordinates: points[0] } : null));
+
+const getLinearLines = geometry => (geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates);
+
+const getSegments = lines => lines.reduce((segments, line) => {
+  for (let i = 1; i < line.length; i++) { segments.push([line[i - 1], line[i]]); }
+  return segments;
+}, []);
+
+const uniquePositions = (positions) => {
+  const seen = new Set();
+  return positions.filter((position) => {
+    const key = positionKey(position);
+    if (seen.has(key)) { return false; }
+    seen.add(key);
+    return true;
+  });
+};
+
+// Fraction of the way along a -> b at which it crosses c -> d, or null if it doesn't. Collinear
+// segments are treated as not crossing.
+const getCrossing = (a, b, c, d) => {
+  const rx = b[0] - a[0];
+  const ry = b[1] - a[1];
+  const sx = d[0] - c[0];
+  const sy = d[1] - c[1];
+  const denominator = (rx * sy) - (ry * sx);
+  if (denominator === 0) { return null; }
+  const qx = c[0] - a[0];
+  const qy = c[1] - a[1];
+  const t = ((qx * sy) - (qy * sx)) / denominator;
+  const u = ((qx * ry) - (qy * rx)) / denominator;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? t : null;
+};
+
+const CROSSING_EPSILON = 1e-9;
+
+const interpolate = (a, b, t) => {
+  if (t === 0) { return a; }
+  if (t === 1) { return b; }
+  return [a[0] + ((b[0] - a[0]) * t), a[1] + ((b[1] - a[1]) * t)];
+};
+
+const getSegmentBBox = ([[ax, ay], [bx, by]]) => [
+  Math.min(ax, bx),
+  Math.min(ay, by),
+  Math.max(ax, bx),
+  Math.max(ay, by),
+];
+
+// Segments bucketed into a grid over their bounding box, so the segments near another segment
+// (or on a ray from a point) can be found without testing every edge of a large asset
+const createSegmentIndex = (segments) => {
+  const bbox = segments.map(getSegmentBBox).reduce(
+    ([w, s, e, n], [sw, ss, se, sn]) => [Math.min(w, sw), Math.min(s, ss), Math.max(e, se), Math.max(n, sn)],
+    [Infinity, Infinity, -Infinity, -Infinity],
+  );
+  const size = Math.max(1, Math.ceil(Math.sqrt(segments.length)));
+  const cellWidth = (bbox[2] - bbox[0]) / size || 1;
+  const cellHeight = (bbox[3] - bbox[1]) / size || 1;
+  const toCell = (value, origin, cellSize) => Math.min(size - 1, Math.max(0, Math.floor((value - origin) / cellSize)));
+  const forEachCell = ([w, s, e, n], fn) => {
+    for (let row = toCell(s, bbox[1], cellHeight); row <= toCell(n, bbox[1], cellHeight); row++) {
+      for (let col = toCell(w, bbox[0], cellWidth); col <= toCell(e, bbox[0], cellWidth); col++) {
+        fn((row * size) + col);
+      }
+    }
+  };
+  const cells = [];
+  segments.forEach((segment, i) => forEachCell(getSegmentBBox(segment), (cell) => {
+    if (!cells[cell]) { cells[cell] = []; }
+    cells[cell].push(i);
+  }));
+  const query = (queryBBox) => {
+    if (!segments.length || !bboxesIntersect(queryBBox, bbox)) { return []; }
+    const found = new Set();
+    forEachCell(queryBBox, cell => (cells[cell] || []).forEach(i => found.add(i)));
+    return [...found].map(i => segments[i]);
+  };
+  return { bbox, query };
+};
+
+const getPolygonIndex = polygonal => createSegmentIndex(
+  getSegments(getPolygons(polygonal).reduce((rings, polygon) => rings.concat(polygon), [])),
+);
+
+// Ray casting against every ring at once; valid polygons (as built by build.js) have an odd
+// number of edges to the east of any point inside them
+const isInPolygons = (index, [x, y]) => index.query([x, y, Math.max(x, index.bbox[2]), y])
+  .reduce((inside, [[xi, yi], [xj, yj]]) => (
+    ((yi > y) !== (yj > y)) && (x < ((((xj - xi) * (y - yi)) / (yj - yi)) + xi)) ? !inside : inside
+  ), false);
+
+// Split lines wherever they cross a polygon edge and keep the pieces inside (or outside) it
+const clipLines = (lines, polygonal, keepInside) => {
+  const index = getPolygonIndex(polygonal);
+  const clipped = [];
+  lines.forEach((line) => {
+    let current = [];
+    const finishLine = () => {
+      if (current.length > 1) { clipped.push(current); }
+      current = [];
+    };
+    getSegments([line]).forEach(([a, b]) => {
+      const crossings = index.query(getSegmentBBox([a, b]))
+        .map(([c, d]) => getCrossing(a, b, c, d))
+        .filter(t => t !== null);
+      // Crossings within floating point error of each other (or an end) would only leave slivers
+      const stops = [0, ...crossings, 1]
+        .sort((x, y) => x - y)
+        .filter((t, i, all) => i === 0 || t - all[i - 1] > CROSSING_EPSILON);
+      stops[stops.length - 1] = 1;
+      for (let i = 1; i < stops.length; i++) {
+        const start = interpolate(a, b, stops[i - 1]);
+        const end = interpolate(a, b, stops[i]);
+        const isInside = isInPolygons(index, interpolate(a, b, (stops[i - 1] + stops[i]) / 2));
+        if (isInside === keepInside) {
+          if (!current.length) { current.push(start); }
+          current.push(end);
+        } else {
+          finishLine();
+        }
+      }
+    });
+    finishLine();
+  });
+  return clipped;
+};
+
+const isOnLines = (point, segments) => segments.some(([a, b]) => segmentsIntersect(point, point, a, b));
+
+// The part of a lower (or equal) dimension geometry inside or outside of another
+const clip = (geometry, by, keepInside) => {
+  const byDimension = getDimension(by);
+  const points = () => collectPositions(geometry.coordinates);
+  if (byDimension === DIMENSIONS.POLYGON) {
+    if (getDimension(geometry) === DIMENSIONS.LINE) {
+      return toLinear(clipLines(getLinearLines(geometry), by, keepInside));
+    }
+    const index = getPolygonIndex(by);
+    return toPuntal(points().filter(point => isInPolygons(index, point) === keepInside));
+  }
+  if (byDimension === DIMENSIONS.LINE) {
+    const segments = getSegments(getLinearLines(by));
+    return toPuntal(points().filter(point => isOnLines(point, segments) === keepInside));
+  }
+  const keys = new Set(collectPositions(by.coordinates).map(positionKey));
+  return toPuntal(uniquePositions(points()).filter(point => keys.has(positionKey(point)) === keepInside));
+};
+
+// Points at which lines cross each other
+const getLineCrossings = (a, b) => {
+  const index = createSegmentIndex(getSegments(getLinearLines(b)));
+  const crossings = [];
+  getSegments(getLinearLines(a)).forEach(([p, q]) => {
+    index.query(getSegmentBBox([p, q])).forEach(([c, d]) => {
+      const t = getCrossing(p, q, c, d);
+      if (t !== null) { crossings.push(interpolate(p, q, t)); }
+    });
+  });
+  return toPuntal(uniquePositions(crossings));
+};
+
+const intersect = (a, b) => {
+  const [higher, lower] = getDimension(a) >= getDimension(b) ? [a, b] : [b, a];
+  const dimensions = [getDimension(higher), getDimension(lower)];
+  if (dimensions[1] === DIMENSIONS.POLYGON) {
+    return toPolygonal(polygonClipping.intersection(getPolygons(a), getPolygons(b)));
+  }
+  if (dimensions[0] === DIMENSIONS.LINE && dimensions[1] === DIMENSIONS.LINE) {
+    return getLineCrossings(a, b);
+  }
+  return clip(lower, higher, true);
+};
+
+// Geometries of different dimensions are combined as a GeometryCollection of the higher dimension
+// geometry and whatever of the lower one lies outside of it
+const unite = (a, b) => {
+  const [higher, lower] = getDimension(a) >= getDimension(b) ? [a, b] : [b, a];
+  const dimensions = [getDimension(higher), getDimension(lower)];
+  if (dimensions[0] === dimensions[1]) {
+    if (dimensions[0] === DIMENSIONS.POLYGON) {
+      return toPolygonal(polygonClipping.union(getPolygons(a), getPolygons(b)));
+    }
+    if (dimensions[0] === DIMENSIONS.LINE) {
+      return toLinear([...getLinearLines(a), ...getLinearLines(b)]);
+    }
+    return toPuntal(uniquePositions([...collectPositions(a.coordinates), ...collectPositions(b.coordinates)]));
+  }
+  const remainder = clip(lower, higher, false);
+  return remainder ? { type: 'GeometryCollection', geometries: [higher, remainder] } : higher;
+};
+
+const subtract = (a, b) => {
+  const dimensions = [getDimension(a), getDimension(b)];
+  if (dimensions[0] === DIMENSIONS.POLYGON && dimensions[1] === DIMENSIONS.POLYGON) {
+    return toPolygonal(polygonClipping.difference(getPolygons(a), getPolygons(b)));
+  }
+  if (dimensions[1] === DIMENSIONS.POLYGON || dimensions[0] === DIMENSIONS.POINT) {
+    return clip(a, b, false);
+  }
+  return a;
+};
+
+// Overlay two geometries; difference is a minus b
+const overlayGeometries = (operation, a, b) => {
+  if (!a || !b) {
+    if (operation === OPERATIONS.UNION) { return a || b; }
+    return operation === OPERATIONS.DIFFERENCE ? a : null;
+  }
+  switch (operation) {
+    case OPERATIONS.INTERSECTION:
+      return intersect(a, b);
+    case OPERATIONS.UNION:
+      return unite(a, b);
+    case OPERATIONS.DIFFERENCE:
+      return subtract(a, b);
+    default:
+      throw new Error(`Unknown operation: ${operation}`);
+  }
+};
+
+/**
+   Buffers
+   Computed in meters on a local equirectangular projection centered on the geometry, which is
+   accurate to well under a percent across a site, by offsetting with Clipper. Polygon rings are
+   offset outwards (or inwards for a negative distance) and lines and points get round caps.
+   Geometry is first simplified to a small fraction of the distance, and further still for any
+   asset that would otherwise have more than MAX_BUFFER_POSITIONS positions, so buffering large
+   assets stays fast; the tolerance used is returned alongside the result.
+*/
+const MAX_BUFFER_DISTANCE = 50000;
+const MAX_BUFFER_POSITIONS = 20000;
+// Simplification tolerance, and the furthest round caps and corners may stray from a true circle,
+// as fractions of the buffer distance
+const BUFFER_TOLERANCE = 0.02;
+const ARC_TOLERANCE = 0.005;
+// Clipper works in integers; projected meters are scaled to centimeters
+const CLIPPER_SCALE = 100;
+const MEAN_EARTH_RADIUS = 6371008.8;
+
+const mapPositions = (coords, fn) => (Array.isArray(coords[0]) ? coords.map(c => mapPositions(c, fn)) : fn(coords));
+
+const getLocalProjection = (geometry) => {
+  const [west, south, east, north] = getBBox(geometry);
+  const originLng = (west + east) / 2;
+  const originLat = (south + north) / 2;
+  const metersPerDegreeLat = toRadians(MEAN_EARTH_RADIUS);
+  const metersPerDegreeLng = metersPerDegreeLat * Math.cos(toRadians(originLat));
+  return {
+    project: ([lng, lat]) => [(lng - originLng) * metersPerDegreeLng, (lat - originLat) * metersPerDegreeLat],
+    unproject: ([x, y]) => [originLng + (x / metersPerDegreeLng), originLat + (y / metersPerDegreeLat)],
+  };
+};
+
+// Simplify to the tolerance, doubling it until no more than MAX_BUFFER_POSITIONS remain. Rings
+// never lose their last four positions, so this gives up at the largest buffer distance.
+const simplifyForBuffer = (geometry, minTolerance) => {
+  let tolerance = minTolerance;
+  let simplified = simplifyGeometry(geometry, tolerance);
+  while (collectPositions(simplified.coordinates).length > MAX_BUFFER_POSITIONS && tolerance < MAX_BUFFER_DISTANCE) {
+    tolerance *= 2;
+    simplified = simplifyGeometry(geometry, tolerance);
+  }
+  return { simplified, tolerance };
+};
+
+// Outer rings of a Clipper PolyTree are followed by their holes; holes may hold outer rings again
+const polyTreeToPolygons = (polyTree, unproject) => {
+  const toRing = (path) => {
+    const ring = path.map(({ X, Y }) => unproject([X / CLIPPER_SCALE, Y / CLIPPER_SCALE]));
+    return [...ring, ring[0]];
+  };
+  const polygons = [];
+  const addOuterRings = node => node.Childs().forEach((outer) => {
+    polygons.push([toRing(outer.Contour()), ...outer.Childs().map(hole => toRing(hole.Contour()))]);
+    outer.Childs().forEach(addOuterRings);
+  });
+  addOuterRings(polyTree);
+  return polygons;
+};
+
+// Buffer a geometry by a distance in meters; resolves to { geometry, tolerance } with the
+// simplification tolerance used, also in meters. Points and lines have nothing to shrink, so a
+// negative (or zero) distance leaves them empty.
+const bufferGeometry = (geometry, distance) => {
+  const dimension = geometry ? getDimension(geometry) : null;
+  if (!geometry || (distance <= 0 && dimension !== DIMENSIONS.POLYGON)) { return { geometry: null, tolerance: 0 }; }
+  if (distance === 0) { return { geometry, tolerance: 0 }; }
+  const { project, unproject } = getLocalProjection(geometry);
+  const { simplified, tolerance } = simplifyForBuffer(
+    { type: geometry.type, coordinates: mapPositions(geometry.coordinates, project) },
+    Math.abs(distance) * BUFFER_TOLERANCE,
+  );
+  const toPath = line => line.map(([x, y]) => ({ X: Math.round(x * CLIPPER_SCALE), Y: Math.round(y * CLIPPER_SCALE) }));
+  const offset = new ClipperLib.ClipperOffset(2, Math.abs(distance) * ARC_TOLERANCE * CLIPPER_SCALE);
+  const { JoinType, EndType } = ClipperLib;
+  if (dimension === DIMENSIONS.POLYGON) {
+    // Clipper rings aren't closed by repeating their first position
+    getPolygons(simplified).forEach(rings => rings.forEach((ring) => {
+      offset.AddPath(toPath(ring.slice(0, -1)), JoinType.jtRound, EndType.etClosedPolygon);
+    }));
+  } else if (dimension === DIMENSIONS.LINE) {
+    getLinearLines(simplified).forEach(line => offset.AddPath(toPath(line), JoinType.jtRound, EndType.etOpenRound));
+  } else {
+    collectPositions(simplified.coordinates).forEach(point => offset.AddPath(toPath([point]), JoinType.jtRound, EndType.etOpenRound));
+  }
+  const polyTree = new ClipperLib.PolyTree();
+  offset.Execute(polyTree, distance * CLIPPER_SCALE);
+  return {
+    geometry: toPolygonal(polyTreeToPolygons(polyTree, unproject)),
+    // Points are never simplified
+    tolerance: dimension === DIMENSIONS.POINT ? 0 : tolerance,
+  };
+};
+
+/**
+   Geodesic measurement
+   Areas and lengths on the WGS 84 ellipsoid. Areas are getArea's (see geometry.js), the same as
+   site metadata and build reports record. Lengths are Vincenty's inverse solution, falling back to
+   the spherical distance for the near-antipodal points it can't converge on.
+*/
+const WGS84_A = 6378137;
+const WGS84_F = 1 / 298.257223563;
+const WGS84_B = WGS84_A * (1 - WGS84_F);
+
+const VINCENTY_ITERATIONS = 100;
+
+// Distance in meters between two [lng, lat] positions
+const getGeodesicDistance = (from, to) => {
+  const [lng1, lat1] = from;
+  const [lng2, lat2] = to;
+  const L = toRadians(lng2 - lng1);
+  const U1 = Math.atan((1 - WGS84_F) * Math.tan(toRadians(lat1)));
+  const U2 = Math.atan((1 - WGS84_F) * Math.tan(toRadians(lat2)));
+  const sinU1 = Math.sin(U1);
+  const cosU1 = Math.cos(U1);
+  const sinU2 = Math.sin(U2);
+  const cosU2 = Math.cos(U2);
+  let lambda = L;
+  let previousLambda;
+  let sinSigma;
+  let cosSigma;
+  let sigma;
+  let cosSqAlpha;
+  let cos2SigmaM;
+  let iterations = 0;
+  do {
+    const sinLambda = Math.sin(lambda);
+    const cosLambda = Math.cos(lambda);
+    sinSigma = Math.sqrt(((cosU2 * sinLambda) ** 2) + (((cosU1 * sinU2) - (sinU1 * cosU2 * cosLambda)) ** 2));
+    if (sinSigma === 0) { return 0; }
+    cosSigma = (sinU1 * sinU2) + (cosU1 * cosU2 * cosLambda);
+    sigma = Math.atan2(sinSigma, cosSigma);
+    const sinAlpha = (cosU1 * cosU2 * sinLambda) / sinSigma;
+    cosSqAlpha = 1 - (sinAlpha ** 2);
+    // Both points on the equator
+    cos2SigmaM = cosSqAlpha !== 0 ? cosSigma - ((2 * sinU1 * sinU2) / cosSqAlpha) : 0;
+    const C = (WGS84_F / 16) * cosSqAlpha * (4 + (WGS84_F * (4 - (3 * cosSqAlpha))));
+    previousLambda = lambda;
+    lambda = L + ((1 - C) * WGS84_F * sinAlpha * (
+      sigma + (C * sinSigma * (cos2SigmaM + (C * cosSigma * (-1 + (2 * (cos2SigmaM ** 2))))))
+    ));
+    iterations += 1;
+  } while (Math.abs(lambda - previousLambda) > 1e-12 && iterations < VINCENTY_ITERATIONS);
+  if (iterations >= VINCENTY_ITERATIONS) { return getDistance(from, to); }
+  const uSq = (cosSqAlpha * ((WGS84_A ** 2) - (WGS84_B ** 2))) / (WGS84_B ** 2);
+  const A = 1 + ((uSq / 16384) * (4096 + (uSq * (-768 + (uSq * (320 - (175 * uSq)))))));
+  const B = (uSq / 1024) * (256 + (uSq * (-128 + (uSq * (74 - (47 * uSq))))));
+  const deltaSigma = B * sinSigma * (cos2SigmaM + ((B / 4) * (
+    (cosSigma * (-1 + (2 * (cos2SigmaM ** 2))))
+      - ((B / 6) * cos2SigmaM * (-3 + (4 * (sinSigma ** 2))) * (-3 + (4 * (cos2SigmaM ** 2))))
+  )));
+  return WGS84_B * A * (sigma - deltaSigma);
+};
+
+// Length in meters of a geometry's lines, or the perimeter of its polygons (holes included)
+const getGeodesicLength = (geometry) => {
+  if (!geometry || getDimension(geometry) === DIMENSIONS.POINT) { return 0; }
+  const lines = getDimension(geometry) === DIMENSIONS.LINE
+    ? getLinearLines(geometry)
+    : getPolygons(geometry).reduce((rings, polygon) => rings.concat(polygon), []);
+  return getSegments(lines).reduce((length, [a, b]) => length + getGeodesicDistance(a, b), 0);
+};
+
+const round = (value, places = 6) => Math.round(value * (10 ** places)) / (10 ** places);
+
+// Area in square kilometers and length in kilometers (to the square meter and millimeter) of any
+// geometry, GeometryCollections included; null is empty
+const measureGeometry = (geometry) => {
+  const measure = (g) => {
+    if (!g) { return { area: 0, length: 0 }; }
+    if (g.type === 'GeometryCollection') {
+      return g.geometries.map(measure).reduce((total, { area, length }) => ({
+        area: total.area + area,
+        length: total.length + length,
+      }), { area: 0, length: 0 });
+    }
+    return { area: getArea(g), length: getGeodesicLength(g) };
+  };
+  const { area, length } = measure(geometry);
+  return { areaKm2: round(area / 1e6), lengthKm: round(length / 1e3) };
+};
+
+module.exports = {
+  MAX_BUFFER_DISTANCE,
+  OPERATIONS,
+  bufferGeometry,
+  getGeodesicDistance,
+  getGeodesicLength,
+  measureGeometry,
+  overlayGeometries,
+};
@@ -0,0 +1,1095 @@
+'use strict';
+
+const Ajv = require('ajv');
+
+const { AXIS_ORDERS, DEFAULT_AXIS_ORDER, MAX_ZOOM } = require('./geometry');
+const { DOWNLOAD_FORMATS, FORMATS } = require('./formats');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('./ogc');
+const { MAX_BUFFER_DISTANCE, OPERATIONS } = require('./operations');
+const { ERROR_CODES, getErrorBody } = require('./errors');
+const { normalizeSiteCode, resolveSiteCode, suggestSiteCodes } = require('./sites');
+const { DATE_PATTERN, VERSION_PATTERN } = require('./versions');
+
+/**
+   Route Definitions
+   The single definition of every route the API serves. app.js registers a handler for each route
+   in the order given here (so more specific paths must come before the ones they would otherwise
+   match) behind validation of its parameters, and the root route list and the OpenAPI document at
+   /openapi.json are both generated from it.
+
+   Paths are given in OpenAPI form ({param}). Parameters are OpenAPI parameter objects; path and
+   query values are validated (and coerced and defaulted) against their schema. Parameters with an
+   x-lookup must also name something in the live cache:
+     feature      - a feature key (400 INVALID_FEATURE)
+     features     - a comma-separated list of feature keys (400 INVALID_FEATURE)
+     siteFeatures - a comma-separated list of feature keys of the site in the path (400 INVALID_FEATURE)
+     siteCode     - a site code of the feature in the path (400 INVALID_SITE_CODE)
+     site         - any site code (400 INVALID_SITE_CODE)
+   Site codes also match in any case, with an extension, qualified by domain or by an alias (see
+   sites.js), in which case the request is redirected (301) to the path with the canonical code.
+     collection   - an OGC collection, i.e. a feature key (404 NOT_FOUND)
+     item         - an OGC feature, i.e. a site code of the collection in the path (404 NOT_FOUND)
+   Routes with strictQuery reject query parameters they don't define. hidden routes are served but
+   left out of the route list and OpenAPI document.
+*/
+const API_ROOT = '/api/v0/arcgis-assets';
+// OGC API - Features facade over the same assets
+const OGC_ROOT = '/api/v0/ogc';
+
+const LOOKUPS = {
+  FEATURE: 'feature',
+  FEATURES: 'features',
+  SITE_FEATURES: 'siteFeatures',
+  SITE_CODE: 'siteCode',
+  SITE: 'site',
+  COLLECTION: 'collection',
+  ITEM: 'item',
+};
+
+const CONTENT_TYPES = {
+  JSON: 'application/json',
+  GEOJSON: 'application/geo+json',
+  NDJSON: 'application/x-ndjson',
+  HTML: 'text/html',
+  KML: 'application/vnd.google-earth.kml+xml',
+  GPX: 'application/gpx+xml',
+  ZIP: 'application/zip',
+  CSV: 'text/csv',
+  TEXT: 'text/plain',
+  MVT: 'application/vnd.mapbox-vector-tile',
+};
+
+// Four comma-separated decimal numbers
+const NUMBER_PATTERN = '\\s*[-+]?(\\d+\\.?\\d*|\\.\\d+)([eE][-+]?\\d+)?\\s*';
+const BBOX_PATTERN = `^${NUMBER_PATTERN}(,${NUMBER_PATTERN}){3}$`;
+// Exactly two comma-separated values
+const PAIR_PATTERN = '^[^,]+,[^,]+$';
+
+/**
+   Parameters
+*/
+const pathParam = (name, description, schema, lookup) => ({
+  name,
+  in: 'path',
+  required: true,
+  description,
+  schema,
+  ...(lookup ? { 'x-lookup': lookup } : {}),
+});
+
+const queryParam = (name, description, schema, { required = false, lookup } = {}) => ({
+  name,
+  in: 'query',
+  required,
+  description,
+  schema,
+  ...(lookup ? { 'x-lookup': lookup } : {}),
+});
+
+const PARAMETERS = {
+  feature: pathParam('feature', 'Feature key; see the feature list', { type: 'string' }, LOOKUPS.FEATURE),
+  siteCode: pathParam('siteCode', 'NEON site code; see the feature\'s site codes', { type: 'string' }, LOOKUPS.SITE_CODE),
+  site: pathParam('siteCode', 'NEON site code; see the site list', { type: 'string' }, LOOKUPS.SITE),
+  features: queryParam(
+    'features',
+    'Comma-separated feature keys to limit results to; defaults to all',
+    { type: 'string', minLength: 1 },
+    { lookup: LOOKUPS.FEATURES },
+  ),
+  axisOrder: queryParam(
+    'axisOrder',
+    'Order of every coordinate pair: Leaflet\'s [lat, lng] or RFC 7946 [lng, lat]',
+    { type: 'string', enum: Object.values(AXIS_ORDERS), default: DEFAULT_AXIS_ORDER },
+  ),
+  zoom: queryParam(
+    'zoom',
+    'Web map zoom level to simplify geometry for; not with tolerance',
+    { type: 'integer', minimum: 0, maximum: MAX_ZOOM },
+  ),
+  tolerance: queryParam(
+    'tolerance',
+    'Tolerance in decimal degrees to simplify geometry to; not with zoom',
+    { type: 'number', exclusiveMinimum: 0 },
+  ),
+  collectionId: pathParam('collectionId', 'Collection id (a feature key)', { type: 'string' }, LOOKUPS.COLLECTION),
+  version: pathParam('version', 'Version name, e.g. 2024-05-01; see the version list', { type: 'string', pattern: VERSION_PATTERN }),
+};
+
+/**
+   Responses
+   Success responses are keyed by content type, each with a schema from SCHEMAS (by name) or null
+   for non-JSON content. Routes list the error statuses they can return; 304 is added for routes
+   that serve ETags.
+*/
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const ok = (description, content) => ({
+  description,
+  content: Object.keys(content).reduce((acc, contentType) => ({
+    ...acc,
+    [contentType]: content[contentType] ? { schema: content[contentType] } : {},
+  }), {}),
+});
+
+const json = schema => ({ [CONTENT_TYPES.JSON]: schema });
+
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['status', 'code', 'message'],
+        properties: {
+          status: { type: 'integer' },
+          code: { type: 'string', enum: Object.values(ERROR_CODES) },
+          message: { type: 'string' },
+          parameter: { type: 'string', description: 'The parameter at fault' },
+          validOptions: { type: 'array', items: {}, description: 'Valid values for the parameter' },
+          suggestions: { type: 'array', items: { type: 'string' }, description: 'The valid site codes closest to the one given' },
+          featuresWithSite: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Feature keys that do carry the site code given, where it is valid for other features',
+          },
+          invalidAssets: { type: 'array', items: { type: 'string' }, description: 'FEATURE:SITECODE pairs that are not valid' },
+        },
+      },
+    },
+  },
+  RouteList: {
+    type: 'object',
+    properties: {
+      routes: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            method: { type: 'string' },
+            path: { type: 'string' },
+            description: { type: 'string' },
+            parameters: { type: 'array', items: { type: 'string' } },
+          },
+        },
+      },
+    },
+  },
+  Health: {
+    type: 'object',
+    properties: { status: { type: 'string' } },
+  },
+  Readiness: {
+    type: 'object',
+    properties: {
+      status: {
+        type: 'string',
+        enum: ['UP', 'DEGRADED', 'DOWN'],
+        description: 'DEGRADED when serving with failed assets; DOWN when draining or not serving a cache generation',
+      },
+      generation: { type: 'integer', nullable: true },
+      assetCount: { type: 'integer', description: 'Assets listed in features.json' },
+      failedAssets: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'FEATURE.SITECODE of every asset that failed to load and cache',
+      },
+      draining: { type: 'boolean' },
+    },
+  },
+  Geometry: {
+    type: 'object',
+    nullable: true,
+    required: ['type'],
+    properties: {
+      type: { type: 'string' },
+      coordinates: { type: 'array', items: {} },
+    },
+  },
+  Feature: {
+    type: 'object',
+    required: ['type', 'properties', 'geometry'],
+    properties: {
+      type: { type: 'string', enum: ['Feature'] },
+      id: { type: 'string' },
+      properties: {
+        type: 'object',
+        properties: {
+          siteCode: { type: 'string' },
+          feature: { type: 'string', description: 'Feature key; set when features of more than one key are served together' },
+        },
+        additionalProperties: true,
+      },
+      geometry: ref('Geometry'),
+    },
+  },
+  FeatureCollection: {
+    type: 'object',
+    required: ['type', 'features'],
+    properties: {
+      type: { type: 'string', enum: ['FeatureCollection'] },
+      features: { type: 'array', items: ref('Feature') },
+    },
+  },
+  FeatureKeys: {
+    type: 'object',
+    properties: { features: { type: 'array', items: { type: 'string' } } },
+  },
+  FeatureSites: {
+    type: 'object',
+    description: 'Site codes keyed by feature key, as in features.json',
+    additionalProperties: { type: 'array', items: { type: 'string' } },
+  },
+  SiteFeatures: {
+    type: 'object',
+    properties: {
+      sites: {
+        type: 'object',
+        description: 'Feature keys keyed by site code',
+        additionalProperties: { type: 'array', items: { type: 'string' } },
+      },
+    },
+  },
+  BBoxQueryResult: {
+    type: 'object',
+    properties: {
+      bbox: { type: 'array', items: { type: 'number' }, minItems: 4, maxItems: 4 },
+      features: ref('FeatureSites'),
+    },
+  },
+  PointQueryResult: {
+    type: 'object',
+    properties: {
+      point: { type: 'object', properties: { lat: { type: 'number' }, lng: { type: 'number' } } },
+      features: ref('FeatureSites'),
+    },
+  },
+  Measurement: {
+    type: 'object',
+    properties: {
+      feature: { type: 'string' },
+      siteCode: { type: 'string' },
+      geometryType: { type: 'string', nullable: true },
+      areaKm2: { type: 'number', description: 'Geodesic area on the WGS 84 ellipsoid; 0 for points and lines' },
+      lengthKm: { type: 'number', description: 'Geodesic length of lines or perimeter of polygons; 0 for points' },
+      storedAreaKm2: { type: 'number', nullable: true, description: 'The asset\'s own areaKm2 property, where it has one' },
+      areaKm2Difference: { type: 'number', nullable: true, description: 'areaKm2 less storedAreaKm2' },
+    },
+  },
+  Provenance: {
+    type: 'object',
+    nullable: true,
+    properties: {
+      sourceId: { type: 'string', description: 'ArcGIS gallery item ID' },
+      zipFile: { type: 'string' },
+      layer: { type: 'string', nullable: true },
+      buildTimestamp: { type: 'string', format: 'date-time', nullable: true },
+    },
+  },
+  SiteMetadata: {
+    type: 'object',
+    properties: {
+      geometryType: { type: 'string', nullable: true },
+      bbox: { type: 'array', items: { type: 'number' }, nullable: true },
+      centroid: { type: 'array', items: { type: 'number' }, nullable: true },
+      areaKm2: { type: 'number', nullable: true },
+      vertexCount: { type: 'integer' },
+      byteSize: { type: 'integer' },
+    },
+  },
+  FeatureMetadata: {
+    type: 'object',
+    properties: {
+      feature: { type: 'string' },
+      provenance: ref('Provenance'),
+      sites: { type: 'object', additionalProperties: ref('SiteMetadata') },
+    },
+  },
+  Metadata: {
+    type: 'object',
+    properties: {
+      features: { type: 'object', additionalProperties: ref('FeatureMetadata') },
+    },
+  },
+  AssetMetadata: {
+    allOf: [
+      ref('SiteMetadata'),
+      {
+        type: 'object',
+        properties: {
+          feature: { type: 'string' },
+          siteCode: { type: 'string' },
+          provenance: ref('Provenance'),
+        },
+      },
+    ],
+  },
+  SiteCodes: {
+    type: 'object',
+    properties: {
+      siteCodes: { type: 'array', items: { type: 'string' } },
+      provenance: ref('Provenance'),
+      sites: { type: 'object', additionalProperties: ref('SiteMetadata'), description: 'Only with detail=true' },
+    },
+  },
+  VersionChanges: {
+    type: 'object',
+    description: 'Counts of sites changed since the previous version by feature key; only features rebuilt are listed',
+    additionalProperties: {
+      type: 'object',
+      properties: {
+        added: { type: 'integer' },
+        removed: { type: 'integer' },
+        geometryChanged: { type: 'integer' },
+        propertiesChanged: { type: 'integer' },
+        minorGeometryChanges: { type: 'integer' },
+        unchanged: { type: 'integer' },
+      },
+    },
+  },
+  VersionSummary: {
+    type: 'object',
+    properties: {
+      version: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' },
+      previousVersion: { type: 'string', nullable: true },
+      changes: ref('VersionChanges'),
+      failedFeatures: { type: 'array', items: { type: 'string' }, description: 'Features that failed to build and were left as they were' },
+    },
+  },
+  VersionList: {
+    type: 'object',
+    properties: {
+      versions: { type: 'array', items: ref('VersionSummary'), description: 'Oldest first' },
+    },
+  },
+  Version: {
+    type: 'object',
+    properties: {
+      version: { type: 'string' },
+      timestamp: { type: 'string', format: 'date-time' },
+      previousVersion: { type: 'string', nullable: true },
+      features: ref('FeatureSites'),
+      changes: {
+        type: 'object',
+        description: 'The build\'s change report by feature key: sites added, removed and changed since the previous version',
+        additionalProperties: { type: 'object' },
+      },
+      failedFeatures: { type: 'array', items: { type: 'string' } },
+    },
+  },
+  Link: {
+    type: 'object',
+    required: ['href', 'rel'],
+    properties: {
+      href: { type: 'string' },
+      rel: { type: 'string' },
+      type: { type: 'string' },
+      title: { type: 'string' },
+    },
+  },
+  OGCLandingPage: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      description: { type: 'string' },
+      links: { type: 'array', items: ref('Link') },
+    },
+  },
+  OGCConformance: {
+    type: 'object',
+    properties: { conformsTo: { type: 'array', items: { type: 'string' } } },
+  },
+  OGCCollection: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      title: { type: 'string' },
+      itemType: { type: 'string' },
+      crs: { type: 'array', items: { type: 'string' } },
+      extent: { type: 'object' },
+      links: { type: 'array', items: ref('Link') },
+    },
+  },
+  OGCCollections: {
+    type: 'object',
+    properties: {
+      links: { type: 'array', items: ref('Link') },
+      collections: { type: 'array', items: ref('OGCCollection') },
+    },
+  },
+  OGCFeature: {
+    allOf: [
+      ref('Feature'),
+      { type: 'object', properties: { links: { type: 'array', items: ref('Link') } } },
+    ],
+  },
+  OGCFeatureCollection: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['FeatureCollection'] },
+      features: { type: 'array', items: ref('OGCFeature') },
+      timeStamp: { type: 'string', format: 'date-time' },
+      numberMatched: { type: 'integer' },
+      numberReturned: { type: 'integer' },
+      links: { type: 'array', items: ref('Link') },
+    },
+  },
+};
+
+/**
+   Routes
+*/
+const ROUTES = [
+  {
+    operationId: 'listRoutes',
+    path: '/',
+    tags: ['Service'],
+    summary: 'List all available API routes.',
+    responses: { 200: ok('Routes', json(ref('RouteList'))) },
+  },
+  {
+    operationId: 'getHealth',
+    path: '/health',
+    tags: ['Service'],
+    summary: 'Health check endpoint; the same as /health/live.',
+    responses: { 200: ok('The API is up', json(ref('Health'))) },
+  },
+  {
+    operationId: 'getLiveness',
+    path: '/health/live',
+    tags: ['Service'],
+    summary: 'Liveness check.',
+    description: 'UP whenever the process is serving requests, including while it drains them to shut down.',
+    responses: { 200: ok('The API is up', json(ref('Health'))) },
+  },
+  {
+    operationId: 'getReadiness',
+    path: '/health/ready',
+    tags: ['Service'],
+    summary: 'Readiness check, listing assets that failed to load.',
+    description: 'Ready (200) while serving a cache generation, even if some of its assets failed to load (status '
+      + 'DEGRADED); with strict=true any failed asset makes it not ready. Not ready (503) while draining to shut down.',
+    parameters: [
+      queryParam('strict', 'Report not ready if any asset failed to load', { type: 'boolean', default: false }),
+    ],
+    responses: {
+      200: ok('Ready', json(ref('Readiness'))),
+      503: ok('Not ready', json(ref('Readiness'))),
+    },
+    errors: [400],
+  },
+  {
+    operationId: 'getMetrics',
+    path: '/metrics',
+    tags: ['Service'],
+    summary: 'Prometheus metrics.',
+    description: 'Request counts and latency per route, bytes served per Feature / Site Code, cache hits and misses and '
+      + 'cache warm duration in the Prometheus text format. In the cluster these cover all workers.',
+    responses: { 200: ok('Metrics in the Prometheus text exposition format', { [CONTENT_TYPES.TEXT]: { type: 'string' } }) },
+  },
+  {
+    operationId: 'getOpenAPI',
+    path: '/openapi.json',
+    tags: ['Service'],
+    summary: 'Return this OpenAPI document.',
+    description: 'Feature keys are listed as they are in the live features.json.',
+    responses: { 200: ok('OpenAPI 3 document', json({ type: 'object' })) },
+  },
+  {
+    operationId: 'getDocs',
+    path: '/docs',
+    tags: ['Service'],
+    summary: 'Interactive API documentation generated from the OpenAPI document.',
+    responses: { 200: ok('Documentation page', { [CONTENT_TYPES.HTML]: null }) },
+  },
+  {
+    operationId: 'getDocsAsset',
+    path: '/docs/{file}',
+    hidden: true,
+    parameters: [pathParam('file', 'Documentation page script or stylesheet', { type: 'string' })],
+    errors: [404],
+  },
+  {
+    operationId: 'listFeatures',
+    path: `${API_ROOT}/`,
+    tags: ['Assets'],
+    summary: 'List all feature keys.',
+    conditional: true,
+    responses: { 200: ok('Feature keys', json(ref('FeatureKeys'))) },
+  },
+  {
+    operationId: 'queryBBox',
+    path: `${API_ROOT}/query/bbox`,
+    tags: ['Spatial queries'],
+    summary: 'List all feature / site codes whose geometry intersects a bounding box.',
+    parameters: [
+      queryParam(
+        'bbox',
+        'west,south,east,north in decimal degrees (RFC 7946 order); a west greater than east crosses the antimeridian',
+        { type: 'string', pattern: BBOX_PATTERN },
+        { required: true },
+      ),
+      PARAMETERS.features,
+    ],
+    responses: { 200: ok('Matching site codes by feature key', json(ref('BBoxQueryResult'))) },
+    errors: [400],
+  },
+  {
+    operationId: 'queryPoint',
+    path: `${API_ROOT}/query/point`,
+    tags: ['Spatial queries'],
+    summary: 'List all polygon feature / site codes containing a point.',
+    parameters: [
+      queryParam('lat', 'Latitude in decimal degrees', { type: 'number', minimum: -90, maximum: 90 }, { required: true }),
+      queryParam('lng', 'Longitude in decimal degrees', { type: 'number', minimum: -180, maximum: 180 }, { required: true }),
+      PARAMETERS.features,
+    ],
+    responses: { 200: ok('Matching site codes by feature key', json(ref('PointQueryResult'))) },
+    errors: [400],
+  },
+  {
+    operationId: 'getTile',
+    path: `${API_ROOT}/tiles/{feature}/{z}/{x}/{y}.pbf`,
+    tags: ['Vector tiles'],
+    summary: 'Return a Mapbox Vector Tile of all sites for a given feature.',
+    description: 'The tile has a single layer named for the feature key. Tiles with no sites are 204 No Content.',
+    parameters: [
+      PARAMETERS.feature,
+      pathParam('z', 'Zoom level', { type: 'integer', minimum: 0, maximum: MAX_ZOOM }),
+      pathParam('x', 'Tile column, from 0 to 2^z - 1', { type: 'integer', minimum: 0 }),
+      pathParam('y', 'Tile row, from 0 to 2^z - 1', { type: 'integer', minimum: 0 }),
+    ],
+    responses: {
+      200: ok('Vector tile', { [CONTENT_TYPES.MVT]: null }),
+      204: { description: 'No sites within the tile' },
+    },
+    errors: [400],
+  },
+  {
+    operationId: 'listSites',
+    path: `${API_ROOT}/sites`,
+    tags: ['Sites'],
+    summary: 'List all site codes and the feature keys available for each.',
+    responses: { 200: ok('Feature keys by site code', json(ref('SiteFeatures'))) },
+  },
+  {
+    operationId: 'getSite',
+    path: `${API_ROOT}/sites/{siteCode}`,
+    tags: ['Sites'],
+    summary: 'Return a FeatureCollection of all features for a given site code.',
+    description: 'Each member carries its feature key in properties.feature.',
+    parameters: [PARAMETERS.site, PARAMETERS.features, PARAMETERS.axisOrder],
+    responses: { 200: ok('Every feature of the site', json(ref('FeatureCollection'))) },
+    errors: [400],
+  },
+  {
+    operationId: 'getOverlay',
+    path: `${API_ROOT}/sites/{siteCode}/{operation}`,
+    tags: ['Geometry operations'],
+    summary: 'Return the intersection, union or difference of two features of a site as a GeoJSON Feature.',
+    description: 'The difference is the first feature less the second. properties give the geodesic areaKm2 and '
+      + 'lengthKm of the result, which has no geometry if empty. Overlays of points, lines and polygons '
+      + 'keep the lowest dimension for an intersection and give a GeometryCollection for a union.',
+    parameters: [
+      PARAMETERS.site,
+      pathParam('operation', 'Overlay operation', { type: 'string', enum: Object.values(OPERATIONS) }),
+      queryParam(
+        'features',
+        'two comma-separated feature keys available for the site',
+        { type: 'string', pattern: PAIR_PATTERN },
+        { required: true, lookup: LOOKUPS.SITE_FEATURES },
+      ),
+      PARAMETERS.axisOrder,
+    ],
+    conditional: true,
+    responses: { 200: ok('The overlay', json(ref('Feature'))) },
+    errors: [400, 404],
+  },
+  {
+    operationId: 'downloadAssets',
+    path: `${API_ROOT}/download`,
+    tags: ['Downloads'],
+    summary: 'Download a selection of assets.',
+    description: 'Streamed as a single FeatureCollection (each member tagged with its feature key in '
+      + 'properties.feature), newline-delimited GeoJSON or a ZIP of one file per asset.',
+    parameters: [
+      queryParam(
+        'assets',
+        'Comma-separated FEATURE:SITECODE pairs',
+        { type: 'string', minLength: 1 },
+        { required: true },
+      ),
+      PARAMETERS.axisOrder,
+      queryParam('format', 'Download format', { type: 'string', enum: Object.values(DOWNLOAD_FORMATS), default: DOWNLOAD_FORMATS.GEOJSON }),
+    ],
+    conditional: true,
+    responses: {
+      200: ok('The assets', {
+        [CONTENT_TYPES.GEOJSON]: ref('FeatureCollection'),
+        [CONTENT_TYPES.NDJSON]: null,
+        [CONTENT_TYPES.ZIP]: null,
+      }),
+    },
+    errors: [400],
+  },
+  {
+    operationId: 'downloadFeature',
+    path: `${API_ROOT}/download/{feature}`,
+    tags: ['Downloads'],
+    summary: 'Download every site of a given feature.',
+    description: 'Streamed in the same formats as a selection of assets.',
+    parameters: [
+      PARAMETERS.feature,
+      PARAMETERS.axisOrder,
+      queryParam('format', 'Download format', { type: 'string', enum: Object.values(DOWNLOAD_FORMATS), default: DOWNLOAD_FORMATS.GEOJSON }),
+    ],
+    conditional: true,
+    responses: {
+      200: ok('Every site of the feature', {
+        [CONTENT_TYPES.GEOJSON]: ref('FeatureCollection'),
+        [CONTENT_TYPES.NDJSON]: null,
+        [CONTENT_TYPES.ZIP]: null,
+      }),
+    },
+    errors: [400],
+  },
+  {
+    operationId: 'getMetadata',
+    path: `${API_ROOT}/metadata`,
+    tags: ['Metadata'],
+    summary: 'Return provenance and per-site metadata (bbox, centroid, area, vertex count, '
+      + 'geometry type and byte size) for all features.',
+    parameters: [PARAMETERS.axisOrder],
+    conditional: true,
+    responses: { 200: ok('Metadata by feature key', json(ref('Metadata'))) },
+    errors: [400, 404],
+  },
+  {
+    operationId: 'getFeatureMetadata',
+    path: `${API_ROOT}/metadata/{feature}`,
+    tags: ['Metadata'],
+    summary: 'Return provenance and per-site metadata for a given feature.',
+    parameters: [PARAMETERS.feature, PARAMETERS.axisOrder],
+    conditional: true,
+    responses: { 200: ok('Metadata of the feature', json(ref('FeatureMetadata'))) },
+    errors: [400, 404],
+  },
+  {
+    operationId: 'getAssetMetadata',
+    path: `${API_ROOT}/metadata/{feature}/{siteCode}`,
+    tags: ['Metadata'],
+    summary: 'Return metadata for the given feature and site code.',
+    parameters: [PARAMETERS.feature, PARAMETERS.siteCode, PARAMETERS.axisOrder],
+    conditional: true,
+    responses: { 200: ok('Metadata of the asset', json(ref('AssetMetadata'))) },
+    errors: [400, 404],
+  },
+  {
+    operationId: 'listVersions',
+    path: `${API_ROOT}/versions`,
+    tags: ['Versions'],
+    summary: 'List every version of the assets, with what changed since the version before.',
+    description: 'Every build is recorded as an immutable version named for its date.',
+    conditional: true,
+    responses: { 200: ok('Versions, oldest first', json(ref('VersionList'))) },
+  },
+  {
+    operationId: 'getVersion',
+    path: `${API_ROOT}/versions/{version}`,
+    tags: ['Versions'],
+    summary: 'Return the feature keys and site codes of a version and its full change report.',
+    parameters: [PARAMETERS.version],
+    conditional: true,
+    responses: { 200: ok('The version', json(ref('Version'))) },
+    errors: [400, 404],
+  },
+  {
+    operationId: 'getVersionAsset',
+    path: `${API_ROOT}/versions/{version}/{feature}/{siteCode}`,
+    tags: ['Versions'],
+    summary: 'Return an asset as it was in a given version.',
+    description: 'Feature keys and site codes are those of the version, which may no longer be current. GeoJSON only.',
+    parameters: [
+      PARAMETERS.version,
+      pathParam('feature', 'Feature key of the version', { type: 'string' }),
+      pathParam('siteCode', 'NEON site code of the version', { type: 'string' }),
+      PARAMETERS.axisOrder,
+      PARAMETERS.zoom,
+      PARAMETERS.tolerance,
+    ],
+    conditional: true,
+    responses: { 200: ok('The asset', json(ref('Feature'))) },
+    errors: [400, 404],
+  },
+  {
+    operationId: 'getBuffer',
+    path: `${API_ROOT}/{feature}/{siteCode}/buffer`,
+    tags: ['Geometry operations'],
+    summary: 'Return the asset buffered by a distance in meters as a GeoJSON Feature.',
+    description: 'Negative distances shrink polygons. Large assets are simplified first; properties give the '
+      + 'tolerance used in meters along with the geodesic areaKm2 and lengthKm of the buffer.',
+    parameters: [
+      PARAMETERS.feature,
+      PARAMETERS.siteCode,
+      queryParam(
+        'distance',
+        'Buffer distance in meters',
+        { type: 'number', minimum: -MAX_BUFFER_DISTANCE, maximum: MAX_BUFFER_DISTANCE },
+        { required: true },
+      ),
+      PARAMETERS.axisOrder,
+    ],
+    conditional: true,
+    responses: { 200: ok('The buffer', json(ref('Feature'))) },
+    errors: [400, 404],
+  },
+  {
+    operationId: 'getMeasurement',
+    path: `${API_ROOT}/{feature}/{siteCode}/measure`,
+    tags: ['Geometry operations'],
+    summary: 'Return the geodesic area and length of the asset.',
+    description: 'Compared with the asset\'s own areaKm2 property where it has one.',
+    parameters: [PARAMETERS.feature, PARAMETERS.siteCode],
+    conditional: true,
+    responses: { 200: ok('Area and length of the asset', json(ref('Measurement'))) },
+    errors: [400, 404],
+  },
+  {
+    operationId: 'getFeature',
+    path: `${API_ROOT}/{feature}`,
+    tags: ['Assets'],
+    summary: 'List all valid site codes for a given feature.',
+    parameters: [
+      PARAMETERS.feature,
+      queryParam('detail', 'Add provenance and per-site metadata', { type: 'boolean', default: false }),
+      PARAMETERS.axisOrder,
+    ],
+    conditional: true,
+    responses: { 200: ok('Site codes of the feature', json(ref('SiteCodes'))) },
+    errors: [400, 404],
+  },
+  {
+    operationId: 'getAsset',
+    path: `${API_ROOT}/{feature}/{siteCode}`,
+    tags: ['Assets'],
+    summary: 'Return the corresponding asset JSON for the given feature and site code.',
+    description: 'Coordinates are [lat, lng] by default. The format may also be negotiated with the '
+      + 'Accept header. Parts and property filters are GeoJSON only.',
+    parameters: [
+      PARAMETERS.feature,
+      PARAMETERS.siteCode,
+      PARAMETERS.axisOrder,
+      PARAMETERS.zoom,
+      PARAMETERS.tolerance,
+      queryParam('format', 'Output format; defaults to the Accept header, then GeoJSON', { type: 'string', enum: Object.values(FORMATS) }),
+      queryParam('parts', 'Return the original parts, each with its own properties', { type: 'boolean', default: false }),
+      queryParam(
+        'asOf',
+        'Date (YYYY-MM-DD) to serve the asset as of; redirects to the version current on that date',
+        { type: 'string', pattern: DATE_PATTERN },
+      ),
+      {
+        name: 'filters',
+        in: 'query',
+        description: 'Any of the asset\'s properties as a parameter (e.g. priority=1) filters its parts; '
+          + 'comma-separate values to accept any of them',
+        style: 'form',
+        explode: true,
+        schema: { type: 'object', additionalProperties: { type: 'string' } },
+      },
+    ],
+    conditional: true,
+    responses: {
+      200: ok('The asset', {
+        [CONTENT_TYPES.JSON]: ref('Feature'),
+        [CONTENT_TYPES.GEOJSON]: ref('FeatureCollection'),
+        [CONTENT_TYPES.KML]: null,
+        [CONTENT_TYPES.GPX]: null,
+        [CONTENT_TYPES.ZIP]: null,
+        [CONTENT_TYPES.CSV]: null,
+      }),
+      302: { description: 'Found; with asOf, redirected to the asset in the version current on that date' },
+    },
+    errors: [400, 404],
+  },
+  {
+    operationId: 'getOGCLandingPage',
+    path: OGC_ROOT,
+    tags: ['OGC API - Features'],
+    summary: 'OGC API - Features landing page.',
+    description: 'Every feature key is a collection and every site code a feature within it.',
+    responses: { 200: ok('Landing page', json(ref('OGCLandingPage'))) },
+  },
+  {
+    operationId: 'getOGCConformance',
+    path: `${OGC_ROOT}/conformance`,
+    tags: ['OGC API - Features'],
+    summary: 'List the OGC API - Features conformance classes implemented.',
+    responses: { 200: ok('Conformance classes', json(ref('OGCConformance'))) },
+  },
+  {
+    operationId: 'getOGCCollections',
+    path: `${OGC_ROOT}/collections`,
+    tags: ['OGC API - Features'],
+    summary: 'List every feature key as an OGC API - Features collection.',
+    responses: { 200: ok('Collections', json(ref('OGCCollections'))) },
+  },
+  {
+    operationId: 'getOGCCollection',
+    path: `${OGC_ROOT}/collections/{collectionId}`,
+    tags: ['OGC API - Features'],
+    summary: 'Describe a single collection, including its extent.',
+    parameters: [PARAMETERS.collectionId],
+    responses: { 200: ok('Collection', json(ref('OGCCollection'))) },
+    errors: [404],
+  },
+  {
+    operationId: 'getOGCItems',
+    path: `${OGC_ROOT}/collections/{collectionId}/items`,
+    tags: ['OGC API - Features'],
+    summary: 'Return a page of the collection\'s sites as RFC 7946 GeoJSON.',
+    strictQuery: true,
+    parameters: [
+      PARAMETERS.collectionId,
+      queryParam('bbox', 'west,south,east,north in CRS84; a west greater than east crosses the antimeridian', { type: 'string', pattern: BBOX_PATTERN }),
+      queryParam('limit', 'Items per page', { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT }),
+      queryParam('offset', 'Items to skip', { type: 'integer', minimum: 0, default: 0 }),
+      queryParam('datetime', 'Accepted as the standard requires; sites have no time so all match', { type: 'string' }),
+      queryParam('f', 'Encoding; only GeoJSON is available', { type: 'string', enum: ['json', 'geojson'] }),
+    ],
+    responses: { 200: ok('A page of items', { [CONTENT_TYPES.GEOJSON]: ref('OGCFeatureCollection') }) },
+    errors: [400, 404],
+  },
+  {
+    operationId: 'getOGCItem',
+    path: `${OGC_ROOT}/collections/{collectionId}/items/{featureId}`,
+    tags: ['OGC API - Features'],
+    summary: 'Return a single site of the collection as RFC 7946 GeoJSON.',
+    parameters: [
+      PARAMETERS.collectionId,
+      pathParam('featureId', 'Feature id (a site code)', { type: 'string' }, LOOKUPS.ITEM),
+    ],
+    conditional: true,
+    responses: { 200: ok('The item', { [CONTENT_TYPES.GEOJSON]: ref('OGCFeature') }) },
+    errors: [404],
+  },
+];
+
+const getRoute = operationId => ROUTES.find(route => route.operationId === operationId);
+
+// koa-router form of an OpenAPI path, e.g. /{feature}/{siteCode} => /:feature/:siteCode
+const toRouterPath = path => path.replace(/{(\w+)}/g, ':$1');
+
+/**
+   Route List
+   The body of the root route
+*/
+const getRouteList = () => ({
+  routes: ROUTES.filter(route => !route.hidden).map(({ path, summary, description, parameters = [] }) => ({
+    method: 'GET',
+    path: toRouterPath(path),
+    description: description ? `${summary} ${description}` : summary,
+    parameters: parameters.filter(param => param.in === 'query').map(({ name }) => name),
+  })),
+});
+
+/**
+   OpenAPI Document
+   Feature-key parameters list the feature keys in the given features.json as an enum. Lookups
+   aren't OpenAPI; they're left in as x-lookup extensions.
+*/
+const REDIRECT_LOOKUPS = [LOOKUPS.SITE_CODE, LOOKUPS.SITE];
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid request; see error.code',
+  404: 'Not found or not available; see error.code',
+};
+
+// Parameter schemas are validated as JSON Schema draft-07; OpenAPI 3.0 still takes draft-04's
+// boolean exclusiveMinimum
+const toOpenAPISchema = ({ exclusiveMinimum, ...schema }) => (
+  exclusiveMinimum === undefined ? schema : { ...schema, minimum: exclusiveMinimum, exclusiveMinimum: true }
+);
+
+const getOperation = (route, featureKeys) => {
+  const responses = { ...route.responses };
+  if (route.conditional) {
+    responses[304] = { description: 'Not Modified; the ETag given in If-None-Match is current' };
+  }
+  if ((route.parameters || []).some(param => REDIRECT_LOOKUPS.includes(param['x-lookup']))) {
+    responses[301] = { description: 'Moved Permanently to the path with the canonical site code' };
+  }
+  (route.errors || []).forEach((status) => {
+    responses[status] = ok(ERROR_DESCRIPTIONS[status], json(ref('Error')));
+  });
+  const parameters = (route.parameters || []).map((param) => {
+    const lookup = param['x-lookup'];
+    const schema = toOpenAPISchema(param.schema);
+    if (lookup !== LOOKUPS.FEATURE && lookup !== LOOKUPS.COLLECTION) { return { ...param, schema }; }
+    return { ...param, schema: { ...schema, enum: featureKeys } };
+  });
+  return {
+    operationId: route.operationId,
+    tags: route.tags,
+    summary: route.summary,
+    ...(route.description ? { description: route.description } : {}),
+    ...(parameters.length ? { parameters } : {}),
+    responses,
+  };
+};
+
+const getOpenAPIDocument = ({ title, version, description, featureKeys }) => ({
+  openapi: '3.0.3',
+  info: { title, version, description },
+  paths: ROUTES.filter(route => !route.hidden).reduce((paths, route) => ({
+    ...paths,
+    [route.path]: { get: getOperation(route, featureKeys) },
+  }), {}),
+  components: { schemas: SCHEMAS },
+});
+
+/**
+   Request Validation
+   compileValidator(route) returns a function validating a request's path params and query against
+   the route's parameters and the given cache state ({ features, sites, siteAliases }). It returns
+   { params, query } with values coerced to their schema types and defaults applied,
+   { status, location } to redirect to the path with a canonical site code, or { status, body }
+   for the first problem found with a structured error body (see errors.js).
+   Query parameters the route doesn't define are passed through untouched unless it has strictQuery.
+*/
+const ajv = new Ajv({ coerceTypes: true, useDefaults: true });
+
+const getParamsSchema = (parameters, additionalProperties) => ({
+  type: 'object',
+  properties: parameters.reduce((acc, { name, schema }) => ({ ...acc, [name]: schema }), {}),
+  required: parameters.filter(({ required }) => required).map(({ name }) => name),
+  additionalProperties,
+});
+
+const invalid = (status, code, message, details) => ({ status, body: getErrorBody(status, code, message, details) });
+
+// Path params to redirect with, by name
+const redirect = replacements => ({ status: 301, replacements });
+
+// An unknown site code, with the closest valid ones and the features that do carry it if any
+const invalidSiteCode = (message, parameter, value, siteCodes, { sites, siteAliases }) => {
+  const normalized = normalizeSiteCode(value);
+  const suggestions = suggestSiteCodes(value, siteCodes);
+  const featuresWithSite = sites[siteAliases[normalized] || normalized];
+  const didYouMean = suggestions.length ? `; did you mean ${suggestions.join(' or ')}?` : '';
+  return invalid(400, ERROR_CODES.INVALID_SITE_CODE, `${message}${didYouMean}`, {
+    parameter,
+    validOptions: siteCodes,
+    suggestions,
+    ...(featuresWithSite ? { featuresWithSite } : {}),
+  });
+};
+
+const checkSiteCode = (message, parameter, value, siteCodes, { sites, siteAliases }) => {
+  if (siteCodes.includes(value)) { return null; }
+  const siteCode = resolveSiteCode(value, siteCodes, siteAliases);
+  return siteCode ? redirect({ [parameter]: siteCode })
+    : invalidSiteCode(message, parameter, value, siteCodes, { sites, siteAliases });
+};
+
+// The path of a route with its params filled in
+const toPath = (path, params) => path.replace(/{(\w+)}/g, (match, name) => encodeURIComponent(params[name]));
+
+// Convert the first ajv error into a structured error
+const getSchemaError = ([error], parameters) => {
+  if (error.keyword === 'required') {
+    const parameter = error.params.missingProperty;
+    return invalid(400, ERROR_CODES.MISSING_PARAMETER, `Missing required parameter ${parameter}`, { parameter });
+  }
+  if (error.keyword === 'additionalProperties') {
+    const parameter = error.params.additionalProperty;
+    return invalid(400, ERROR_CODES.UNKNOWN_PARAMETER, `Unknown parameter ${parameter}`, {
+      parameter,
+      validOptions: parameters.map(({ name }) => name),
+    });
+  }
+  const parameter = error.instancePath.slice(1);
+  const { schema, description } = parameters.find(({ name }) => name === parameter);
+  const details = schema.enum ? { parameter, validOptions: schema.enum } : { parameter };
+  let expected = error.message;
+  if (schema.enum) {
+    expected = `expected one of: ${schema.enum.join(', ')}`;
+  } else if (error.keyword === 'pattern') {
+    expected = `expected ${description}`;
+  }
+  return invalid(400, ERROR_CODES.INVALID_PARAMETER, `Invalid ${parameter}; ${expected}`, details);
+};
+
+const checkLookup = (lookup, parameter, value, { params, features, sites, siteAliases }) => {
+  const featureKeys = Object.keys(features);
+  switch (lookup) {
+    case LOOKUPS.FEATURE:
+      return featureKeys.includes(value) ? null
+        : invalid(400, ERROR_CODES.INVALID_FEATURE, 'Invalid Feature', { parameter, validOptions: featureKeys });
+    case LOOKUPS.FEATURES: {
+      const invalidKeys = value.split(',').map(key => key.trim()).filter(key => !featureKeys.includes(key));
+      return !invalidKeys.length ? null
+        : invalid(400, ERROR_CODES.INVALID_FEATURE, `Invalid Feature: ${invalidKeys.join(', ')}`, { parameter, validOptions: featureKeys });
+    }
+    case LOOKUPS.SITE_FEATURES: {
+      const invalidKeys = value.split(',').map(key => key.trim()).filter(key => !sites[params.siteCode].includes(key));
+      return !invalidKeys.length ? null
+        : invalid(400, ERROR_CODES.INVALID_FEATURE, `Feature not available for this Site Code: ${invalidKeys.join(', ')}`, {
+          parameter,
+          validOptions: sites[params.siteCode],
+        });
+    }
+    case LOOKUPS.SITE_CODE:
+      return checkSiteCode('Site Code not valid for this Feature', parameter, value, features[params.feature], { sites, siteAliases });
+    case LOOKUPS.SITE:
+      return checkSiteCode('Invalid Site Code', parameter, value, Object.keys(sites), { sites, siteAliases });
+    case LOOKUPS.COLLECTION:
+      return featureKeys.includes(value) ? null
+        : invalid(404, ERROR_CODES.NOT_FOUND, 'Collection not found', { parameter, validOptions: featureKeys });
+    case LOOKUPS.ITEM:
+      return features[params.collectionId].includes(value) ? null
+        : invalid(404, ERROR_CODES.NOT_FOUND, 'Feature not found', { parameter });
+    default:
+      return null;
+  }
+};
+
+const compileValidator = (route) => {
+  // Free-form object params (property filters) describe query params that aren't known up front
+  const parameters = (route.parameters || []).filter(({ schema }) => schema.type !== 'object');
+  const pathParams = parameters.filter(param => param.in === 'path');
+  const queryParams = parameters.filter(param => param.in === 'query');
+  const validatePath = ajv.compile(getParamsSchema(pathParams, true));
+  const validateQuery = ajv.compile(getParamsSchema(queryParams, !route.strictQuery));
+  const checkLookups = (lookupParams, values, state) => lookupParams
+    .filter(param => param['x-lookup'] && values[param.name] !== undefined)
+    .reduce((error, param) => error || checkLookup(param['x-lookup'], param.name, values[param.name], state), null);
+  return (requestParams, requestQuery, { features, sites, siteAliases = {} }) => {
+    const params = { ...requestParams };
+    const query = { ...requestQuery };
+    const state = { params, features, sites, siteAliases };
+    if (!validatePath(params)) { return getSchemaError(validatePath.errors, pathParams); }
+    const pathError = checkLookups(pathParams, params, state);
+    if (pathError && pathError.replacements) {
+      return { status: pathError.status, location: toPath(route.path, { ...requestParams, ...pathError.replacements }) };
+    }
+    if (pathError) { return pathError; }
+    if (!validateQuery(query)) { return getSchemaError(validateQuery.errors, queryParams); }
+    const queryError = checkLookups(queryParams, query, state);
+    if (queryError) { return queryError; }
+    return { params, query };
+  };
+};
+
+module.exports = {
+  API_ROOT,
+  OGC_ROOT,
+  ROUTES,
+  compileValidator,
+  getOpenAPIDocument,
+  getRoute,
+  getRouteList,
+  toPath,
+  toRouterPath,
+};
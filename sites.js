@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+   Site Codes
+   Requests may name a site in any case, with a .json or .geojson extension or qualified by its
+   NEON domain (e.g. harv, HARV.json or D01-HARV), or by an alias in site-aliases.json for a site
+   that was renamed or retired in favor of another. Each of these resolves to the canonical site
+   code, which routes redirect to. Anything that doesn't resolve gets suggestions of the closest
+   valid site codes.
+*/
+const DOMAIN_PREFIX_PATTERN = /^D\d{2}[-_.:]/i;
+const EXTENSION_PATTERN = /\.(geo)?json$/i;
+
+// Suggestions are at most this many site codes within this many single-character edits
+const MAX_SUGGESTIONS = 3;
+const MAX_SUGGESTION_DISTANCE = 2;
+
+const normalizeSiteCode = value => value.trim()
+  .replace(EXTENSION_PATTERN, '')
+  .replace(DOMAIN_PREFIX_PATTERN, '')
+  .toUpperCase();
+
+// The canonical site code among siteCodes for a requested value, or null if none
+const resolveSiteCode = (value, siteCodes, siteAliases = {}) => {
+  const normalized = normalizeSiteCode(value);
+  const siteCode = siteAliases[normalized] || normalized;
+  return siteCodes.includes(siteCode) ? siteCode : null;
+};
+
+// Levenshtein distance
+const getEditDistance = (a, b) => {
+  let previousRow = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previousRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      row.push(Math.min(previousRow[j] + 1, row[j - 1] + 1, substitution));
+    }
+    previousRow = row;
+  }
+  return previousRow[b.length];
+};
+
+// The siteCodes closest to a requested value, closest first
+const suggestSiteCodes = (value, siteCodes) => {
+  const normalized = normalizeSiteCode(value);
+  return siteCodes
+    .map(siteCode => ({ siteCode, distance: getEditDistance(normalized, siteCode) }))
+    .filter(({ distance }) => distance <= MAX_SUGGESTION_DISTANCE)
+    .sort((a, b) => a.distance - b.distance || a.siteCode.localeCompare(b.siteCode))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({ siteCode }) => siteCode);
+};
+
+/**
+   validateSiteAliases
+   site-aliases.json maps each former site code to the site code replacing it, e.g.
+   { "OLDS": "NEWS" }. Returns { siteAliases, errors } where siteAliases holds every valid
+   alias keyed by its normalized code. An alias that is still a site code in sites (the features
+   inverted by site code) or whose target isn't one is left out with an error.
+*/
+const validateSiteAliases = (aliases, sites) => {
+  const siteAliases = {};
+  const errors = [];
+  if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+    return { siteAliases, errors: ['site-aliases.json must be an object of site codes'] };
+  }
+  Object.keys(aliases).forEach((alias) => {
+    const siteCode = aliases[alias];
+    const normalized = normalizeSiteCode(alias);
+    if (sites[normalized]) {
+      errors.push(`Alias ${alias} is a current site code`);
+    } else if (typeof siteCode !== 'string' || !sites[siteCode]) {
+      errors.push(`Alias ${alias} is for ${siteCode}, which is not a current site code`);
+    } else {
+      siteAliases[normalized] = siteCode;
+    }
+  });
+  return { siteAliases, errors };
+};
+
+module.exports = {
+  normalizeSiteCode,
+  resolveSiteCode,
+  suggestSiteCodes,
+  validateSiteAliases,
+};
@@ -0,0 +1,120 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const schema = require('./feature-sources.schema.json');
+
+/**
+   Feature sources
+   build.js reads the ArcGIS gallery sources and the features generated from them from a JSON config
+   (feature-sources.json by default) validated against feature-sources.schema.json. Each feature
+   names a source, optionally a layer within its ZIP, the attribute holding the site code, and how
+   to map, coerce and merge source attributes into asset properties.
+*/
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'feature-sources.json');
+
+const validateConfig = new Ajv({ allErrors: true }).compile(schema);
+
+// Values that can't be coerced (including missing ones) become null
+const coerce = (value, type) => {
+  if (!type) { return value; }
+  if (value === null || value === undefined || value === '') { return null; }
+  switch (type) {
+    case 'number': {
+      const number = parseFloat(value);
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'integer': {
+      const number = parseInt(value, 10);
+      return Number.isFinite(number) ? number : null;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') { return value; }
+      const str = String(value).trim().toLowerCase();
+      if (['true', 'yes', 'y', '1'].includes(str)) { return true; }
+      if (['false', 'no', 'n', '0'].includes(str)) { return false; }
+      return null;
+    }
+    default:
+      return String(value);
+  }
+};
+
+// Combine the value from a site's existing parts (a) with the value from another part (b)
+const bothNumbers = (a, b) => Number.isFinite(a) && Number.isFinite(b);
+const MERGES = {
+  first: a => a,
+  last: (a, b) => (b === undefined ? a : b),
+  sum: (a, b) => (bothNumbers(a, b) ? a + b : a),
+  min: (a, b) => (bothNumbers(a, b) ? Math.min(a, b) : a),
+  max: (a, b) => (bothNumbers(a, b) ? Math.max(a, b) : a),
+};
+
+const createFeature = (key, { source, layer, siteCodeField, properties = {} }) => {
+  const specs = Object.keys(properties).map((name) => {
+    const spec = typeof properties[name] === 'string' ? { field: properties[name] } : properties[name];
+    return { name, merge: 'first', ...spec };
+  });
+  return {
+    KEY: key,
+    source,
+    layer,
+    getProperties: (sourceProperties = {}) => {
+      const result = { siteCode: sourceProperties[siteCodeField] };
+      specs.forEach(({ name, field, type, nullIfZero }) => {
+        const value = coerce(sourceProperties[field], type);
+        result[name] = nullIfZero && value === 0 ? null : value;
+      });
+      return result;
+    },
+    mergeProperties: (existing, next) => {
+      const result = { ...existing };
+      specs.forEach(({ name, merge }) => {
+        result[name] = MERGES[merge](existing[name], next[name]);
+      });
+      return result;
+    },
+  };
+};
+
+/**
+   Load and validate a feature source config
+   Returns { FEATURE_SOURCES, FEATURES } keyed by source name and feature key. Throws with every
+   problem found if the config can't be read or is invalid.
+*/
+const loadFeatureSources = (configPath = DEFAULT_CONFIG_PATH) => {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Unable to read feature source config ${configPath}: ${err.message}`);
+  }
+  const errors = validateConfig(config)
+    ? []
+    : validateConfig.errors.map(({ instancePath, message }) => `${instancePath || '/'} ${message}`);
+  if (config && config.features && config.sources) {
+    Object.keys(config.features)
+      .filter(key => !config.sources[config.features[key].source])
+      .forEach(key => errors.push(`/features/${key}/source must name one of the sources (got ${config.features[key].source})`));
+  }
+  if (errors.length) {
+    throw new Error(`Invalid feature source config ${configPath}:\n  ${errors.join('\n  ')}`);
+  }
+
+  const FEATURE_SOURCES = {};
+  Object.keys(config.sources).forEach((key) => {
+    FEATURE_SOURCES[key] = { ...config.sources[key], parsed: false, KEY: key };
+  });
+  const FEATURES = {};
+  Object.keys(config.features).forEach((key) => {
+    FEATURES[key] = createFeature(key, config.features[key]);
+  });
+  return { FEATURE_SOURCES, FEATURES };
+};
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  loadFeatureSources,
+};
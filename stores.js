@@ -0,0 +1,253 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const memored = require('memored');
+
+/**
+   Cache Stores
+   Everything is cached through a store of promise-based store(key, value), read(key), keys() and
+   remove(keys). Values are either Buffers (asset data) or anything JSON-serializable (features,
+   indexes, hashes), and read(key) resolves to undefined for a missing key. Every store also
+   describes itself:
+     isShared  every worker in the cluster sees the same entries, so a generation built by one
+               worker can be served by all
+     evicts    entries may be dropped before they are removed; only ever Buffers, which the cache
+               can then rebuild from the assets on disk
+   and may have a clear() to drop everything left over from a previous run.
+*/
+const STORE_TYPES = {
+  MEMORED: 'memored',
+  MEMORY: 'memory',
+  FILE: 'file',
+};
+
+const DEFAULT_STORE_TYPE = STORE_TYPES.MEMORED;
+
+// The file store keeps its files in a subdirectory of its own in the given directory
+const FILE_STORE_DIR_NAME = 'portal-arcgis-asset-api-cache';
+
+/**
+   memored
+   Shared by all workers from the cluster master, so every read is a round trip to the master over
+   IPC. Messages are serialized as JSON so Buffers are sent (and held in the master) as base64.
+*/
+const BUFFER_TAG = '__base64';
+
+const toMemoredValue = value => (Buffer.isBuffer(value) ? { [BUFFER_TAG]: value.toString('base64') } : value);
+
+const fromMemoredValue = value => (
+  value && typeof value[BUFFER_TAG] === 'string' ? Buffer.from(value[BUFFER_TAG], 'base64') : value
+);
+
+const memoredStore = {
+  isShared: true,
+  evicts: false,
+  store: (key, value) => new Promise ((resolve, reject) => {
+    memored.store(key, toMemoredValue(value), (err) => {
+      if (err) { return reject(err); }
+      resolve();
+    });
+  }),
+  read: (key) => new Promise ((resolve, reject) => {
+    memored.read(key, (err, value) => {
+      if (err) { return reject(err); }
+      resolve(fromMemoredValue(value));
+    });
+  }),
+  keys: () => new Promise ((resolve, reject) => {
+    memored.keys((err, keys) => {
+      if (err) { return reject(err); }
+      resolve(keys || []);
+    });
+  }),
+  remove: (keys) => new Promise ((resolve, reject) => {
+    if (!keys.length) { return resolve(); }
+    memored.multiRemove(keys, (err) => {
+      if (err) { return reject(err); }
+      resolve();
+    });
+  }),
+};
+
+/**
+   createMemoryStore
+   Everything in the current process: no IPC and no copying, but each worker holds (and so must
+   build) a cache of its own. Buffers count against maxBytes; once over it the least recently read
+   Buffers are evicted. Other values are small and never evicted.
+*/
+const createMemoryStore = ({ maxBytes = Infinity } = {}) => {
+  // Map iterates in insertion order; Buffers are reinserted when read so the first is the least
+  // recently used
+  const values = new Map();
+  let bufferBytes = 0;
+
+  const deleteValue = (key) => {
+    const value = values.get(key);
+    if (Buffer.isBuffer(value)) { bufferBytes -= value.length; }
+    values.delete(key);
+  };
+
+  const evict = () => {
+    for (const [key, value] of values) {
+      if (bufferBytes <= maxBytes) { return; }
+      if (Buffer.isBuffer(value)) { deleteValue(key); }
+    }
+  };
+
+  return {
+    isShared: false,
+    evicts: maxBytes !== Infinity,
+    store: async (key, value) => {
+      deleteValue(key);
+      values.set(key, value);
+      if (Buffer.isBuffer(value)) {
+        bufferBytes += value.length;
+        evict();
+      }
+    },
+    read: async (key) => {
+      const value = values.get(key);
+      if (Buffer.isBuffer(value)) {
+        values.delete(key);
+        values.set(key, value);
+      }
+      return value;
+    },
+    keys: async () => [...values.keys()],
+    remove: async (keys) => { keys.forEach(deleteValue); },
+    clear: async () => {
+      values.clear();
+      bufferBytes = 0;
+    },
+    // Bytes of Buffers currently held, for checking the budget
+    size: () => bufferBytes,
+  };
+};
+
+/**
+   createFileStore
+   One file per key in the portal-arcgis-asset-api-cache subdirectory of dir: Buffers as they are,
+   other values as JSON. Shared by every worker on the host without going through the master, and
+   the files' pages live in the kernel's page cache (counted once however many workers read them)
+   rather than on any worker's heap. Files are written to a temporary name and renamed into place,
+   so a read never sees a partial value. clear() only removes files the store could have written,
+   so anything else in the subdirectory (or in dir) is left alone.
+*/
+const BUFFER_EXTENSION = '.bin';
+const JSON_EXTENSION = '.json';
+const TEMP_EXTENSION = '.tmp';
+
+const VALUE_FILE_PATTERN = /\.(bin|json)$/;
+const STORE_FILE_PATTERN = /\.(bin|json|tmp)$/;
+
+const isNotFound = err => err.code === 'ENOENT';
+
+const removeFile = filePath => fs.promises.unlink(filePath).catch((err) => {
+  if (!isNotFound(err)) { throw err; }
+});
+
+const createFileStore = ({ dir = os.tmpdir() } = {}) => {
+  const storeDir = path.join(dir, FILE_STORE_DIR_NAME);
+  const getPath = (key, extension) => path.join(storeDir, `${encodeURIComponent(key)}${extension}`);
+  let tempCount = 0;
+
+  const readFileNames = async () => {
+    try {
+      return await fs.promises.readdir(storeDir);
+    } catch (err) {
+      if (!isNotFound(err)) { throw err; }
+      return [];
+    }
+  };
+
+  return {
+    isShared: true,
+    evicts: false,
+    store: async (key, value) => {
+      const isBuffer = Buffer.isBuffer(value);
+      const filePath = getPath(key, isBuffer ? BUFFER_EXTENSION : JSON_EXTENSION);
+      tempCount += 1;
+      const tempPath = `${filePath}.${process.pid}.${tempCount}${TEMP_EXTENSION}`;
+      await fs.promises.mkdir(storeDir, { recursive: true });
+      await fs.promises.writeFile(tempPath, isBuffer ? value : JSON.stringify(value));
+      await fs.promises.rename(tempPath, filePath);
+      // The key may have been stored before as the other kind of value
+      await removeFile(getPath(key, isBuffer ? JSON_EXTENSION : BUFFER_EXTENSION));
+    },
+    read: async (key) => {
+      try {
+        return await fs.promises.readFile(getPath(key, BUFFER_EXTENSION));
+      } catch (err) {
+        if (!isNotFound(err)) { throw err; }
+      }
+      try {
+        return JSON.parse(await fs.promises.readFile(getPath(key, JSON_EXTENSION), 'utf8'));
+      } catch (err) {
+        if (!isNotFound(err)) { throw err; }
+        return undefined;
+      }
+    },
+    keys: async () => (await readFileNames())
+      .filter(fileName => VALUE_FILE_PATTERN.test(fileName))
+      .map(fileName => decodeURIComponent(fileName.replace(VALUE_FILE_PATTERN, ''))),
+    remove: async (keys) => {
+      await Promise.all(keys.map(key => Promise.all([
+        removeFile(getPath(key, BUFFER_EXTENSION)),
+        removeFile(getPath(key, JSON_EXTENSION)),
+      ])));
+    },
+    clear: async () => {
+      const fileNames = (await readFileNames()).filter(fileName => STORE_FILE_PATTERN.test(fileName));
+      await Promise.all(fileNames.map(fileName => removeFile(path.join(storeDir, fileName))));
+    },
+  };
+};
+
+/**
+   Store Config
+   Read from the environment:
+     CACHE_STORE             memored (default), memory or file
+     CACHE_MEMORY_BUDGET_MB  memory only; megabytes of asset data each worker may hold (default
+                             unlimited)
+     CACHE_DIR               file only; directory to keep the cache files in, in a
+                             portal-arcgis-asset-api-cache subdirectory whose cache files are
+                             removed when the cluster starts (default the OS temp dir)
+   Throws on anything invalid so the cluster fails fast.
+*/
+const getStoreConfig = (env = process.env) => {
+  const type = env.CACHE_STORE || DEFAULT_STORE_TYPE;
+  if (!Object.values(STORE_TYPES).includes(type)) {
+    throw new Error(`Invalid CACHE_STORE "${type}"; expected one of ${Object.values(STORE_TYPES).join(', ')}`);
+  }
+  const config = { type };
+  if (type === STORE_TYPES.MEMORY && env.CACHE_MEMORY_BUDGET_MB) {
+    const budget = Number(env.CACHE_MEMORY_BUDGET_MB);
+    if (!Number.isFinite(budget) || budget <= 0) {
+      throw new Error(`Invalid CACHE_MEMORY_BUDGET_MB "${env.CACHE_MEMORY_BUDGET_MB}"; expected a positive number`);
+    }
+    config.maxBytes = Math.round(budget * 1024 * 1024);
+  }
+  if (type === STORE_TYPES.FILE) {
+    config.dir = env.CACHE_DIR || os.tmpdir();
+  }
+  return config;
+};
+
+const createStore = ({ type = DEFAULT_STORE_TYPE, maxBytes, dir } = {}) => {
+  if (type === STORE_TYPES.MEMORY) { return createMemoryStore({ maxBytes }); }
+  if (type === STORE_TYPES.FILE) { return createFileStore({ dir }); }
+  return memoredStore;
+};
+
+module.exports = {
+  FILE_STORE_DIR_NAME,
+  STORE_TYPES,
+  createFileStore,
+  createMemoryStore,
+  createStore,
+  getStoreConfig,
+  memoredStore,
+};
@@ -0,0 +1,901 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const fsExtra = require('fs-extra');
+
+const { configureCache, createMemoryStore } = require('../cache');
+const { ROUTES } = require('../routes');
+const packageJSON = require('../package.json');
+const {
+  buildFixtures,
+  makeTempDir,
+  removeTempDir,
+  startServer,
+} = require('./helpers');
+
+const API_ROOT = '/api/v0/arcgis-assets';
+const OGC_ROOT = '/api/v0/ogc';
+
+// Assert a structured error response (see errors.js) and resolve to its error body
+const assertError = async (res, status, code) => {
+  assert.strictEqual(res.status, status);
+  const { error } = await res.json();
+  assert.strictEqual(error.status, status);
+  assert.strictEqual(error.code, code);
+  return error;
+};
+
+describe('api', () => {
+  let dataDir;
+  let degradedDir;
+  let server;
+  let degradedServer;
+  let request;
+
+  /**
+     Serve the fixture build as one cache generation and, as the next one, a copy of it without
+     metadata.json, the parts of BOUNDARIES/BART and the asset of POINTS/CPER.
+  */
+  before(async () => {
+    dataDir = makeTempDir();
+    degradedDir = makeTempDir();
+    await buildFixtures(dataDir);
+    fsExtra.copySync(dataDir, degradedDir);
+    fs.unlinkSync(path.join(degradedDir, 'metadata.json'));
+    fs.unlinkSync(path.join(degradedDir, 'assets', 'BOUNDARIES', 'BART.parts.json'));
+    fs.unlinkSync(path.join(degradedDir, 'assets', 'POINTS', 'CPER.json'));
+    // CPER is a current site and NOPE isn't one, so only OLDB is a valid alias
+    fs.writeFileSync(path.join(dataDir, 'site-aliases.json'), JSON.stringify({ oldb: 'BART', CPER: 'BART', GONE: 'NOPE' }));
+    configureCache({ store: createMemoryStore() });
+    server = await startServer(dataDir, 1);
+    degradedServer = await startServer(degradedDir, 2);
+    ({ request } = server);
+  });
+
+  after(async () => {
+    await server.close();
+    await degradedServer.close();
+    removeTempDir(dataDir);
+    removeTempDir(degradedDir);
+  });
+
+  describe('any route', () => {
+    it('responds 404 NOT_FOUND to unknown paths', async () => {
+      await assertError(await request('/nope'), 404, 'NOT_FOUND');
+    });
+
+    it('responds 405 METHOD_NOT_ALLOWED to anything but GET', async () => {
+      await assertError(await request(`${API_ROOT}/`, { method: 'POST' }), 405, 'METHOD_NOT_ALLOWED');
+    });
+  });
+
+  describe('listRoutes', () => {
+    it('lists every route that is not hidden', async () => {
+      const res = await request('/');
+      assert.strictEqual(res.status, 200);
+      const { routes } = await res.json();
+      assert.strictEqual(routes.length, ROUTES.filter(route => !route.hidden).length);
+      routes.forEach(route => assert.strictEqual(route.method, 'GET'));
+    });
+  });
+
+  describe('getHealth', () => {
+    it('reports UP', async () => {
+      const res = await request('/health');
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(await res.json(), { status: 'UP' });
+    });
+  });
+
+  describe('getLiveness', () => {
+    it('reports UP', async () => {
+      const res = await request('/health/live');
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(await res.json(), { status: 'UP' });
+    });
+  });
+
+  describe('getReadiness', () => {
+    it('reports UP with every asset cached', async () => {
+      const res = await request('/health/ready?strict=true');
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.headers.get('cache-control'), 'no-store');
+      const readiness = await res.json();
+      assert.strictEqual(readiness.status, 'UP');
+      assert.strictEqual(readiness.generation, 1);
+      assert.ok(readiness.assetCount > 0);
+      assert.deepStrictEqual(readiness.failedAssets, []);
+      assert.strictEqual(readiness.draining, false);
+    });
+
+    it('reports DEGRADED with failed assets, or DOWN if strict', async () => {
+      const res = await degradedServer.request('/health/ready');
+      assert.strictEqual(res.status, 200);
+      const readiness = await res.json();
+      assert.strictEqual(readiness.status, 'DEGRADED');
+      assert.strictEqual(readiness.generation, 2);
+      assert.deepStrictEqual(readiness.failedAssets, ['POINTS.CPER']);
+      const strictRes = await degradedServer.request('/health/ready?strict=true');
+      assert.strictEqual(strictRes.status, 503);
+      assert.strictEqual((await strictRes.json()).status, 'DOWN');
+    });
+
+    it('reports DOWN while draining and closes connections', async () => {
+      const drainingServer = await startServer(dataDir, 3, { isDraining: () => true });
+      try {
+        const res = await drainingServer.request('/health/ready');
+        assert.strictEqual(res.status, 503);
+        assert.strictEqual(res.headers.get('connection'), 'close');
+        const readiness = await res.json();
+        assert.strictEqual(readiness.status, 'DOWN');
+        assert.strictEqual(readiness.draining, true);
+        assert.strictEqual((await drainingServer.request('/health/live')).status, 200);
+      } finally {
+        await drainingServer.close();
+      }
+    });
+
+    it('responds 400 INVALID_PARAMETER to a non-boolean strict', async () => {
+      await assertError(await request('/health/ready?strict=maybe'), 400, 'INVALID_PARAMETER');
+    });
+  });
+
+  describe('request IDs', () => {
+    it('returns the X-Request-Id sent by the client', async () => {
+      const res = await request('/health', { headers: { 'X-Request-Id': 'abc-123' } });
+      assert.strictEqual(res.headers.get('x-request-id'), 'abc-123');
+    });
+
+    it('makes one up for requests without a usable X-Request-Id', async () => {
+      const res = await request('/health', { headers: { 'X-Request-Id': 'not an id' } });
+      assert.match(res.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+      const other = await request('/health');
+      assert.notStrictEqual(other.headers.get('x-request-id'), res.headers.get('x-request-id'));
+    });
+  });
+
+  describe('getMetrics', () => {
+    const getMetric = (metrics, name, labels) => {
+      const line = metrics.split('\n').find(metric => metric.startsWith(`${name}{${labels}}`));
+      return line ? Number(line.split(' ').pop()) : 0;
+    };
+
+    it('serves request, byte and cache counts in the Prometheus text format', async () => {
+      const assetPath = `${API_ROOT}/LINES/BART`;
+      const assetRoute = 'route="/api/v0/arcgis-assets/{feature}/{siteCode}",method="GET",status="200"';
+      const assetLabels = 'feature="LINES",siteCode="BART"';
+      const before = await (await request('/metrics')).text();
+      const asset = await (await request(assetPath, { compress: false })).buffer();
+      await request('/nope');
+      const res = await request('/metrics');
+      assert.strictEqual(res.status, 200);
+      assert.match(res.headers.get('content-type'), /^text\/plain; version=0.0.4/);
+      const metrics = await res.text();
+      assert.strictEqual(getMetric(metrics, 'http_requests_total', assetRoute), getMetric(before, 'http_requests_total', assetRoute) + 1);
+      assert.ok(getMetric(metrics, 'http_requests_total', 'route="unmatched",method="GET",status="404"') >= 1);
+      assert.ok(getMetric(metrics, 'http_request_duration_seconds_count', 'route="/api/v0/arcgis-assets/{feature}/{siteCode}",method="GET"') >= 1);
+      assert.strictEqual(getMetric(metrics, 'http_response_bytes_total', assetLabels), getMetric(before, 'http_response_bytes_total', assetLabels) + asset.length);
+      assert.ok(getMetric(metrics, 'cache_reads_total', 'type="asset",result="hit"') >= 1);
+      assert.match(metrics, /^cache_warm_duration_seconds \d/m);
+    });
+  });
+
+  describe('getOpenAPI', () => {
+    it('describes every route that is not hidden with the feature keys of the current generation', async () => {
+      const res = await request('/openapi.json');
+      assert.strictEqual(res.status, 200);
+      const document = await res.json();
+      assert.strictEqual(document.openapi, '3.0.3');
+      assert.strictEqual(document.info.version, packageJSON.version);
+      const operationIds = Object.values(document.paths).map(({ get }) => get.operationId);
+      const visibleRoutes = ROUTES.filter(route => !route.hidden);
+      assert.deepStrictEqual(operationIds.sort(), visibleRoutes.map(({ operationId }) => operationId).sort());
+      assert.ok(JSON.stringify(document).includes('"enum":["BOUNDARIES","POINTS","LINES"]'));
+    });
+  });
+
+  describe('getDocs', () => {
+    it('serves the docs page', async () => {
+      const res = await request('/docs');
+      assert.strictEqual(res.status, 200);
+      assert.match(res.headers.get('content-type'), /^text\/html/);
+      assert.match(await res.text(), /SwaggerUIBundle/);
+    });
+  });
+
+  describe('getDocsAsset', () => {
+    it('serves the Swagger UI files the docs page uses', async () => {
+      const res = await request('/docs/swagger-ui.css');
+      assert.strictEqual(res.status, 200);
+      assert.match(res.headers.get('content-type'), /^text\/css/);
+    });
+
+    it('responds 404 NOT_FOUND to any other file', async () => {
+      await assertError(await request('/docs/package.json'), 404, 'NOT_FOUND');
+    });
+  });
+
+  describe('listFeatures', () => {
+    it('lists every feature key', async () => {
+      const res = await request(`${API_ROOT}/`);
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(await res.json(), { features: ['BOUNDARIES', 'POINTS', 'LINES'] });
+    });
+
+    it('responds 304 to a matching If-None-Match', async () => {
+      const etag = (await request(`${API_ROOT}/`)).headers.get('etag');
+      const res = await request(`${API_ROOT}/`, { headers: { 'If-None-Match': etag } });
+      assert.strictEqual(res.status, 304);
+    });
+  });
+
+  describe('queryBBox', () => {
+    it('lists every site of every feature intersecting the bbox', async () => {
+      const res = await request(`${API_ROOT}/query/bbox?bbox=-122.5,45.5,-122,46`);
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(await res.json(), {
+        bbox: [-122.5, 45.5, -122, 46],
+        features: { BOUNDARIES: ['ABBY'], POINTS: ['ABBY'], LINES: [] },
+      });
+    });
+
+    it('only queries the given features', async () => {
+      const res = await request(`${API_ROOT}/query/bbox?bbox=-180,-90,180,90&features=POINTS,LINES`);
+      assert.deepStrictEqual((await res.json()).features, { POINTS: ['ABBY', 'CPER'], LINES: ['BART'] });
+    });
+
+    it('queries a bbox crossing the antimeridian as its two halves', async () => {
+      const both = await request(`${API_ROOT}/query/bbox?bbox=-110,-90,-121,90&features=POINTS`);
+      assert.deepStrictEqual((await both.json()).features, { POINTS: ['ABBY', 'CPER'] });
+      const east = await request(`${API_ROOT}/query/bbox?bbox=-110,-90,-123,90&features=POINTS`);
+      assert.deepStrictEqual((await east.json()).features, { POINTS: ['CPER'] });
+    });
+
+    it('responds 400 to a missing, malformed or inverted bbox', async () => {
+      await assertError(await request(`${API_ROOT}/query/bbox`), 400, 'MISSING_PARAMETER');
+      await assertError(await request(`${API_ROOT}/query/bbox?bbox=a,b,c,d`), 400, 'INVALID_PARAMETER');
+      const error = await assertError(await request(`${API_ROOT}/query/bbox?bbox=0,10,1,5`), 400, 'INVALID_PARAMETER');
+      assert.strictEqual(error.parameter, 'bbox');
+      await assertError(await request(`${API_ROOT}/query/bbox?bbox=190,0,-170,1`), 400, 'INVALID_PARAMETER');
+    });
+
+    it('responds 400 INVALID_FEATURE to unknown features', async () => {
+      const error = await assertError(await request(`${API_ROOT}/query/bbox?bbox=0,0,1,1&features=NOPE`), 400, 'INVALID_FEATURE');
+      assert.deepStrictEqual(error.validOptions, ['BOUNDARIES', 'POINTS', 'LINES']);
+    });
+  });
+
+  describe('queryPoint', () => {
+    it('lists every polygon containing the point', async () => {
+      const res = await request(`${API_ROOT}/query/point?lat=45.75&lng=-122.35`);
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(await res.json(), {
+        point: { lat: 45.75, lng: -122.35 },
+        features: { BOUNDARIES: ['ABBY'], POINTS: [], LINES: [] },
+      });
+    });
+
+    it('responds 400 to a missing or out of range coordinate', async () => {
+      await assertError(await request(`${API_ROOT}/query/point?lat=45`), 400, 'MISSING_PARAMETER');
+      await assertError(await request(`${API_ROOT}/query/point?lat=100&lng=0`), 400, 'INVALID_PARAMETER');
+    });
+  });
+
+  describe('getTile', () => {
+    it('serves a vector tile of every site of the feature', async () => {
+      const res = await request(`${API_ROOT}/tiles/BOUNDARIES/8/40/91.pbf`);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.headers.get('content-type'), 'application/vnd.mapbox-vector-tile');
+      assert.ok((await res.buffer()).length);
+    });
+
+    it('draws sites too small to see at low zoom levels as points', async () => {
+      const res = await request(`${API_ROOT}/tiles/BOUNDARIES/0/0/0.pbf`);
+      assert.strictEqual(res.status, 200);
+      assert.ok((await res.buffer()).length);
+    });
+
+    it('responds 204 to a tile with no sites', async () => {
+      const res = await request(`${API_ROOT}/tiles/BOUNDARIES/4/0/0.pbf`);
+      assert.strictEqual(res.status, 204);
+    });
+
+    it('responds 400 to invalid features and tile coordinates', async () => {
+      await assertError(await request(`${API_ROOT}/tiles/NOPE/0/0/0.pbf`), 400, 'INVALID_FEATURE');
+      const error = await assertError(await request(`${API_ROOT}/tiles/BOUNDARIES/0/1/0.pbf`), 400, 'INVALID_PARAMETER');
+      assert.strictEqual(error.parameter, 'x');
+    });
+  });
+
+  describe('listSites', () => {
+    it('lists the features of every site', async () => {
+      const res = await request(`${API_ROOT}/sites`);
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(await res.json(), {
+        sites: {
+          ABBY: ['BOUNDARIES', 'POINTS'],
+          BART: ['BOUNDARIES', 'LINES'],
+          CPER: ['POINTS'],
+        },
+      });
+    });
+  });
+
+  describe('getSite', () => {
+    it('serves every feature of the site as one FeatureCollection', async () => {
+      const res = await request(`${API_ROOT}/sites/ABBY`);
+      assert.strictEqual(res.status, 200);
+      const { type, features } = await res.json();
+      assert.strictEqual(type, 'FeatureCollection');
+      assert.deepStrictEqual(features.map(({ properties }) => properties.feature), ['BOUNDARIES', 'POINTS']);
+      assert.deepStrictEqual(features[1].geometry.coordinates, [45.76, -122.33]);
+    });
+
+    it('filters features and serves either axis order', async () => {
+      const res = await request(`${API_ROOT}/sites/ABBY?features=POINTS&axisOrder=lnglat`);
+      const { features } = await res.json();
+      assert.strictEqual(features.length, 1);
+      assert.deepStrictEqual(features[0].geometry.coordinates, [-122.33, 45.76]);
+    });
+
+    it('responds 400 to invalid site codes and axis orders', async () => {
+      await assertError(await request(`${API_ROOT}/sites/HARV`), 400, 'INVALID_SITE_CODE');
+      const error = await assertError(await request(`${API_ROOT}/sites/ABBY?axisOrder=xy`), 400, 'INVALID_PARAMETER');
+      assert.deepStrictEqual(error.validOptions, ['latlng', 'lnglat']);
+    });
+  });
+
+  describe('site codes', () => {
+    const requestRedirect = requestPath => request(requestPath, { redirect: 'manual' });
+
+    const assertRedirect = async (res, location) => {
+      assert.strictEqual(res.status, 301);
+      assert.strictEqual(new URL(res.headers.get('location'), server.baseUrl).href, `${server.baseUrl}${location}`);
+    };
+
+    it('redirects other cases, extensions and domain-qualified codes to the canonical site code', async () => {
+      await assertRedirect(await requestRedirect(`${API_ROOT}/BOUNDARIES/bart?axisOrder=lnglat`), `${API_ROOT}/BOUNDARIES/BART?axisOrder=lnglat`);
+      await assertRedirect(await requestRedirect(`${API_ROOT}/BOUNDARIES/BART.json`), `${API_ROOT}/BOUNDARIES/BART`);
+      await assertRedirect(await requestRedirect(`${API_ROOT}/metadata/BOUNDARIES/d01-Bart`), `${API_ROOT}/metadata/BOUNDARIES/BART`);
+      await assertRedirect(await requestRedirect(`${API_ROOT}/sites/abby/intersection?features=BOUNDARIES,POINTS`), `${API_ROOT}/sites/ABBY/intersection?features=BOUNDARIES,POINTS`);
+      const res = await request(`${API_ROOT}/LINES/bart`);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual((await res.json()).properties.siteCode, 'BART');
+    });
+
+    it('redirects aliases to the sites they name', async () => {
+      await assertRedirect(await requestRedirect(`${API_ROOT}/sites/OLDB`), `${API_ROOT}/sites/BART`);
+      await assertRedirect(await requestRedirect(`${API_ROOT}/LINES/oldb`), `${API_ROOT}/LINES/BART`);
+      await assertError(await request(`${API_ROOT}/sites/GONE`), 400, 'INVALID_SITE_CODE');
+      // Aliases are only served from the asset tree they were read with
+      await assertError(await degradedServer.request(`${API_ROOT}/sites/OLDB`), 400, 'INVALID_SITE_CODE');
+    });
+
+    it('suggests the closest site codes', async () => {
+      const error = await assertError(await request(`${API_ROOT}/LINES/BARR`), 400, 'INVALID_SITE_CODE');
+      assert.strictEqual(error.message, 'Site Code not valid for this Feature; did you mean BART?');
+      assert.deepStrictEqual(error.suggestions, ['BART']);
+      assert.deepStrictEqual(error.validOptions, ['BART']);
+      assert.strictEqual(error.featuresWithSite, undefined);
+      const siteError = await assertError(await request(`${API_ROOT}/sites/ABY`), 400, 'INVALID_SITE_CODE');
+      assert.strictEqual(siteError.message, 'Invalid Site Code; did you mean ABBY?');
+      const farError = await assertError(await request(`${API_ROOT}/sites/ZZZZ`), 400, 'INVALID_SITE_CODE');
+      assert.strictEqual(farError.message, 'Invalid Site Code');
+      assert.deepStrictEqual(farError.suggestions, []);
+    });
+
+    it('lists the features that do carry a site', async () => {
+      const error = await assertError(await request(`${API_ROOT}/LINES/abby`), 400, 'INVALID_SITE_CODE');
+      assert.deepStrictEqual(error.featuresWithSite, ['BOUNDARIES', 'POINTS']);
+      const aliasError = await assertError(await request(`${API_ROOT}/POINTS/OLDB`), 400, 'INVALID_SITE_CODE');
+      assert.deepStrictEqual(aliasError.featuresWithSite, ['BOUNDARIES', 'LINES']);
+    });
+
+    it('documents the redirect', async () => {
+      const { paths } = await (await request('/openapi.json')).json();
+      assert.ok(paths[`${API_ROOT}/{feature}/{siteCode}`].get.responses[301]);
+      assert.strictEqual(paths[`${API_ROOT}/{feature}`].get.responses[301], undefined);
+    });
+  });
+
+  describe('getOverlay', () => {
+    const overlayPath = (siteCode, operation, features) => `${API_ROOT}/sites/${siteCode}/${operation}?features=${features}`;
+
+    it('intersects two features of the site in [lat, lng] order', async () => {
+      const res = await request(overlayPath('BART', 'intersection', 'BOUNDARIES,LINES'));
+      assert.strictEqual(res.status, 200);
+      const { type, properties, geometry } = await res.json();
+      assert.strictEqual(type, 'Feature');
+      assert.deepStrictEqual(properties.features, ['BOUNDARIES', 'LINES']);
+      assert.strictEqual(properties.operation, 'intersection');
+      assert.strictEqual(properties.areaKm2, 0);
+      assert.ok(properties.lengthKm > 7 && properties.lengthKm < 9);
+      assert.strictEqual(geometry.type, 'LineString');
+      assert.deepStrictEqual(geometry.coordinates[0], [44.01, -71.29]);
+    });
+
+    it('keeps points within polygons and gives no geometry for an empty result', async () => {
+      const intersection = await (await request(`${overlayPath('ABBY', 'intersection', 'POINTS,BOUNDARIES')}&axisOrder=lnglat`)).json();
+      assert.deepStrictEqual(intersection.geometry, { type: 'Point', coordinates: [-122.33, 45.76] });
+      const difference = await (await request(overlayPath('ABBY', 'difference', 'POINTS,BOUNDARIES'))).json();
+      assert.strictEqual(difference.geometry, null);
+      assert.strictEqual(difference.properties.lengthKm, 0);
+    });
+
+    it('unions polygons with whatever of the other feature lies outside them', async () => {
+      const union = await (await request(overlayPath('ABBY', 'union', 'BOUNDARIES,POINTS'))).json();
+      const measurement = await (await request(`${API_ROOT}/BOUNDARIES/ABBY/measure`)).json();
+      assert.strictEqual(union.geometry.type, 'MultiPolygon');
+      assert.ok(Math.abs(union.properties.areaKm2 - measurement.areaKm2) < 1e-3);
+    });
+
+    it('serves ETags and 304 Not Modified', async () => {
+      const res = await request(overlayPath('BART', 'union', 'BOUNDARIES,LINES'));
+      const etag = res.headers.get('etag');
+      assert.ok(etag);
+      assert.strictEqual((await request(overlayPath('BART', 'union', 'BOUNDARIES,LINES'), { headers: { 'If-None-Match': etag } })).status, 304);
+    });
+
+    it('responds 400 to invalid operations and anything but two features of the site', async () => {
+      await assertError(await request(overlayPath('ABBY', 'xor', 'BOUNDARIES,POINTS')), 400, 'INVALID_PARAMETER');
+      await assertError(await request(overlayPath('ABBY', 'union', 'BOUNDARIES')), 400, 'INVALID_PARAMETER');
+      await assertError(await request(`${API_ROOT}/sites/ABBY/union`), 400, 'MISSING_PARAMETER');
+      const error = await assertError(await request(overlayPath('ABBY', 'union', 'BOUNDARIES,LINES')), 400, 'INVALID_FEATURE');
+      assert.deepStrictEqual(error.validOptions, ['BOUNDARIES', 'POINTS']);
+    });
+
+    it('responds 404 ASSET_NOT_FOUND to assets missing from the cache', async () => {
+      await assertError(await degradedServer.request(overlayPath('CPER', 'union', 'POINTS,POINTS')), 404, 'ASSET_NOT_FOUND');
+    });
+  });
+
+  describe('downloadAssets', () => {
+    it('streams the selected assets as one FeatureCollection', async () => {
+      const res = await request(`${API_ROOT}/download?assets=BOUNDARIES:ABBY,POINTS:CPER`);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.headers.get('content-type'), 'application/geo+json');
+      assert.match(res.headers.get('content-disposition'), /filename="assets.geojson"/);
+      const { features } = await res.json();
+      assert.deepStrictEqual(
+        features.map(({ properties }) => `${properties.feature}:${properties.siteCode}`),
+        ['BOUNDARIES:ABBY', 'POINTS:CPER'],
+      );
+    });
+
+    it('streams newline-delimited GeoJSON', async () => {
+      const res = await request(`${API_ROOT}/download?assets=BOUNDARIES:ABBY,POINTS:CPER&format=ndjson`);
+      const lines = (await res.text()).trim().split('\n');
+      assert.strictEqual(lines.length, 2);
+      assert.strictEqual(JSON.parse(lines[1]).properties.siteCode, 'CPER');
+    });
+
+    it('streams a ZIP archive', async () => {
+      const res = await request(`${API_ROOT}/download?assets=LINES:BART&format=zip`);
+      assert.strictEqual(res.headers.get('content-type'), 'application/zip');
+      const zip = await res.buffer();
+      assert.strictEqual(zip.toString('latin1', 0, 2), 'PK');
+      assert.ok(zip.includes('LINES/BART.json'));
+    });
+
+    it('responds 400 to missing or invalid assets', async () => {
+      await assertError(await request(`${API_ROOT}/download`), 400, 'MISSING_PARAMETER');
+      const error = await assertError(await request(`${API_ROOT}/download?assets=BOUNDARIES:ABBY,LINES:ABBY,NOPE`), 400, 'INVALID_ASSETS');
+      assert.deepStrictEqual(error.invalidAssets, ['LINES:ABBY', 'NOPE']);
+    });
+  });
+
+  describe('downloadFeature', () => {
+    it('streams every site of the feature', async () => {
+      const res = await request(`${API_ROOT}/download/BOUNDARIES`);
+      assert.strictEqual(res.status, 200);
+      assert.match(res.headers.get('content-disposition'), /filename="BOUNDARIES.geojson"/);
+      assert.strictEqual((await res.json()).features.length, 2);
+    });
+
+    it('responds 400 to invalid features and formats', async () => {
+      await assertError(await request(`${API_ROOT}/download/NOPE`), 400, 'INVALID_FEATURE');
+      await assertError(await request(`${API_ROOT}/download/BOUNDARIES?format=kml`), 400, 'INVALID_PARAMETER');
+    });
+  });
+
+  describe('getMetadata', () => {
+    it('serves provenance and site metadata of every feature', async () => {
+      const res = await request(`${API_ROOT}/metadata`);
+      assert.strictEqual(res.status, 200);
+      const { features } = await res.json();
+      assert.deepStrictEqual(Object.keys(features), ['BOUNDARIES', 'POINTS', 'LINES']);
+      assert.strictEqual(features.BOUNDARIES.provenance.zipFile, 'sites.zip');
+      assert.deepStrictEqual(Object.keys(features.BOUNDARIES.sites), ['ABBY', 'BART']);
+    });
+
+    it('responds 400 to an invalid axis order', async () => {
+      await assertError(await request(`${API_ROOT}/metadata?axisOrder=xy`), 400, 'INVALID_PARAMETER');
+    });
+
+    it('responds 404 METADATA_NOT_AVAILABLE without metadata.json', async () => {
+      await assertError(await degradedServer.request(`${API_ROOT}/metadata`), 404, 'METADATA_NOT_AVAILABLE');
+    });
+  });
+
+  describe('getFeatureMetadata', () => {
+    it('serves provenance and site metadata of the feature', async () => {
+      const res = await request(`${API_ROOT}/metadata/POINTS`);
+      assert.strictEqual(res.status, 200);
+      const { feature, provenance, sites } = await res.json();
+      assert.strictEqual(feature, 'POINTS');
+      assert.strictEqual(provenance.layer, 'points');
+      assert.deepStrictEqual(sites.CPER.centroid, [40.82, -104.75]);
+    });
+
+    it('responds 400 INVALID_FEATURE to unknown features', async () => {
+      await assertError(await request(`${API_ROOT}/metadata/NOPE`), 400, 'INVALID_FEATURE');
+    });
+
+    it('responds 404 METADATA_NOT_AVAILABLE without metadata.json', async () => {
+      await assertError(await degradedServer.request(`${API_ROOT}/metadata/POINTS`), 404, 'METADATA_NOT_AVAILABLE');
+    });
+  });
+
+  describe('getAssetMetadata', () => {
+    it('serves metadata of the asset in either axis order', async () => {
+      const res = await request(`${API_ROOT}/metadata/POINTS/CPER?axisOrder=lnglat`);
+      assert.strictEqual(res.status, 200);
+      const metadata = await res.json();
+      assert.strictEqual(metadata.feature, 'POINTS');
+      assert.strictEqual(metadata.siteCode, 'CPER');
+      assert.deepStrictEqual(metadata.centroid, [-104.75, 40.82]);
+    });
+
+    it('responds 400 INVALID_SITE_CODE to sites the feature does not have', async () => {
+      const error = await assertError(await request(`${API_ROOT}/metadata/POINTS/BART`), 400, 'INVALID_SITE_CODE');
+      assert.deepStrictEqual(error.validOptions, ['ABBY', 'CPER']);
+    });
+
+    it('responds 404 METADATA_NOT_AVAILABLE without metadata.json', async () => {
+      await assertError(await degradedServer.request(`${API_ROOT}/metadata/POINTS/ABBY`), 404, 'METADATA_NOT_AVAILABLE');
+    });
+  });
+
+  describe('listVersions', () => {
+    it('lists the fixture build as a version with counts of its changes', async () => {
+      const res = await request(`${API_ROOT}/versions`);
+      assert.strictEqual(res.status, 200);
+      const { versions } = await res.json();
+      assert.strictEqual(versions.length, 1);
+      const [{ version, timestamp, previousVersion, changes }] = versions;
+      assert.strictEqual(version, timestamp.slice(0, 10));
+      assert.strictEqual(previousVersion, null);
+      assert.deepStrictEqual(changes.BOUNDARIES, {
+        added: 2,
+        removed: 0,
+        geometryChanged: 0,
+        propertiesChanged: 0,
+        minorGeometryChanges: 0,
+        unchanged: 0,
+      });
+      const etag = res.headers.get('etag');
+      assert.strictEqual((await request(`${API_ROOT}/versions`, { headers: { 'If-None-Match': etag } })).status, 304);
+    });
+  });
+
+  describe('getVersion', () => {
+    it('serves the features of the version and its change report, cached for good', async () => {
+      const { versions: [{ version, timestamp }] } = await (await request(`${API_ROOT}/versions`)).json();
+      const res = await request(`${API_ROOT}/versions/${version}`);
+      assert.strictEqual(res.status, 200);
+      assert.match(res.headers.get('cache-control'), /immutable/);
+      assert.strictEqual(res.headers.get('last-modified'), new Date(timestamp).toUTCString());
+      const body = await res.json();
+      assert.deepStrictEqual(body.features, { BOUNDARIES: ['ABBY', 'BART'], POINTS: ['ABBY', 'CPER'], LINES: ['BART'] });
+      assert.deepStrictEqual(body.changes.BOUNDARIES.added, ['ABBY', 'BART']);
+      assert.deepStrictEqual(body.failedFeatures, []);
+    });
+
+    it('responds 400 to malformed versions and 404 VERSION_NOT_FOUND to unknown ones', async () => {
+      await assertError(await request(`${API_ROOT}/versions/latest`), 400, 'INVALID_PARAMETER');
+      const error = await assertError(await request(`${API_ROOT}/versions/1999-01-01`), 404, 'VERSION_NOT_FOUND');
+      assert.strictEqual(error.validOptions.length, 1);
+    });
+  });
+
+  describe('getVersionAsset', () => {
+    let versionPath;
+
+    before(async () => {
+      const { versions: [{ version }] } = await (await request(`${API_ROOT}/versions`)).json();
+      versionPath = `${API_ROOT}/versions/${version}`;
+    });
+
+    it('serves the asset as it was in the version, in either axis order', async () => {
+      const res = await request(`${versionPath}/BOUNDARIES/ABBY`);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.headers.get('content-type'), 'application/json');
+      assert.match(res.headers.get('cache-control'), /immutable/);
+      assert.deepStrictEqual(await res.json(), await (await request(`${API_ROOT}/BOUNDARIES/ABBY`)).json());
+      const lnglat = await (await request(`${versionPath}/BOUNDARIES/ABBY?axisOrder=lnglat&zoom=4`)).json();
+      const current = await (await request(`${API_ROOT}/BOUNDARIES/ABBY?axisOrder=lnglat&zoom=4`)).json();
+      assert.deepStrictEqual(lnglat, current);
+      const etag = res.headers.get('etag');
+      assert.strictEqual((await request(`${versionPath}/BOUNDARIES/ABBY`, { headers: { 'If-None-Match': etag } })).status, 304);
+    });
+
+    it('serves assets no longer in the current build', async () => {
+      const res = await degradedServer.request(`${versionPath}/POINTS/CPER`);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual((await res.json()).properties.siteCode, 'CPER');
+    });
+
+    it('responds 404 ASSET_NOT_FOUND to assets the version does not have', async () => {
+      await assertError(await request(`${versionPath}/LINES/ABBY`), 404, 'ASSET_NOT_FOUND');
+      await assertError(await request(`${versionPath}/NOPE/constructor`), 404, 'ASSET_NOT_FOUND');
+      await assertError(await request(`${API_ROOT}/versions/1999-01-01/LINES/BART`), 404, 'VERSION_NOT_FOUND');
+      await assertError(await request(`${versionPath}/LINES/BART?zoom=4&tolerance=0.01`), 400, 'INVALID_PARAMETER');
+    });
+  });
+
+  describe('getBuffer', () => {
+    it('buffers points into circles in either axis order', async () => {
+      const res = await request(`${API_ROOT}/POINTS/CPER/buffer?distance=1000&axisOrder=lnglat`);
+      assert.strictEqual(res.status, 200);
+      const { properties, geometry } = await res.json();
+      assert.strictEqual(geometry.type, 'Polygon');
+      assert.strictEqual(properties.distance, 1000);
+      assert.ok(Math.abs(properties.areaKm2 - Math.PI) / Math.PI < 0.01, `${properties.areaKm2} is not ~pi`);
+      geometry.coordinates[0].forEach(([lng, lat]) => assert.ok(lng > -104.8 && lng < -104.7 && lat > 40.8 && lat < 40.84));
+    });
+
+    it('grows and shrinks polygons', async () => {
+      const { areaKm2 } = await (await request(`${API_ROOT}/BOUNDARIES/ABBY/measure`)).json();
+      const grown = await (await request(`${API_ROOT}/BOUNDARIES/ABBY/buffer?distance=100`)).json();
+      const shrunk = await (await request(`${API_ROOT}/BOUNDARIES/ABBY/buffer?distance=-100`)).json();
+      assert.ok(grown.properties.areaKm2 > areaKm2);
+      assert.ok(shrunk.properties.areaKm2 < areaKm2);
+      assert.strictEqual(grown.geometry.coordinates[0][0][0].length, 2);
+      assert.ok(grown.geometry.coordinates[0][0][0][0] > 45, 'not [lat, lng]');
+    });
+
+    it('leaves points and lines empty for negative distances', async () => {
+      const { geometry } = await (await request(`${API_ROOT}/LINES/BART/buffer?distance=-10`)).json();
+      assert.strictEqual(geometry, null);
+    });
+
+    it('responds 400 to missing and out of range distances', async () => {
+      await assertError(await request(`${API_ROOT}/LINES/BART/buffer`), 400, 'MISSING_PARAMETER');
+      await assertError(await request(`${API_ROOT}/LINES/BART/buffer?distance=100000`), 400, 'INVALID_PARAMETER');
+      await assertError(await request(`${API_ROOT}/LINES/ABBY/buffer?distance=10`), 400, 'INVALID_SITE_CODE');
+    });
+  });
+
+  describe('getMeasurement', () => {
+    it('measures polygons and compares them with their areaKm2 property', async () => {
+      const res = await request(`${API_ROOT}/BOUNDARIES/ABBY/measure`);
+      assert.strictEqual(res.status, 200);
+      const measurement = await res.json();
+      const metadata = await (await request(`${API_ROOT}/metadata/BOUNDARIES/ABBY`)).json();
+      assert.strictEqual(measurement.geometryType, 'MultiPolygon');
+      assert.ok(Math.abs(measurement.areaKm2 - metadata.areaKm2) / metadata.areaKm2 < 0.01);
+      assert.strictEqual(measurement.storedAreaKm2, 2);
+      assert.strictEqual(measurement.areaKm2Difference, Math.round((measurement.areaKm2 - 2) * 1e6) / 1e6);
+    });
+
+    it('measures lines and points', async () => {
+      const line = await (await request(`${API_ROOT}/LINES/BART/measure`)).json();
+      assert.deepStrictEqual([line.areaKm2, line.storedAreaKm2, line.areaKm2Difference], [0, null, null]);
+      assert.ok(line.lengthKm > 7 && line.lengthKm < 9);
+      const point = await (await request(`${API_ROOT}/POINTS/CPER/measure`)).json();
+      assert.deepStrictEqual([point.areaKm2, point.lengthKm], [0, 0]);
+    });
+
+    it('responds 404 ASSET_NOT_FOUND to assets missing from the cache', async () => {
+      await assertError(await degradedServer.request(`${API_ROOT}/POINTS/CPER/measure`), 404, 'ASSET_NOT_FOUND');
+    });
+  });
+
+  describe('getFeature', () => {
+    it('lists the site codes of the feature', async () => {
+      const res = await request(`${API_ROOT}/BOUNDARIES`);
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(await res.json(), { siteCodes: ['ABBY', 'BART'] });
+    });
+
+    it('adds provenance and site metadata with detail=true', async () => {
+      const res = await request(`${API_ROOT}/BOUNDARIES?detail=true`);
+      const { siteCodes, provenance, sites } = await res.json();
+      assert.deepStrictEqual(siteCodes, ['ABBY', 'BART']);
+      assert.strictEqual(provenance.layer, 'boundaries');
+      assert.deepStrictEqual(Object.keys(sites), ['ABBY', 'BART']);
+    });
+
+    it('responds 400 to unknown features and invalid detail', async () => {
+      await assertError(await request(`${API_ROOT}/NOPE`), 400, 'INVALID_FEATURE');
+      await assertError(await request(`${API_ROOT}/BOUNDARIES?detail=maybe`), 400, 'INVALID_PARAMETER');
+    });
+
+    it('responds 404 METADATA_NOT_AVAILABLE to detail=true without metadata.json', async () => {
+      await assertError(await degradedServer.request(`${API_ROOT}/BOUNDARIES?detail=true`), 404, 'METADATA_NOT_AVAILABLE');
+    });
+  });
+
+  describe('getAsset', () => {
+    const assetPath = `${API_ROOT}/BOUNDARIES/ABBY`;
+
+    it('serves the asset as built, in [lat, lng] order', async () => {
+      const res = await request(assetPath);
+      assert.strictEqual(res.status, 200);
+      const asset = await res.json();
+      assert.deepStrictEqual(asset.properties, { siteCode: 'ABBY', priority: 1, areaKm2: 2 });
+      assert.deepStrictEqual(asset.geometry.coordinates[0][0][0], [45.7, -122.40000000000002]);
+    });
+
+    it('serves [lng, lat] order with axisOrder=lnglat', async () => {
+      const asset = await (await request(`${assetPath}?axisOrder=lnglat`)).json();
+      assert.deepStrictEqual(asset.geometry.coordinates[0][0][0], [-122.40000000000002, 45.7]);
+    });
+
+    it('serves precompressed variants the client accepts', async () => {
+      const res = await request(assetPath, { compress: false, headers: { 'Accept-Encoding': 'br' } });
+      assert.strictEqual(res.headers.get('content-encoding'), 'br');
+      const asset = JSON.parse(zlib.brotliDecompressSync(await res.buffer()));
+      assert.strictEqual(asset.properties.siteCode, 'ABBY');
+    });
+
+    it('responds 304 to a matching If-None-Match', async () => {
+      const etag = (await request(assetPath)).headers.get('etag');
+      const res = await request(assetPath, { headers: { 'If-None-Match': etag } });
+      assert.strictEqual(res.status, 304);
+    });
+
+    it('serves simplified geometry by zoom or tolerance, but not both', async () => {
+      assert.strictEqual((await request(`${assetPath}?zoom=4`)).status, 200);
+      assert.strictEqual((await request(`${assetPath}?tolerance=0.01`)).status, 200);
+      const error = await assertError(await request(`${assetPath}?zoom=4&tolerance=0.01`), 400, 'INVALID_PARAMETER');
+      assert.strictEqual(error.parameter, 'tolerance');
+      await assertError(await request(`${assetPath}?zoom=99`), 400, 'INVALID_PARAMETER');
+    });
+
+    it('serves other formats by format= or Accept', async () => {
+      const res = await request(`${assetPath}?format=kml`);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.headers.get('content-type'), 'application/vnd.google-earth.kml+xml');
+      assert.match(res.headers.get('content-disposition'), /filename="BOUNDARIES_ABBY.kml"/);
+      const accepted = await request(`${API_ROOT}/LINES/BART`, { headers: { Accept: 'application/gpx+xml' } });
+      assert.strictEqual(accepted.headers.get('content-type'), 'application/gpx+xml');
+      assert.match(await accepted.text(), /<gpx/);
+      assert.match(await (await request(`${assetPath}?format=csv`)).text(), /MULTIPOLYGON/);
+    });
+
+    it('responds 400 to formats that cannot represent the geometry', async () => {
+      const error = await assertError(await request(`${assetPath}?format=gpx`), 400, 'UNSUPPORTED_FORMAT');
+      assert.ok(!error.validOptions.includes('gpx'));
+      await assertError(await request(`${assetPath}?format=svg`), 400, 'INVALID_PARAMETER');
+    });
+
+    it('serves parts, filtered by property', async () => {
+      const parts = await (await request(`${assetPath}?parts=true`)).json();
+      assert.strictEqual(parts.type, 'FeatureCollection');
+      assert.strictEqual(parts.features.length, 2);
+      const filtered = await request(`${assetPath}?priority=2`);
+      assert.strictEqual(filtered.headers.get('content-type'), 'application/json');
+      assert.deepStrictEqual((await filtered.json()).features.map(({ properties }) => properties.priority), [2]);
+      await assertError(await request(`${assetPath}?parts=true&format=kml`), 400, 'UNSUPPORTED_FORMAT');
+    });
+
+    it('responds 400 to unknown features and site codes', async () => {
+      await assertError(await request(`${API_ROOT}/NOPE/ABBY`), 400, 'INVALID_FEATURE');
+      await assertError(await request(`${API_ROOT}/LINES/ABBY`), 400, 'INVALID_SITE_CODE');
+    });
+
+    it('redirects asOf= to the asset in the version current on that date', async () => {
+      const { versions: [{ version }] } = await (await request(`${API_ROOT}/versions`)).json();
+      const res = await request(`${assetPath}?asOf=2999-12-31&axisOrder=lnglat`, { redirect: 'manual' });
+      assert.strictEqual(res.status, 302);
+      assert.strictEqual(
+        new URL(res.headers.get('location'), server.baseUrl).href,
+        `${server.baseUrl}${API_ROOT}/versions/${version}/BOUNDARIES/ABBY?axisOrder=lnglat`,
+      );
+      const asset = await (await request(`${assetPath}?asOf=${version}`)).json();
+      assert.strictEqual(asset.properties.siteCode, 'ABBY');
+    });
+
+    it('responds 404 VERSION_NOT_FOUND to asOf= dates before the first version', async () => {
+      await assertError(await request(`${assetPath}?asOf=1999-01-01`), 404, 'VERSION_NOT_FOUND');
+    });
+
+    it('responds 400 to invalid asOf= dates and anything but whole GeoJSON assets', async () => {
+      await assertError(await request(`${assetPath}?asOf=yesterday`), 400, 'INVALID_PARAMETER');
+      await assertError(await request(`${assetPath}?asOf=2024-02-30`), 400, 'INVALID_PARAMETER');
+      await assertError(await request(`${assetPath}?asOf=2999-12-31&format=kml`), 400, 'UNSUPPORTED_FORMAT');
+      await assertError(await request(`${assetPath}?asOf=2999-12-31&priority=1`), 400, 'UNSUPPORTED_FORMAT');
+    });
+
+    it('responds 404 to assets and parts missing from the cache', async () => {
+      await assertError(await degradedServer.request(`${API_ROOT}/POINTS/CPER`), 404, 'ASSET_NOT_FOUND');
+      await assertError(await degradedServer.request(`${API_ROOT}/BOUNDARIES/BART?parts=true`), 404, 'PARTS_NOT_AVAILABLE');
+    });
+  });
+
+  describe('getOGCLandingPage', () => {
+    it('links to the conformance classes, collections and API definition', async () => {
+      const res = await request(OGC_ROOT);
+      assert.strictEqual(res.status, 200);
+      const rels = (await res.json()).links.map(({ rel }) => rel);
+      ['self', 'conformance', 'data', 'service-desc'].forEach(rel => assert.ok(rels.includes(rel), rel));
+    });
+  });
+
+  describe('getOGCConformance', () => {
+    it('lists the conformance classes', async () => {
+      const { conformsTo } = await (await request(`${OGC_ROOT}/conformance`)).json();
+      assert.ok(conformsTo.includes('http://www.opengis.net/spec/ogcapi-features-1/1.0/conf/core'));
+    });
+  });
+
+  describe('getOGCCollections', () => {
+    it('lists one collection per feature', async () => {
+      const { collections } = await (await request(`${OGC_ROOT}/collections`)).json();
+      assert.deepStrictEqual(collections.map(({ id }) => id), ['BOUNDARIES', 'POINTS', 'LINES']);
+    });
+  });
+
+  describe('getOGCCollection', () => {
+    it('describes the collection with its extent', async () => {
+      const res = await request(`${OGC_ROOT}/collections/POINTS`);
+      assert.strictEqual(res.status, 200);
+      const { id, extent } = await res.json();
+      assert.strictEqual(id, 'POINTS');
+      assert.deepStrictEqual(extent.spatial.bbox, [[-122.33, 40.82, -104.75, 45.76]]);
+    });
+
+    it('responds 404 NOT_FOUND to unknown collections', async () => {
+      await assertError(await request(`${OGC_ROOT}/collections/NOPE`), 404, 'NOT_FOUND');
+    });
+  });
+
+  describe('getOGCItems', () => {
+    const itemsPath = `${OGC_ROOT}/collections/POINTS/items`;
+
+    it('serves a page of items in [lng, lat] order', async () => {
+      const res = await request(`${itemsPath}?limit=1`);
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.headers.get('content-type'), 'application/geo+json');
+      const page = await res.json();
+      assert.strictEqual(page.numberMatched, 2);
+      assert.strictEqual(page.numberReturned, 1);
+      assert.deepStrictEqual(page.features[0].geometry.coordinates, [-122.33, 45.76]);
+      assert.ok(page.links.some(({ rel }) => rel === 'next'));
+    });
+
+    it('filters items by bbox', async () => {
+      const page = await (await request(`${itemsPath}?bbox=-105,40,-104,41`)).json();
+      assert.deepStrictEqual(page.features.map(({ id }) => id), ['CPER']);
+    });
+
+    it('responds 400 to unknown and invalid params', async () => {
+      await assertError(await request(`${itemsPath}?nope=1`), 400, 'UNKNOWN_PARAMETER');
+      await assertError(await request(`${itemsPath}?limit=0`), 400, 'INVALID_PARAMETER');
+      await assertError(await request(`${itemsPath}?bbox=1,1,0,0`), 400, 'INVALID_PARAMETER');
+    });
+
+    it('responds 404 NOT_FOUND to unknown collections', async () => {
+      await assertError(await request(`${OGC_ROOT}/collections/NOPE/items`), 404, 'NOT_FOUND');
+    });
+  });
+
+  describe('getOGCItem', () => {
+    it('serves a single item', async () => {
+      const res = await request(`${OGC_ROOT}/collections/LINES/items/BART`);
+      assert.strictEqual(res.status, 200);
+      const item = await res.json();
+      assert.strictEqual(item.id, 'BART');
+      assert.strictEqual(item.geometry.type, 'LineString');
+    });
+
+    it('responds 404 NOT_FOUND to unknown and uncached items', async () => {
+      await assertError(await request(`${OGC_ROOT}/collections/LINES/items/ABBY`), 404, 'NOT_FOUND');
+      await assertError(await degradedServer.request(`${OGC_ROOT}/collections/POINTS/items/CPER`), 404, 'NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,247 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const shp = require('shpjs');
+
+const { AssetBuilder, parseArgs } = require('../build');
+const { loadFeatureSources } = require('../sources');
+const {
+  FIXTURES_PATH,
+  FIXTURE_CONFIG_PATH,
+  buildFixtures,
+  makeTempDir,
+  readJSON,
+  removeTempDir,
+} = require('./helpers');
+
+// Every layer in a fixture source ZIP, keyed by layer name
+const readFixtureLayers = async (zipFile) => {
+  const geojson = await shp(fs.readFileSync(path.join(FIXTURES_PATH, zipFile)));
+  return [].concat(geojson).reduce((acc, layer) => ({ ...acc, [layer.fileName]: layer }), {});
+};
+
+const flattenPositions = coords => (Array.isArray(coords[0]) ? coords.flatMap(flattenPositions) : [coords]);
+
+describe('build.js', () => {
+  let outDir;
+  let builder;
+  let layers;
+
+  before(async () => {
+    outDir = makeTempDir();
+    builder = new AssetBuilder({ config: FIXTURE_CONFIG_PATH, sourceDir: FIXTURES_PATH, outDir });
+    layers = {
+      ...(await readFixtureLayers('sites.zip')),
+      ...(await readFixtureLayers('lines.zip')),
+    };
+  });
+
+  after(() => removeTempDir(outDir));
+
+  describe('parseArgs', () => {
+    it('reads flags and values in either form', () => {
+      const options = parseArgs(['--dry-run', '--out', 'dist', '--only=POINTS, LINES', '--area-threshold=5']);
+      assert.strictEqual(options.dryRun, true);
+      assert.strictEqual(options.outDir, 'dist');
+      assert.deepStrictEqual(options.only, ['POINTS', 'LINES']);
+      assert.strictEqual(options.areaThreshold, 5);
+    });
+
+    it('throws on unknown options, missing values and invalid thresholds', () => {
+      assert.throws(() => parseArgs(['--nope']), /Unknown option: --nope/);
+      assert.throws(() => parseArgs(['--out']), /--out requires a value/);
+      assert.throws(() => parseArgs(['--centroid-threshold', '-1']), /must be a non-negative number/);
+    });
+  });
+
+  describe('AssetBuilder', () => {
+    it('throws on unknown features and missing source directories', () => {
+      assert.throws(
+        () => new AssetBuilder({ config: FIXTURE_CONFIG_PATH, only: ['NOPE'] }),
+        /Unknown feature\(s\): NOPE/,
+      );
+      assert.throws(
+        () => new AssetBuilder({ config: FIXTURE_CONFIG_PATH, sourceDir: path.join(outDir, 'nope') }),
+        /Source directory does not exist/,
+      );
+    });
+  });
+
+  describe('sanitizeCoordinates', () => {
+    it('swaps a position to [lat, lng] and drops any z value', () => {
+      assert.deepStrictEqual(builder.sanitizeCoordinates([-122.4, 45.7]), [45.7, -122.4]);
+      assert.deepStrictEqual(builder.sanitizeCoordinates([-122.4, 45.7, 0]), [45.7, -122.4]);
+      assert.deepStrictEqual(builder.sanitizeCoordinates([-122.4, 45.7, 12]), [45.7, -122.4]);
+    });
+
+    it('passes anything that is not an array through', () => {
+      assert.strictEqual(builder.sanitizeCoordinates(null), null);
+      assert.strictEqual(builder.sanitizeCoordinates(undefined), undefined);
+    });
+
+    it('swaps every position of every fixture geometry and keeps its nesting', () => {
+      Object.values(layers).forEach(({ features }) => {
+        features.forEach(({ geometry }) => {
+          const sanitized = builder.sanitizeCoordinates(geometry.coordinates);
+          const positions = flattenPositions(geometry.coordinates);
+          assert.deepStrictEqual(flattenPositions(sanitized), positions.map(([lng, lat]) => [lat, lng]));
+          assert.strictEqual(JSON.stringify(sanitized).replace(/[^[\]]/g, ''), JSON.stringify(geometry.coordinates).replace(/[^[\]]/g, ''));
+        });
+      });
+    });
+  });
+
+  describe('geojsonToSites', () => {
+    const { FEATURES } = loadFeatureSources(FIXTURE_CONFIG_PATH);
+    const toSites = (featureKey, geojson) => (
+      builder.geojsonToSites(geojson, FEATURES[featureKey].getProperties, FEATURES[featureKey].mergeProperties)
+    );
+
+    it('groups source features by site, keeping each one as a part', () => {
+      const sites = toSites('BOUNDARIES', layers.boundaries);
+      assert.deepStrictEqual(Object.keys(sites).sort(), ['ABBY', 'BART']);
+      assert.strictEqual(sites.ABBY.parts.length, 2);
+      assert.strictEqual(sites.BART.parts.length, 1);
+      assert.deepStrictEqual(sites.ABBY.parts.map(part => part.properties.priority), [1, 2]);
+      assert.deepStrictEqual(sites.BART.parts[0].geometry, layers.boundaries.features[2].geometry);
+    });
+
+    it('maps and merges properties as configured', () => {
+      const sites = toSites('BOUNDARIES', layers.boundaries);
+      assert.deepStrictEqual(sites.ABBY.properties, { siteCode: 'ABBY', priority: 1, areaKm2: 2 });
+      assert.deepStrictEqual(sites.BART.properties, { siteCode: 'BART', priority: 1, areaKm2: 3 });
+      assert.deepStrictEqual(toSites('POINTS', layers.points).CPER.properties, { siteCode: 'CPER' });
+    });
+
+    it('makes zeros null for properties configured with nullIfZero', () => {
+      const { getProperties } = loadFeatureSources().FEATURES.WATERSHED_BOUNDARIES;
+      assert.strictEqual(getProperties({ SiteID: 'ARIK', WSAreaKm2: 0 }).areaKm2, null);
+      assert.strictEqual(getProperties({ SiteID: 'ARIK', WSAreaKm2: '0.0' }).areaKm2, null);
+      assert.strictEqual(getProperties({ SiteID: 'ARIK', WSAreaKm2: '12.5' }).areaKm2, 12.5);
+    });
+
+    it('skips source features without geometry or a site code', () => {
+      const geojson = {
+        type: 'FeatureCollection',
+        features: [
+          ...layers.points.features,
+          { type: 'Feature', properties: { siteID: 'HARV' }, geometry: null },
+          { type: 'Feature', properties: { siteID: '' }, geometry: layers.points.features[0].geometry },
+          { type: 'Feature', properties: {}, geometry: layers.points.features[0].geometry },
+        ],
+      };
+      assert.deepStrictEqual(Object.keys(toSites('POINTS', geojson)).sort(), ['ABBY', 'CPER']);
+    });
+
+    it('is empty without source features', () => {
+      assert.deepStrictEqual(builder.geojsonToSites(), {});
+      assert.deepStrictEqual(builder.geojsonToSites({ type: 'FeatureCollection' }), {});
+    });
+  });
+
+  describe('end-to-end build', () => {
+    let buildDir;
+
+    before(async () => {
+      buildDir = makeTempDir();
+      await buildFixtures(buildDir);
+    });
+
+    after(() => removeTempDir(buildDir));
+
+    it('writes features.json listing every site of every feature', () => {
+      assert.deepStrictEqual(readJSON(buildDir, 'features.json'), {
+        BOUNDARIES: ['ABBY', 'BART'],
+        POINTS: ['ABBY', 'CPER'],
+        LINES: ['BART'],
+      });
+    });
+
+    it('writes each site as a [lat, lng] Feature with its parts alongside', () => {
+      const asset = readJSON(buildDir, 'assets', 'BOUNDARIES', 'ABBY.json');
+      assert.strictEqual(asset.type, 'Feature');
+      assert.deepStrictEqual(asset.properties, { siteCode: 'ABBY', priority: 1, areaKm2: 2 });
+      assert.strictEqual(asset.geometry.type, 'MultiPolygon');
+      flattenPositions(asset.geometry.coordinates).forEach(([lat, lng]) => {
+        assert.ok(lat > 45 && lat < 46 && lng > -123 && lng < -122, `${lat},${lng} is not [lat, lng]`);
+      });
+      const parts = readJSON(buildDir, 'assets', 'BOUNDARIES', 'ABBY.parts.json');
+      assert.strictEqual(parts.type, 'FeatureCollection');
+      assert.deepStrictEqual(parts.features.map(part => part.properties.areaKm2), [1.5, 0.5]);
+      assert.deepStrictEqual(readJSON(buildDir, 'assets', 'POINTS', 'CPER.json').geometry, {
+        type: 'Point',
+        coordinates: [40.82, -104.75],
+      });
+      assert.strictEqual(readJSON(buildDir, 'assets', 'LINES', 'BART.json').geometry.type, 'LineString');
+    });
+
+    it('writes build.json, metadata.json and the build and validation reports', () => {
+      const { timestamp } = readJSON(buildDir, 'build.json');
+      assert.ok(!Number.isNaN(new Date(timestamp).getTime()));
+      const metadata = readJSON(buildDir, 'metadata.json');
+      assert.deepStrictEqual(Object.keys(metadata), ['BOUNDARIES', 'POINTS', 'LINES']);
+      assert.deepStrictEqual(metadata.BOUNDARIES.provenance, {
+        sourceId: '00000000000000000000000000000001',
+        zipFile: 'sites.zip',
+        layer: 'boundaries',
+        buildTimestamp: timestamp,
+      });
+      assert.deepStrictEqual(Object.keys(metadata.POINTS.sites), ['ABBY', 'CPER']);
+      const report = readJSON(buildDir, 'build-report.json');
+      assert.deepStrictEqual(report.features.BOUNDARIES.added, ['ABBY', 'BART']);
+      assert.deepStrictEqual(report.failedFeatures, []);
+      assert.ok(fs.existsSync(path.join(buildDir, 'build-report.md')));
+      assert.strictEqual(readJSON(buildDir, 'validation-report.json').valid, true);
+    });
+
+    it('leaves features not being rebuilt as they are', async () => {
+      const previousMetadata = readJSON(buildDir, 'metadata.json');
+      await buildFixtures(buildDir, { only: ['POINTS'] });
+      assert.deepStrictEqual(readJSON(buildDir, 'features.json').LINES, ['BART']);
+      assert.ok(fs.existsSync(path.join(buildDir, 'assets', 'LINES', 'BART.json')));
+      const metadata = readJSON(buildDir, 'metadata.json');
+      assert.deepStrictEqual(metadata.LINES.provenance, previousMetadata.LINES.provenance);
+      assert.notStrictEqual(metadata.POINTS.provenance.buildTimestamp, previousMetadata.POINTS.provenance.buildTimestamp);
+      const report = readJSON(buildDir, 'build-report.json');
+      assert.deepStrictEqual(Object.keys(report.features), ['POINTS']);
+      assert.strictEqual(report.features.POINTS.unchanged, 2);
+    });
+
+    it('records each build as a version sharing the assets it has in common with others', () => {
+      const versions = readJSON(buildDir, 'versions', 'versions.json');
+      assert.strictEqual(versions.length, 2);
+      const [first, second] = versions;
+      versions.forEach(({ version, timestamp }) => assert.match(version, new RegExp(`^${timestamp.slice(0, 10)}(\\.2)?$`)));
+      assert.notStrictEqual(second.version, first.version);
+      assert.strictEqual(second.previousVersion, first.version);
+      assert.strictEqual(first.changes.BOUNDARIES.added, 2);
+      assert.deepStrictEqual(Object.keys(second.changes), ['POINTS']);
+      assert.strictEqual(second.changes.POINTS.unchanged, 2);
+      assert.deepStrictEqual(readJSON(buildDir, 'versions', second.version, 'features.json'), readJSON(buildDir, 'features.json'));
+      assert.deepStrictEqual(readJSON(buildDir, 'versions', second.version, 'changes.json').features.POINTS.added, []);
+      const [firstManifest, secondManifest] = versions.map(({ version }) => readJSON(buildDir, 'versions', version, 'manifest.json'));
+      assert.deepStrictEqual(secondManifest, firstManifest);
+      const hash = secondManifest.POINTS.CPER;
+      assert.deepStrictEqual(fs.readdirSync(path.join(buildDir, 'versions', 'objects', 'POINTS')).sort(), [
+        `ABBY.${secondManifest.POINTS.ABBY}.json`,
+        `CPER.${hash}.json`,
+      ]);
+      assert.deepStrictEqual(
+        readJSON(buildDir, 'versions', 'objects', 'POINTS', `CPER.${hash}.json`),
+        readJSON(buildDir, 'assets', 'POINTS', 'CPER.json'),
+      );
+    });
+
+    it('only reports changes on a dry run', async () => {
+      const dryRunDir = makeTempDir();
+      try {
+        await buildFixtures(dryRunDir, { dryRun: true });
+        assert.deepStrictEqual(fs.readdirSync(dryRunDir).sort(), ['build-report.json', 'build-report.md']);
+      } finally {
+        removeTempDir(dryRunDir);
+      }
+    });
+  });
+});
@@ -0,0 +1,47 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const shpWrite = require('@mapbox/shp-write');
+
+/**
+   Fixture source ZIPs
+   Regenerates the shapefile ZIPs read by test/fixtures/feature-sources.json. The fixtures are
+   checked in; only run this (node test/fixtures/generate.js) to change them.
+     sites.zip - two layers: boundaries (polygons; ABBY in two parts) and points
+     lines.zip - a single layer holding one line (shp-write merges every line into one record)
+*/
+const square = (lng, lat, size = 0.1) => ({
+  type: 'Polygon',
+  coordinates: [[[lng, lat], [lng + size, lat], [lng + size, lat + size], [lng, lat + size], [lng, lat]]],
+});
+
+const toFeature = (properties, geometry) => ({ type: 'Feature', properties, geometry });
+
+const SITES = {
+  type: 'FeatureCollection',
+  features: [
+    toFeature({ siteID: 'ABBY', priority: 1, areaKm2: 1.5 }, square(-122.4, 45.7)),
+    toFeature({ siteID: 'ABBY', priority: 2, areaKm2: 0.5 }, square(-122.2, 45.7, 0.05)),
+    toFeature({ siteID: 'BART', priority: 1, areaKm2: 3 }, square(-71.3, 44)),
+    toFeature({ siteID: 'ABBY' }, { type: 'Point', coordinates: [-122.33, 45.76] }),
+    toFeature({ siteID: 'CPER' }, { type: 'Point', coordinates: [-104.75, 40.82] }),
+  ],
+};
+
+const LINES = {
+  type: 'FeatureCollection',
+  features: [
+    toFeature({ siteID: 'BART' }, { type: 'LineString', coordinates: [[-71.29, 44.01], [-71.25, 44.05], [-71.22, 44.06]] }),
+  ],
+};
+
+const writeZip = async (fileName, geojson, types) => {
+  const zip = await shpWrite.zip(geojson, { outputType: 'nodebuffer', types });
+  fs.writeFileSync(path.join(__dirname, fileName), zip);
+};
+
+(async () => {
+  await writeZip('sites.zip', SITES, { polygon: 'boundaries', point: 'points' });
+  await writeZip('lines.zip', LINES, { polyline: 'lines' });
+})();
@@ -0,0 +1,62 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+  pointInPolygon,
+  segmentsIntersect,
+  simplify,
+  simplifyGeometry,
+} = require('../geometry');
+
+// A shell with a narrow bump down to y = -3 that Douglas-Peucker alone drops at a tolerance of 3.5
+const SHELL = [[0, 0], [5, -3], [10, 0], [10, 10], [0, 10], [0, 0]];
+
+const getSegments = ring => ring.slice(1).map((position, i) => [ring[i], position]);
+
+// Whether any segment of one ring crosses a segment of the other
+const ringsCross = (a, b) => getSegments(a).some(([p, q]) => (
+  getSegments(b).some(([r, s]) => segmentsIntersect(p, q, r, s))
+));
+
+describe('geometry.js', () => {
+  describe('simplify', () => {
+    it('simplifies rings with Douglas-Peucker', () => {
+      const simplified = simplifyGeometry({ type: 'Polygon', coordinates: [SHELL] }, 3.5);
+      assert.deepStrictEqual(simplified.coordinates, [[[0, 0], [10, 0], [10, 10], [0, 10], [0, 0]]]);
+    });
+
+    it('keeps a hole from crossing its shell', () => {
+      const hole = [[4, -1], [6, -1], [6, 1], [4, 1], [4, -1]];
+      const simplified = simplifyGeometry({ type: 'Polygon', coordinates: [SHELL, hole] }, 3.5);
+      const [shell, simplifiedHole] = simplified.coordinates;
+      assert.ok(!ringsCross(shell, simplifiedHole));
+      assert.deepStrictEqual(simplifiedHole, hole);
+      assert.deepStrictEqual(shell, SHELL);
+    });
+
+    it('keeps a hole inside its shell', () => {
+      const hole = [[4, -2], [5, -2.6], [6, -2], [4, -2]];
+      const simplified = simplifyGeometry({ type: 'Polygon', coordinates: [SHELL, hole] }, 3.5);
+      const [shell, simplifiedHole] = simplified.coordinates;
+      assert.ok(simplifiedHole.every(position => pointInPolygon(position, [shell])));
+    });
+
+    it('keeps the boundaries shared between features', () => {
+      const above = [[0, 0], [5, 0.1], [10, 0], [10, 1], [0, 1], [0, 0]];
+      const below = [[0, 0], [0, -1], [10, -1], [10, 0], [5, 0.1], [0, 0]];
+      const toFeature = ring => ({ type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [ring] } });
+      const simplified = simplify({ type: 'FeatureCollection', features: [above, below].map(toFeature) }, 0.5);
+      assert.deepStrictEqual(simplified.features.map(feature => feature.geometry.coordinates), [
+        [[[0, 0], [10, 0], [10, 1], [0, 1], [0, 0]]],
+        [[[0, 0], [0, -1], [10, -1], [10, 0], [0, 0]]],
+      ]);
+    });
+
+    it('never reduces a ring below four positions', () => {
+      const ring = [[0, 0], [1, 0.01], [2, 0], [1, 0.02], [0, 0]];
+      const simplified = simplifyGeometry({ type: 'Polygon', coordinates: [ring] }, 10);
+      assert.strictEqual(simplified.coordinates[0].length, 4);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const fetch = require('node-fetch');
+
+const { AssetBuilder } = require('../build');
+const { createApp } = require('../app');
+const {
+  buildGeneration,
+  configureCache,
+  loadCacheState,
+  setCurrentGeneration,
+} = require('../cache');
+const log = require('../logger');
+
+// Build and request logs would bury the test output
+log.silent = true;
+
+const FIXTURES_PATH = path.join(__dirname, 'fixtures');
+const FIXTURE_CONFIG_PATH = path.join(FIXTURES_PATH, 'feature-sources.json');
+
+const makeTempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'arcgis-assets-test-'));
+
+const removeTempDir = (dir) => fs.rmSync(dir, { recursive: true, force: true });
+
+// Build the fixture sources into outDir as build.js would from the command line
+const buildFixtures = async (outDir, options = {}) => {
+  const assetBuilder = new AssetBuilder({
+    config: FIXTURE_CONFIG_PATH,
+    sourceDir: FIXTURES_PATH,
+    outDir,
+    ...options,
+  });
+  await assetBuilder.run();
+  return assetBuilder;
+};
+
+const readJSON = (...parts) => JSON.parse(fs.readFileSync(path.join(...parts), 'utf8'));
+
+/**
+   In-process server
+   Cache the asset tree in dataDir as the given generation of the (already configured) cache
+   store and serve it from an app on a random port, built with any other createApp options given.
+   Resolves to { baseUrl, request, close } where request(path, options) is fetch against the server.
+*/
+const startServer = async (dataDir, generation, appOptions = {}) => {
+  configureCache({ dataDir });
+  const { error } = await buildGeneration(generation);
+  if (error) { throw new Error(error); }
+  await setCurrentGeneration(generation);
+  const cacheState = await loadCacheState(generation);
+  const app = createApp({ getCacheState: () => cacheState, logRequests: false, ...appOptions });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  return {
+    baseUrl,
+    request: (requestPath, options) => fetch(`${baseUrl}${requestPath}`, options),
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+};
+
+module.exports = {
+  FIXTURES_PATH,
+  FIXTURE_CONFIG_PATH,
+  buildFixtures,
+  makeTempDir,
+  readJSON,
+  removeTempDir,
+  startServer,
+};
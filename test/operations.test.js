@@ -0,0 +1,104 @@
+'use strict';
+
+const assert = require('assert');
+
+const { getArea } = require('../geometry');
+const {
+  bufferGeometry,
+  getGeodesicDistance,
+  getGeodesicLength,
+  measureGeometry,
+  overlayGeometries,
+} = require('../operations');
+
+const square = (lng, lat, size) => ({
+  type: 'Polygon',
+  coordinates: [[[lng, lat], [lng + size, lat], [lng + size, lat + size], [lng, lat + size], [lng, lat]]],
+});
+
+// Asserts actual is within a relative tolerance of expected
+const assertClose = (actual, expected, tolerance) => {
+  assert.ok(Math.abs(actual - expected) <= Math.abs(expected) * tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+};
+
+// Coordinates rounded clear of floating point error
+const roundCoordinates = coords => (Array.isArray(coords) ? coords.map(roundCoordinates) : Math.round(coords * 1e9) / 1e9);
+
+describe('operations.js', () => {
+  describe('geodesic measurement', () => {
+    it('measures distances on the WGS 84 ellipsoid', () => {
+      // One degree of longitude along the equator is the equatorial radius times pi / 180
+      assertClose(getGeodesicDistance([0, 0], [1, 0]), 111319.49, 1e-7);
+      // One degree of latitude from the equator
+      assertClose(getGeodesicDistance([0, 0], [0, 1]), 110574.39, 1e-7);
+      assert.strictEqual(getGeodesicDistance([10, 10], [10, 10]), 0);
+    });
+
+    it('measures areas on the WGS 84 ellipsoid', () => {
+      // A one degree square on the equator
+      assertClose(getArea(square(0, 0, 1)), 12308778361, 1e-4);
+      const withHole = { type: 'Polygon', coordinates: [...square(0, 0, 1).coordinates, ...square(0.25, 0.25, 0.5).coordinates] };
+      assertClose(getArea(withHole), getArea(square(0, 0, 1)) * 0.75, 1e-3);
+    });
+
+    it('measures lengths of lines and perimeters of polygons', () => {
+      assertClose(getGeodesicLength({ type: 'LineString', coordinates: [[0, 0], [1, 0], [1, 1]] }), 111319.49 + 110575.06, 1e-5);
+      assertClose(getGeodesicLength(square(0, 0, 1)), 4 * 111000, 0.01);
+      assert.strictEqual(getGeodesicLength({ type: 'Point', coordinates: [0, 0] }), 0);
+    });
+  });
+
+  describe('overlayGeometries', () => {
+    const a = square(0, 0, 0.02);
+    const b = square(0.01, 0, 0.02);
+    const line = { type: 'LineString', coordinates: [[-0.01, 0.01], [0.05, 0.01]] };
+
+    it('overlays polygons', () => {
+      const area = measureGeometry(a).areaKm2;
+      assertClose(measureGeometry(overlayGeometries('intersection', a, b)).areaKm2, area / 2, 1e-3);
+      assertClose(measureGeometry(overlayGeometries('union', a, b)).areaKm2, area * 1.5, 1e-3);
+      assertClose(measureGeometry(overlayGeometries('difference', a, b)).areaKm2, area / 2, 1e-3);
+      assert.strictEqual(overlayGeometries('intersection', a, square(1, 1, 0.01)), null);
+    });
+
+    it('clips lines by polygons', () => {
+      const inside = overlayGeometries('intersection', line, a);
+      assert.strictEqual(inside.type, 'LineString');
+      assert.deepStrictEqual(roundCoordinates(inside.coordinates), [[0, 0.01], [0.02, 0.01]]);
+      const outside = overlayGeometries('difference', line, a);
+      assert.strictEqual(outside.type, 'MultiLineString');
+      assert.deepStrictEqual(roundCoordinates(outside.coordinates), [[[-0.01, 0.01], [0, 0.01]], [[0.02, 0.01], [0.05, 0.01]]]);
+    });
+
+    it('unions geometries of different dimensions as a GeometryCollection', () => {
+      const union = overlayGeometries('union', line, a);
+      assert.strictEqual(union.type, 'GeometryCollection');
+      assert.deepStrictEqual(union.geometries.map(({ type }) => type), ['Polygon', 'MultiLineString']);
+    });
+
+    it('finds where lines cross', () => {
+      const crossing = { type: 'LineString', coordinates: [[0, 0], [0, 0.02]] };
+      assert.deepStrictEqual(overlayGeometries('intersection', line, crossing), { type: 'Point', coordinates: [0, 0.01] });
+    });
+
+    it('only subtracts polygons from lines', () => {
+      assert.strictEqual(overlayGeometries('difference', line, line), line);
+    });
+  });
+
+  describe('bufferGeometry', () => {
+    it('buffers lines by round capped sausages', () => {
+      const { geometry } = bufferGeometry({ type: 'LineString', coordinates: [[0, 0], [0.01, 0]] }, 100);
+      const length = getGeodesicDistance([0, 0], [0.01, 0]);
+      // A rectangle plus a circle
+      assertClose(getArea(geometry), (length * 200) + (Math.PI * 100 * 100), 0.01);
+    });
+
+    it('shrinks polygons by negative distances', () => {
+      const { geometry } = bufferGeometry(square(0, 0, 0.01), -100);
+      const side = getGeodesicDistance([0, 0], [0.01, 0]) - 200;
+      assertClose(getArea(geometry), side * side, 0.01);
+      assert.strictEqual(bufferGeometry(square(0, 0, 0.01), -1000).geometry, null);
+    });
+  });
+});
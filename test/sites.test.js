@@ -0,0 +1,67 @@
+'use strict';
+
+const assert = require('assert');
+
+const {
+  normalizeSiteCode,
+  resolveSiteCode,
+  suggestSiteCodes,
+  validateSiteAliases,
+} = require('../sites');
+
+const SITES = {
+  ABBY: ['BOUNDARIES', 'POINTS'],
+  BART: ['BOUNDARIES', 'LINES'],
+  HARV: ['BOUNDARIES'],
+  HOPB: ['LINES'],
+};
+
+describe('sites.js', () => {
+  describe('normalizeSiteCode', () => {
+    it('strips extensions and domains and upper cases', () => {
+      ['harv', ' HARV ', 'HARV.json', 'harv.GeoJSON', 'D01-HARV', 'd01_harv.json', 'D01:Harv'].forEach((value) => {
+        assert.strictEqual(normalizeSiteCode(value), 'HARV', value);
+      });
+      assert.strictEqual(normalizeSiteCode('DO1-HARV'), 'DO1-HARV');
+    });
+  });
+
+  describe('resolveSiteCode', () => {
+    it('resolves normalized codes and aliases among the given site codes only', () => {
+      const siteCodes = ['BART', 'HARV'];
+      assert.strictEqual(resolveSiteCode('d01-harv', siteCodes), 'HARV');
+      assert.strictEqual(resolveSiteCode('oldb', siteCodes, { OLDB: 'BART' }), 'BART');
+      assert.strictEqual(resolveSiteCode('abby', siteCodes), null);
+      assert.strictEqual(resolveSiteCode('oldb', siteCodes, { OLDB: 'ABBY' }), null);
+    });
+  });
+
+  describe('suggestSiteCodes', () => {
+    it('suggests up to three site codes within two edits, closest first', () => {
+      assert.deepStrictEqual(suggestSiteCodes('HRAV', Object.keys(SITES)), ['HARV']);
+      assert.deepStrictEqual(suggestSiteCodes('hopv', Object.keys(SITES)), ['HOPB', 'HARV']);
+      assert.deepStrictEqual(suggestSiteCodes('BARV', Object.keys(SITES)), ['BART', 'HARV']);
+      assert.deepStrictEqual(suggestSiteCodes('ABBX', ['ABBD', 'ABBC', 'ABBB', 'ABBA']), ['ABBA', 'ABBB', 'ABBC']);
+      assert.deepStrictEqual(suggestSiteCodes('XXXXXX', Object.keys(SITES)), []);
+    });
+  });
+
+  describe('validateSiteAliases', () => {
+    it('keeps aliases for current sites, keyed by normalized code', () => {
+      const { siteAliases, errors } = validateSiteAliases({ oldh: 'HARV', 'D01-OLDB': 'BART' }, SITES);
+      assert.deepStrictEqual(siteAliases, { OLDH: 'HARV', OLDB: 'BART' });
+      assert.deepStrictEqual(errors, []);
+    });
+
+    it('leaves out aliases that are current sites or lead nowhere', () => {
+      const { siteAliases, errors } = validateSiteAliases({ harv: 'BART', GONE: 'NOPE', NULL: null }, SITES);
+      assert.deepStrictEqual(siteAliases, {});
+      assert.deepStrictEqual(errors, [
+        'Alias harv is a current site code',
+        'Alias GONE is for NOPE, which is not a current site code',
+        'Alias NULL is for null, which is not a current site code',
+      ]);
+      assert.deepStrictEqual(validateSiteAliases([], SITES).errors, ['site-aliases.json must be an object of site codes']);
+    });
+  });
+});
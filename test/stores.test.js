@@ -0,0 +1,241 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  buildGeneration,
+  configureCache,
+  getAssetData,
+  getPartsData,
+} = require('../cache');
+const {
+  FILE_STORE_DIR_NAME,
+  createFileStore,
+  createMemoryStore,
+  getStoreConfig,
+} = require('../stores');
+const {
+  buildFixtures,
+  makeTempDir,
+  removeTempDir,
+  startServer,
+} = require('./helpers');
+
+const API_ROOT = '/api/v0/arcgis-assets';
+
+// Every store keeps Buffers as Buffers and everything else as JSON would
+const assertRoundTrips = async (store) => {
+  await store.store('g1.features', { BOUNDARIES: ['BART'] });
+  await store.store('g1.BOUNDARIES.BART', Buffer.from('asset'));
+  await store.store('generation', 1);
+  assert.deepStrictEqual(await store.read('g1.features'), { BOUNDARIES: ['BART'] });
+  assert.deepStrictEqual(await store.read('g1.BOUNDARIES.BART'), Buffer.from('asset'));
+  assert.strictEqual(await store.read('generation'), 1);
+  assert.strictEqual(await store.read('nope'), undefined);
+  assert.deepStrictEqual((await store.keys()).sort(), ['g1.BOUNDARIES.BART', 'g1.features', 'generation']);
+  await store.remove(['g1.features', 'g1.BOUNDARIES.BART']);
+  assert.deepStrictEqual(await store.keys(), ['generation']);
+};
+
+describe('stores.js', () => {
+  describe('getStoreConfig', () => {
+    it('defaults to the memored store', () => {
+      assert.deepStrictEqual(getStoreConfig({}), { type: 'memored' });
+    });
+
+    it('reads the memory budget and file store directory', () => {
+      assert.deepStrictEqual(
+        getStoreConfig({ CACHE_STORE: 'memory', CACHE_MEMORY_BUDGET_MB: '1.5' }),
+        { type: 'memory', maxBytes: 1572864 },
+      );
+      assert.deepStrictEqual(getStoreConfig({ CACHE_STORE: 'memory' }), { type: 'memory' });
+      assert.deepStrictEqual(
+        getStoreConfig({ CACHE_STORE: 'file', CACHE_DIR: '/tmp/cache' }),
+        { type: 'file', dir: '/tmp/cache' },
+      );
+    });
+
+    it('throws on unknown stores and invalid budgets', () => {
+      assert.throws(() => getStoreConfig({ CACHE_STORE: 'redis' }), /Invalid CACHE_STORE "redis"/);
+      assert.throws(
+        () => getStoreConfig({ CACHE_STORE: 'memory', CACHE_MEMORY_BUDGET_MB: '-1' }),
+        /Invalid CACHE_MEMORY_BUDGET_MB "-1"/,
+      );
+    });
+  });
+
+  describe('createMemoryStore', () => {
+    it('stores, reads, lists and removes values', async () => {
+      const store = createMemoryStore();
+      assert.strictEqual(store.isShared, false);
+      assert.strictEqual(store.evicts, false);
+      await assertRoundTrips(store);
+    });
+
+    it('evicts the least recently read Buffers once over its budget', async () => {
+      const store = createMemoryStore({ maxBytes: 10 });
+      assert.strictEqual(store.evicts, true);
+      await store.store('features', { BOUNDARIES: ['BART'] });
+      await store.store('a', Buffer.alloc(4));
+      await store.store('b', Buffer.alloc(4));
+      await store.read('a');
+      await store.store('c', Buffer.alloc(4));
+      assert.deepStrictEqual((await store.keys()).sort(), ['a', 'c', 'features']);
+      assert.strictEqual(store.size(), 8);
+      await store.store('a', Buffer.alloc(2));
+      assert.strictEqual(store.size(), 6);
+      await store.store('d', Buffer.alloc(20));
+      assert.deepStrictEqual((await store.keys()).sort(), ['features']);
+      assert.strictEqual(store.size(), 0);
+    });
+  });
+
+  describe('createFileStore', () => {
+    let dir;
+
+    beforeEach(() => { dir = path.join(makeTempDir(), 'cache'); });
+
+    afterEach(() => removeTempDir(path.dirname(dir)));
+
+    it('stores, reads, lists and removes values', async () => {
+      const store = createFileStore({ dir });
+      assert.strictEqual(store.isShared, true);
+      assert.deepStrictEqual(await store.keys(), []);
+      await assertRoundTrips(store);
+    });
+
+    it('replaces a value stored as the other kind', async () => {
+      const store = createFileStore({ dir });
+      await store.store('key', Buffer.from('asset'));
+      await store.store('key', { asset: false });
+      assert.deepStrictEqual(await store.read('key'), { asset: false });
+      assert.deepStrictEqual(fs.readdirSync(path.join(dir, FILE_STORE_DIR_NAME)), ['key.json']);
+    });
+
+    it('shares values between stores on the same directory and clears them', async () => {
+      await createFileStore({ dir }).store('generation', 2);
+      const store = createFileStore({ dir });
+      assert.strictEqual(await store.read('generation'), 2);
+      await store.clear();
+      assert.strictEqual(await store.read('generation'), undefined);
+      assert.deepStrictEqual(await store.keys(), []);
+    });
+
+    it('clears only its own cache files', async () => {
+      const storeDir = path.join(dir, FILE_STORE_DIR_NAME);
+      fs.mkdirSync(path.join(storeDir, 'nested'), { recursive: true });
+      fs.writeFileSync(path.join(dir, 'keep.json'), '{}');
+      fs.writeFileSync(path.join(storeDir, 'keep.txt'), '');
+      fs.writeFileSync(path.join(storeDir, 'generation.json.1.1.tmp'), '');
+      const store = createFileStore({ dir });
+      await store.store('key', Buffer.from('asset'));
+      await store.clear();
+      assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['keep.json', FILE_STORE_DIR_NAME]);
+      assert.deepStrictEqual(fs.readdirSync(storeDir).sort(), ['keep.txt', 'nested']);
+      assert.deepStrictEqual(await store.keys(), []);
+    });
+  });
+
+  describe('cache.js over other stores', () => {
+    let dataDir;
+
+    before(async () => {
+      dataDir = makeTempDir();
+      await buildFixtures(dataDir);
+    });
+
+    after(() => {
+      configureCache({ store: createMemoryStore() });
+      removeTempDir(dataDir);
+    });
+
+    it('precomputes every asset variant when the cache warms', async () => {
+      const store = createMemoryStore();
+      configureCache({ store, dataDir });
+      await buildGeneration(1);
+      const assetKeys = (await store.keys()).filter(key => key.startsWith('g1.BOUNDARIES.BART.'));
+      ['', '.lnglat'].forEach((axisOrder) => {
+        ['', '.z4', '.z6', '.z8', '.z10', '.z12'].forEach((zoom) => {
+          ['', '.gzip', '.br'].forEach((encoding) => {
+            const key = `g1.BOUNDARIES.BART${axisOrder}${zoom}${encoding}`;
+            assert.ok(key === 'g1.BOUNDARIES.BART' || assetKeys.includes(key), key);
+          });
+        });
+      });
+      assert.strictEqual(await getAssetData(1, 'BOUNDARIES', 'BART', { zoom: 5 }), undefined);
+    });
+
+    it('rebuilds assets, asset variants and parts evicted by the memory budget', async () => {
+      const fullStore = createMemoryStore();
+      configureCache({ store: fullStore, dataDir });
+      await buildGeneration(1);
+      const variant = { axisOrder: 'lnglat', zoom: 8, encoding: 'gzip' };
+      const expected = await getAssetData(1, 'BOUNDARIES', 'BART', variant);
+
+      const store = createMemoryStore({ maxBytes: 1 });
+      configureCache({ store });
+      await buildGeneration(1);
+      assert.strictEqual(store.size(), 0);
+      const [assetData, concurrentData] = await Promise.all([
+        getAssetData(1, 'BOUNDARIES', 'BART', variant),
+        getAssetData(1, 'BOUNDARIES', 'BART', variant),
+      ]);
+      assert.strictEqual(assetData, concurrentData);
+      assert.ok(assetData.equals(expected));
+      assert.ok(JSON.parse(await getPartsData(1, 'BOUNDARIES', 'BART')).features.length);
+      assert.strictEqual(await getAssetData(1, 'BOUNDARIES', 'NOPE'), undefined);
+    });
+
+    it('does not rebuild evicted assets from files changed since the generation was built', async () => {
+      configureCache({ store: createMemoryStore({ maxBytes: 1 }), dataDir });
+      await buildGeneration(1);
+      const assetPath = path.join(dataDir, 'assets', 'BOUNDARIES', 'BART.json');
+      const assetData = fs.readFileSync(assetPath);
+      fs.writeFileSync(assetPath, '{}');
+      try {
+        assert.strictEqual(await getAssetData(1, 'BOUNDARIES', 'BART'), undefined);
+      } finally {
+        fs.writeFileSync(assetPath, assetData);
+      }
+      assert.ok((await getAssetData(1, 'BOUNDARIES', 'BART')).equals(assetData));
+    });
+
+    it('rejects asset reads the store fails rather than treating them as misses', async () => {
+      const store = createMemoryStore();
+      configureCache({ store, dataDir });
+      await buildGeneration(1);
+      store.read = async () => { throw new Error('Store unavailable'); };
+      await assert.rejects(getAssetData(1, 'BOUNDARIES', 'BART', { axisOrder: 'lnglat' }), /Store unavailable/);
+    });
+
+    it('fails a generation with a malformed versions.json', async () => {
+      configureCache({ store: createMemoryStore(), dataDir });
+      const versionsPath = path.join(dataDir, 'versions', 'versions.json');
+      const versionsData = fs.readFileSync(versionsPath);
+      fs.writeFileSync(versionsPath, '[{');
+      try {
+        const { error } = await buildGeneration(1);
+        assert.match(error, /versions\.json malformed/);
+      } finally {
+        fs.writeFileSync(versionsPath, versionsData);
+      }
+      assert.strictEqual((await buildGeneration(1)).error, undefined);
+    });
+
+    it('serves a generation from a file store', async () => {
+      const cacheDir = path.join(dataDir, 'cache');
+      configureCache({ store: createFileStore({ dir: cacheDir }) });
+      const server = await startServer(dataDir, 1);
+      try {
+        const res = await server.request(`${API_ROOT}/BOUNDARIES/BART`);
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual((await res.json()).properties.siteCode, 'BART');
+        assert.ok(fs.existsSync(path.join(cacheDir, FILE_STORE_DIR_NAME, 'g1.BOUNDARIES.BART.br.bin')));
+      } finally {
+        await server.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const assert = require('assert');
+
+const { ISSUES, validateSiteGeometry } = require('../validation');
+
+const square = (x, y, size) => [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]];
+
+// Clockwise, as holes are wound
+const hole = (x, y, size) => square(x, y, size).reverse();
+
+const getIssue = (result, code) => result.issues.find(issue => issue.code === code);
+
+describe('validation.js', () => {
+  describe('validateSiteGeometry', () => {
+    it('leaves valid holes alone', () => {
+      const result = validateSiteGeometry([{ type: 'Polygon', coordinates: [square(0, 0, 10), hole(2, 2, 2), hole(4, 4, 2)] }]);
+      assert.deepStrictEqual(result.issues, []);
+      assert.deepStrictEqual(result.geometry.coordinates, [square(0, 0, 10), hole(2, 2, 2), hole(4, 4, 2)]);
+    });
+
+    it('subtracts holes crossing or outside their shell', () => {
+      const crossing = validateSiteGeometry([{ type: 'Polygon', coordinates: [square(0, 0, 10), hole(4, -1, 2)] }]);
+      assert.ok(getIssue(crossing, ISSUES.INVALID_HOLE).repaired);
+      assert.strictEqual(crossing.valid, true);
+      assert.deepStrictEqual(crossing.geometry, {
+        type: 'Polygon',
+        coordinates: [[[0, 0], [4, 0], [4, 1], [6, 1], [6, 0], [10, 0], [10, 10], [0, 10], [0, 0]]],
+      });
+
+      const outside = validateSiteGeometry([{ type: 'Polygon', coordinates: [square(0, 0, 10), hole(20, 20, 2)] }]);
+      assert.ok(getIssue(outside, ISSUES.INVALID_HOLE).repaired);
+      assert.deepStrictEqual(outside.geometry.coordinates, [square(0, 0, 10)]);
+
+      // Within the bbox of a U-shaped shell, but in its notch
+      const notched = [[0, 0], [10, 0], [10, 10], [7, 10], [7, 3], [3, 3], [3, 10], [0, 10], [0, 0]];
+      const inNotch = validateSiteGeometry([{ type: 'Polygon', coordinates: [notched, hole(4, 5, 2)] }]);
+      assert.ok(getIssue(inNotch, ISSUES.INVALID_HOLE).repaired);
+      assert.strictEqual(inNotch.geometry.coordinates.length, 1);
+    });
+
+    it('merges overlapping polygons into their union', () => {
+      const result = validateSiteGeometry([
+        { type: 'Polygon', coordinates: [square(0, 0, 2)] },
+        { type: 'Polygon', coordinates: [square(1, 1, 2)] },
+        { type: 'Polygon', coordinates: [square(10, 10, 1)] },
+      ]);
+      assert.ok(getIssue(result, ISSUES.OVERLAPPING_POLYGONS).repaired);
+      assert.strictEqual(result.valid, true);
+      assert.strictEqual(result.geometry.type, 'MultiPolygon');
+      assert.strictEqual(result.geometry.coordinates.length, 2);
+      assert.ok(result.geometry.coordinates.some(([outer]) => outer.length === 9));
+    });
+
+    it('leaves polygons that only share boundaries apart', () => {
+      const result = validateSiteGeometry([
+        { type: 'Polygon', coordinates: [square(0, 0, 1)] },
+        { type: 'Polygon', coordinates: [square(1, 0, 1)] },
+      ]);
+      assert.strictEqual(getIssue(result, ISSUES.OVERLAPPING_POLYGONS), undefined);
+      assert.deepStrictEqual(result.geometry.coordinates, [[square(0, 0, 1)], [square(1, 0, 1)]]);
+    });
+
+    it('records where each invalid or out of range position is', () => {
+      const withHole = [square(0, 0, 10), [[2, 2], [2, 4], ['x', 3], [4, 4], [4, 2], [2, 2]]];
+      const repaired = validateSiteGeometry([
+        { type: 'Polygon', coordinates: [square(20, 20, 1)] },
+        { type: 'Polygon', coordinates: withHole },
+      ]);
+      assert.deepStrictEqual(getIssue(repaired, ISSUES.INVALID_POSITION).locations, [
+        { polygon: 1, ring: 1, position: 2, value: ['x', 3] },
+      ]);
+      assert.strictEqual(repaired.valid, true);
+
+      const outOfRange = validateSiteGeometry([{ type: 'LineString', coordinates: [[0, 0], [181, 0]] }]);
+      assert.deepStrictEqual(getIssue(outOfRange, ISSUES.OUT_OF_RANGE).locations, [
+        { line: 0, position: 1, value: [181, 0] },
+      ]);
+      assert.strictEqual(outOfRange.valid, false);
+    });
+  });
+});
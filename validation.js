@@ -0,0 +1,376 @@
+'use strict';
+
+const ClipperLib = require('clipper-lib');
+const polygonClipping = require('polygon-clipping');
+
+const {
+  LINEAR_TYPES,
+  POINT_TYPES,
+  POLYGONAL_TYPES,
+  bboxesIntersect,
+  getBBox,
+  isPosition,
+  pointInPolygon,
+  samePosition,
+  segmentsIntersect,
+} = require('./geometry');
+
+/**
+   Geometry validation
+   build.js passes every part of a site's source geometry (in source [lng, lat] order) through
+   validateSiteGeometry before writing the site. Problems that can be fixed without guessing are
+   repaired and reported; anything else is reported as an error and the site is not written.
+*/
+const ISSUES = {
+  MULTI_PART_PROMOTION: 'MULTI_PART_PROMOTION',
+  MIXED_GEOMETRY_TYPES: 'MIXED_GEOMETRY_TYPES',
+  UNSUPPORTED_TYPE: 'UNSUPPORTED_TYPE',
+  INVALID_POSITION: 'INVALID_POSITION',
+  OUT_OF_RANGE: 'OUT_OF_RANGE',
+  DUPLICATE_POSITION: 'DUPLICATE_POSITION',
+  UNCLOSED_RING: 'UNCLOSED_RING',
+  DEGENERATE_RING: 'DEGENERATE_RING',
+  DEGENERATE_LINE: 'DEGENERATE_LINE',
+  SELF_INTERSECTION: 'SELF_INTERSECTION',
+  INVALID_HOLE: 'INVALID_HOLE',
+  OVERLAPPING_POLYGONS: 'OVERLAPPING_POLYGONS',
+  WINDING_ORDER: 'WINDING_ORDER',
+  EMPTY_GEOMETRY: 'EMPTY_GEOMETRY',
+};
+
+const ISSUE_MESSAGES = {
+  [ISSUES.MULTI_PART_PROMOTION]: 'Multiple source parts combined into one geometry, promoted to Multi* where needed',
+  [ISSUES.MIXED_GEOMETRY_TYPES]: 'Source parts mix points, lines and/or polygons',
+  [ISSUES.UNSUPPORTED_TYPE]: 'Source geometry type is not supported',
+  [ISSUES.INVALID_POSITION]: 'Positions without two or three finite numbers removed',
+  [ISSUES.OUT_OF_RANGE]: 'Positions outside longitude [-180, 180] / latitude [-90, 90]',
+  [ISSUES.DUPLICATE_POSITION]: 'Consecutive duplicate positions removed',
+  [ISSUES.UNCLOSED_RING]: 'Unclosed rings closed by repeating their first position',
+  [ISSUES.DEGENERATE_RING]: 'Rings with fewer than four positions or no area removed',
+  [ISSUES.DEGENERATE_LINE]: 'Lines with fewer than two distinct positions removed',
+  [ISSUES.SELF_INTERSECTION]: 'Self-intersecting polygons rebuilt from their non-zero winding area',
+  [ISSUES.INVALID_HOLE]: 'Holes crossing or outside their shell, or overlapping each other, subtracted from the shell',
+  [ISSUES.OVERLAPPING_POLYGONS]: 'Overlapping polygons merged into their union',
+  [ISSUES.WINDING_ORDER]: 'Rings rewound to counterclockwise exteriors and clockwise holes',
+  [ISSUES.EMPTY_GEOMETRY]: 'No valid geometry remains',
+};
+
+// Counts occurrences of each issue code, noting whether they were repaired. Issues with individual
+// positions also list where each one is (see locatePositions).
+const createIssueLog = () => {
+  const entries = {};
+  return {
+    add: (code, repaired, count = 1, locations = []) => {
+      if (!entries[code]) { entries[code] = { code, repaired, count: 0, message: ISSUE_MESSAGES[code] }; }
+      entries[code].count += count;
+      if (locations.length) { entries[code].locations = (entries[code].locations || []).concat(locations); }
+    },
+    list: () => Object.values(entries),
+  };
+};
+
+const isValidPosition = position => (
+  isPosition(position)
+    && (position.length === 2 || position.length === 3)
+    && position.every(Number.isFinite)
+);
+
+const isInRange = ([x, y]) => x >= -180 && x <= 180 && y >= -90 && y <= 90;
+
+// Remove invalid (already recorded by validateSiteGeometry) and consecutive duplicate positions
+// from a line or ring
+const cleanLine = (line, issues) => {
+  const cleaned = [];
+  (Array.isArray(line) ? line : []).forEach((position) => {
+    if (!isValidPosition(position)) { return; }
+    if (cleaned.length && samePosition(cleaned[cleaned.length - 1], position)) {
+      issues.add(ISSUES.DUPLICATE_POSITION, true);
+      return;
+    }
+    cleaned.push(position);
+  });
+  return cleaned;
+};
+
+// Shoelace formula; positive for counterclockwise rings
+const getRingArea = (ring) => {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += (ring[i][0] * ring[i + 1][1]) - (ring[i + 1][0] * ring[i][1]);
+  }
+  return area / 2;
+};
+
+// Whether any two segments of the rings, other than neighbours in the same ring, intersect. Sweep
+// segments sorted by min x so only segments with overlapping x extents are compared. Given
+// betweenRings, only segments of different rings are compared.
+const ringsIntersect = (rings, betweenRings = false) => {
+  const segments = [];
+  rings.forEach((ring, r) => {
+    for (let i = 0; i < ring.length - 1; i++) {
+      const [a, b] = [ring[i], ring[i + 1]];
+      segments.push({ r, i, a, b, minX: Math.min(a[0], b[0]), maxX: Math.max(a[0], b[0]) });
+    }
+  });
+  segments.sort((s, t) => s.minX - t.minX);
+  for (let j = 0; j < segments.length; j++) {
+    const s = segments[j];
+    for (let k = j + 1; k < segments.length && segments[k].minX <= s.maxX; k++) {
+      const t = segments[k];
+      const gap = Math.abs(s.i - t.i);
+      // Neighbouring segments (including the last and first) always share an endpoint
+      const isNeighbour = s.r === t.r && (gap === 1 || gap === rings[s.r].length - 2);
+      const isCompared = betweenRings ? s.r !== t.r : !isNeighbour;
+      if (isCompared && segmentsIntersect(s.a, s.b, t.a, t.b)) {
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+const ringSelfIntersects = ring => ringsIntersect([ring]);
+
+const validateRing = (ring, issues) => {
+  const cleaned = cleanLine(ring, issues);
+  if (cleaned.length > 1 && !samePosition(cleaned[0], cleaned[cleaned.length - 1])) {
+    issues.add(ISSUES.UNCLOSED_RING, true);
+    cleaned.push(cleaned[0]);
+  }
+  // Self-intersecting rings (e.g. a bowtie) can have no net area and still be repairable
+  if (cleaned.length < 4 || (getRingArea(cleaned) === 0 && !ringSelfIntersects(cleaned))) {
+    issues.add(ISSUES.DEGENERATE_RING, true);
+    return null;
+  }
+  return cleaned;
+};
+
+const rewindPolygon = (rings, issues) => rings.map((ring, i) => {
+  const area = getRingArea(ring);
+  if ((i === 0 && area < 0) || (i > 0 && area > 0)) {
+    issues.add(ISSUES.WINDING_ORDER, true);
+    return ring.slice().reverse();
+  }
+  return ring;
+});
+
+const getRingBBox = ring => getBBox({ type: 'LineString', coordinates: ring });
+
+const bboxContains = (outer, inner) => (
+  inner[0] >= outer[0] && inner[1] >= outer[1] && inner[2] <= outer[2] && inner[3] <= outer[3]
+);
+
+const getPolygonArea = ([outer, ...holes]) => (
+  Math.abs(getRingArea(outer)) - holes.reduce((area, hole) => area + Math.abs(getRingArea(hole)), 0)
+);
+
+// Holes only take away their own area if each is inside the shell and clear of the others. A
+// hole that may not be (one crossing or touching another ring, or starting outside the shell or
+// inside another hole) is checked by subtracting them all from the shell and comparing areas.
+// Returns the polygons left by the subtraction, or null if the holes are valid.
+const subtractInvalidHoles = ([outer, ...holes]) => {
+  if (!holes.length) { return null; }
+  const bboxes = holes.map(getRingBBox);
+  const isInside = ([x, y], ring, bbox) => bboxContains(bbox, [x, y, x, y]) && pointInPolygon([x, y], [ring]);
+  const mayBeInvalid = ringsIntersect([outer, ...holes], true)
+    || holes.some(([first], i) => (
+      !pointInPolygon(first, [outer])
+        || holes.some((other, j) => i !== j && isInside(first, other, bboxes[j]))
+    ));
+  if (!mayBeInvalid) { return null; }
+  const polygons = polygonClipping.difference([outer], ...holes.map(hole => [hole]));
+  const area = polygons.reduce((total, polygon) => total + getPolygonArea(polygon), 0);
+  const expectedArea = getPolygonArea([outer, ...holes]);
+  return Math.abs(area - expectedArea) > Math.abs(getRingArea(outer)) * 1e-9 ? polygons : null;
+};
+
+// Returns zero or more valid polygons; self-intersection repair can split one polygon into several
+// and subtracting invalid holes can leave several, or none
+const validatePolygon = (rings, issues) => {
+  const [outer, ...holes] = (Array.isArray(rings) ? rings : []).map(ring => validateRing(ring, issues));
+  if (!outer) { return []; }
+  let polygons = [[outer, ...holes.filter(hole => hole)]];
+  if (polygons[0].some(ringSelfIntersects)) {
+    try {
+      polygons = polygonClipping.union(polygons[0]);
+      issues.add(ISSUES.SELF_INTERSECTION, true);
+    } catch (err) {
+      issues.add(ISSUES.SELF_INTERSECTION, false);
+      return [];
+    }
+  } else {
+    try {
+      const subtracted = subtractInvalidHoles(polygons[0]);
+      if (subtracted) {
+        polygons = subtracted;
+        issues.add(ISSUES.INVALID_HOLE, true);
+      }
+    } catch (err) {
+      issues.add(ISSUES.INVALID_HOLE, false);
+      return [];
+    }
+  }
+  return polygons.map(polygon => rewindPolygon(polygon, issues));
+};
+
+/**
+   Overlapping polygons
+   Checked and merged with Clipper rather than polygon-clipping, which can fail outright on
+   polygons that only touch (as neighbouring source parts often do). Clipper works in integers, so
+   positions are scaled to nanodegrees; merged polygons are rounded to them.
+*/
+const CLIPPER_SCALE = 1e9;
+
+// Clipper paths aren't closed by repeating their first position
+const toPath = ring => ring.slice(0, -1).map(([x, y]) => ({ X: Math.round(x * CLIPPER_SCALE), Y: Math.round(y * CLIPPER_SCALE) }));
+
+const fromPath = (path) => {
+  const ring = path.map(({ X, Y }) => [X / CLIPPER_SCALE, Y / CLIPPER_SCALE]);
+  return [...ring, ring[0]];
+};
+
+const clipPolygons = (clipType, subjects, clips = []) => {
+  const clipper = new ClipperLib.Clipper();
+  const { PolyType, PolyFillType } = ClipperLib;
+  subjects.forEach(rings => rings.forEach(ring => clipper.AddPath(toPath(ring), PolyType.ptSubject, true)));
+  clips.forEach(rings => rings.forEach(ring => clipper.AddPath(toPath(ring), PolyType.ptClip, true)));
+  const polyTree = new ClipperLib.PolyTree();
+  clipper.Execute(clipType, polyTree, PolyFillType.pftNonZero, PolyFillType.pftNonZero);
+  // Outer rings are followed by their holes; holes may hold outer rings again
+  const polygons = [];
+  const addOuterRings = node => node.Childs().forEach((outer) => {
+    polygons.push([fromPath(outer.Contour()), ...outer.Childs().map(hole => fromPath(hole.Contour()))]);
+    outer.Childs().forEach(addOuterRings);
+  });
+  addOuterRings(polyTree);
+  return polygons;
+};
+
+const bboxesOverlap = (polygons) => {
+  const bboxes = polygons.map(([outer]) => getRingBBox(outer));
+  return bboxes.some((bbox, i) => bboxes.slice(i + 1).some(other => bboxesIntersect(bbox, other)));
+};
+
+// Overlapping polygons (e.g. source parts drawn over each other) are merged into their union.
+// Polygons only sharing boundaries have a union with the same area as they have between them,
+// and are left as they are. Polygons are already wound (see rewindPolygon) so holes cancel out
+// their shells.
+const mergeOverlappingPolygons = (polygons, issues) => {
+  if (polygons.length < 2 || !bboxesOverlap(polygons)) { return polygons; }
+  const merged = clipPolygons(ClipperLib.ClipType.ctUnion, polygons);
+  // Both measured as Clipper sees them, so rounding doesn't count as a difference
+  const getClipperArea = all => all.reduce((total, rings) => total + rings.reduce(
+    (area, ring, i) => area + ((i === 0 ? 1 : -1) * Math.abs(ClipperLib.Clipper.Area(toPath(ring)))),
+    0,
+  ), 0);
+  const area = getClipperArea(polygons);
+  if (area - getClipperArea(merged) <= area * 1e-9) { return polygons; }
+  issues.add(ISSUES.OVERLAPPING_POLYGONS, merged.length > 0);
+  return merged.map(polygon => rewindPolygon(polygon, createIssueLog()));
+};
+
+const validateLine = (line, issues) => {
+  const cleaned = cleanLine(line, issues);
+  if (cleaned.length < 2) {
+    issues.add(ISSUES.DEGENERATE_LINE, true);
+    return null;
+  }
+  return cleaned;
+};
+
+const GEOMETRY_FAMILIES = [POINT_TYPES, LINEAR_TYPES, POLYGONAL_TYPES];
+
+const getFamily = type => GEOMETRY_FAMILIES.find(types => types.includes(type));
+
+// Single part geometries are wrapped so every part contributes a list of points, lines or polygons
+const getMembers = ({ type, coordinates }) => (
+  type.startsWith('Multi') ? (Array.isArray(coordinates) ? coordinates : []) : [coordinates]
+);
+
+const asArray = value => (Array.isArray(value) ? value : []);
+
+// Every position of a site's members, each with its location among them: { polygon, ring, position }
+// for polygons, { line, position } for lines and { point } for points, all indexes from 0 across
+// every part of the site in order, along with the position's value as given
+const locatePositions = (family, members) => {
+  if (family === POINT_TYPES) {
+    return members.map((value, point) => ({ point, value }));
+  }
+  if (family === LINEAR_TYPES) {
+    return members.flatMap((line, lineIndex) => (
+      asArray(line).map((value, position) => ({ line: lineIndex, position, value }))
+    ));
+  }
+  return members.flatMap((rings, polygon) => asArray(rings).flatMap((ring, ringIndex) => (
+    asArray(ring).map((value, position) => ({ polygon, ring: ringIndex, position, value }))
+  )));
+};
+
+const toGeometry = (family, members) => {
+  const [singleType, multiType] = family;
+  return members.length === 1
+    ? { type: singleType, coordinates: members[0] }
+    : { type: multiType, coordinates: members };
+};
+
+/**
+   Validate and repair all parts of one site
+   Returns the combined, repaired geometry (null if nothing valid remains), a list of issues as
+   { code, repaired, count, message }, and whether every issue was repaired.
+*/
+const validateSiteGeometry = (parts) => {
+  const issues = createIssueLog();
+  const result = (geometry) => {
+    const list = issues.list();
+    return { geometry, issues: list, valid: geometry !== null && list.every(issue => issue.repaired) };
+  };
+
+  const geometries = parts.filter(part => part && part.type);
+  const families = [...new Set(geometries.map(({ type }) => getFamily(type)))];
+  if (families.includes(undefined)) {
+    issues.add(ISSUES.UNSUPPORTED_TYPE, false);
+    return result(null);
+  }
+  if (families.length > 1) {
+    issues.add(ISSUES.MIXED_GEOMETRY_TYPES, false);
+    return result(null);
+  }
+  if (geometries.length > 1) {
+    issues.add(ISSUES.MULTI_PART_PROMOTION, true, geometries.length);
+  }
+
+  const [family] = families;
+  const members = geometries.reduce((all, geometry) => all.concat(getMembers(geometry)), []);
+  const positions = locatePositions(family, members);
+  const invalidPositions = positions.filter(({ value }) => !isValidPosition(value));
+  if (invalidPositions.length) {
+    issues.add(ISSUES.INVALID_POSITION, true, invalidPositions.length, invalidPositions);
+  }
+  const outOfRange = positions.filter(({ value }) => isValidPosition(value) && !isInRange(value));
+  if (outOfRange.length) {
+    issues.add(ISSUES.OUT_OF_RANGE, false, outOfRange.length, outOfRange);
+    return result(null);
+  }
+
+  let valid = [];
+  if (family === POLYGONAL_TYPES) {
+    valid = mergeOverlappingPolygons(
+      members.reduce((polygons, rings) => polygons.concat(validatePolygon(rings, issues)), []),
+      issues,
+    );
+  } else if (family === LINEAR_TYPES) {
+    valid = members.map(line => validateLine(line, issues)).filter(line => line);
+  } else if (family === POINT_TYPES) {
+    valid = members.filter(isValidPosition);
+  }
+  if (!valid.length) {
+    issues.add(ISSUES.EMPTY_GEOMETRY, false);
+    return result(null);
+  }
+  return result(toGeometry(family, valid));
+};
+
+module.exports = {
+  ISSUES,
+  validateSiteGeometry,
+};
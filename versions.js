@@ -0,0 +1,202 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+   Asset Versions
+   Every build (see build.js) records the asset tree it leaves behind as a dated, immutable version
+   in versions/, so assets can still be served as they were at any earlier build:
+     versions/versions.json             every version, oldest first, with a summary of its changes
+     versions/{VERSION}/features.json   features.json as built
+     versions/{VERSION}/manifest.json   the content hash of every asset, keyed as features.json
+     versions/{VERSION}/changes.json    the build's change report (see changes.js), i.e. what
+                                        changed since the previous version
+     versions/objects/{FEATURE}/{SITECODE}.{HASH}.json
+                                        asset files, each written once and shared by every version
+                                        with the same content
+   Versions are named for the UTC date of their build, with a .2, .3... suffix for any later build
+   on the same day. Only versions.json is ever rewritten.
+*/
+const VERSIONS_DIR_NAME = 'versions';
+const OBJECTS_DIR_NAME = 'objects';
+
+// A version name, e.g. 2024-05-01 or 2024-05-01.2
+const VERSION_PATTERN = '^\\d{4}-\\d{2}-\\d{2}(\\.\\d+)?$';
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+
+const getContentHash = data => crypto.createHash('sha1').update(data).digest('hex');
+
+const getVersionsPath = (dataDir, ...parts) => path.join(dataDir, VERSIONS_DIR_NAME, ...parts);
+
+const getObjectPath = (dataDir, feature, siteCode, hash) => (
+  getVersionsPath(dataDir, OBJECTS_DIR_NAME, feature, `${siteCode}.${hash}.json`)
+);
+
+const isNotFound = err => err.code === 'ENOENT';
+
+// The list in versions.json; empty for asset trees built before versions were recorded. Throws
+// if versions.json can't be read or parsed.
+const readVersions = (dataDir) => {
+  let versionsData;
+  try {
+    versionsData = fs.readFileSync(getVersionsPath(dataDir, 'versions.json'), 'utf8');
+  } catch (err) {
+    if (isNotFound(err)) { return []; }
+    throw err;
+  }
+  return JSON.parse(versionsData);
+};
+
+// A date (YYYY-MM-DD) that exists in the calendar
+const isValidDate = (date) => {
+  if (!new RegExp(DATE_PATTERN).test(date)) { return false; }
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+};
+
+// The date a version was built on, without any suffix
+const getVersionDate = version => version.slice(0, 10);
+
+// The latest version built on or before the given date, or null if there was none yet
+const getVersionAsOf = (versions, date) => {
+  const candidates = versions.filter(({ version }) => getVersionDate(version) <= date);
+  return candidates.length ? candidates[candidates.length - 1] : null;
+};
+
+const getNextVersionName = (versions, timestamp) => {
+  const date = new Date(timestamp).toISOString().slice(0, 10);
+  const sameDay = versions.filter(({ version }) => getVersionDate(version) === date).length;
+  return sameDay ? `${date}.${sameDay + 1}` : date;
+};
+
+// Counts of each kind of change per feature, for the version list
+const summarizeChanges = features => Object.keys(features).reduce((acc, feature) => {
+  const {
+    added,
+    removed,
+    geometryChanged,
+    propertiesChanged,
+    minorGeometryChanges,
+    unchanged,
+  } = features[feature];
+  return {
+    ...acc,
+    [feature]: {
+      added: added.length,
+      removed: removed.length,
+      geometryChanged: geometryChanged.length,
+      propertiesChanged: propertiesChanged.length,
+      minorGeometryChanges,
+      unchanged,
+    },
+  };
+}, {});
+
+/**
+   writeVersion
+   Record the assets listed in dataDir's features.json as a new version. changeReport is the build's
+   change report against the previous tree. Assets missing on disk are left out of the manifest, as
+   they are unavailable in the tree itself. Returns the new version's entry in versions.json and
+   the names of any missing assets.
+*/
+const writeVersion = (dataDir, { timestamp, features, changeReport }) => {
+  const versions = readVersions(dataDir);
+  const version = getNextVersionName(versions, timestamp);
+  const manifest = {};
+  const missingAssets = [];
+  Object.keys(features).forEach((feature) => {
+    manifest[feature] = {};
+    features[feature].forEach((siteCode) => {
+      let assetData;
+      try {
+        assetData = fs.readFileSync(path.join(dataDir, 'assets', feature, `${siteCode}.json`));
+      } catch (err) {
+        missingAssets.push(`${feature}.${siteCode}`);
+        return;
+      }
+      const hash = getContentHash(assetData);
+      const objectPath = getObjectPath(dataDir, feature, siteCode, hash);
+      if (!fs.existsSync(objectPath)) {
+        fs.mkdirSync(path.dirname(objectPath), { recursive: true });
+        fs.writeFileSync(objectPath, assetData);
+      }
+      manifest[feature][siteCode] = hash;
+    });
+  });
+  const previousVersion = versions.length ? versions[versions.length - 1].version : null;
+  const changes = {
+    version,
+    previousVersion,
+    timestamp,
+    features: changeReport.features,
+    failedFeatures: changeReport.failedFeatures,
+  };
+  const versionDir = getVersionsPath(dataDir, version);
+  fs.mkdirSync(versionDir, { recursive: true });
+  fs.writeFileSync(path.join(versionDir, 'features.json'), JSON.stringify(features));
+  fs.writeFileSync(path.join(versionDir, 'manifest.json'), JSON.stringify(manifest));
+  fs.writeFileSync(path.join(versionDir, 'changes.json'), JSON.stringify(changes, null, 2));
+  const entry = {
+    version,
+    timestamp,
+    previousVersion,
+    changes: summarizeChanges(changeReport.features),
+    failedFeatures: changeReport.failedFeatures,
+  };
+  fs.writeFileSync(getVersionsPath(dataDir, 'versions.json'), JSON.stringify([...versions, entry], null, 2));
+  return { entry, missingAssets };
+};
+
+/**
+   Reading versions
+   Everything in a version directory is immutable, so each is read from disk once and kept.
+*/
+const versionCache = new Map();
+
+// Resolves to { features, manifest, changes } or null if the version doesn't exist in dataDir;
+// rejects if it can't be read
+const readVersion = async (dataDir, version) => {
+  const versionDir = getVersionsPath(dataDir, version);
+  if (!versionCache.has(versionDir)) {
+    const read = async (fileName) => JSON.parse(await fs.promises.readFile(path.join(versionDir, fileName), 'utf8'));
+    const pending = Promise.all(['features.json', 'manifest.json', 'changes.json'].map(read))
+      .then(([features, manifest, changes]) => ({ features, manifest, changes }))
+      .catch((err) => {
+        versionCache.delete(versionDir);
+        if (isNotFound(err)) { return null; }
+        throw err;
+      });
+    versionCache.set(versionDir, pending);
+  }
+  return versionCache.get(versionDir);
+};
+
+// The hash of an asset in a version's manifest, or null if the version doesn't have it
+const getAssetHash = (manifest, feature, siteCode) => (
+  Object.hasOwn(manifest, feature) && Object.hasOwn(manifest[feature], siteCode) ? manifest[feature][siteCode] : null
+);
+
+// Resolves to the asset data with the given hash, or null if it's missing
+const readVersionAsset = async (dataDir, feature, siteCode, hash) => {
+  try {
+    return await fs.promises.readFile(getObjectPath(dataDir, feature, siteCode, hash));
+  } catch (err) {
+    if (isNotFound(err)) { return null; }
+    throw err;
+  }
+};
+
+module.exports = {
+  DATE_PATTERN,
+  VERSIONS_DIR_NAME,
+  VERSION_PATTERN,
+  getAssetHash,
+  getVersionAsOf,
+  isValidDate,
+  readVersion,
+  readVersionAsset,
+  readVersions,
+  writeVersion,
+};